@@ -25,7 +25,7 @@ module.exports = function(grunt) {
       options: {
         configFile: '.eslintrc.yml',
       },
-      target: ['Gruntfile.js', 'src/**/*.js', 'tests/**/*.js'],
+      target: ['Gruntfile.js', 'bin/stereotype', 'src/**/*.js', 'tests/**/*.js'],
     },
   });
 
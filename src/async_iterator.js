@@ -0,0 +1,74 @@
+'use strict';
+
+// Babel 6 cannot compile async generators, so iterators are built by hand from a `next` function.
+const asyncIteratorSymbol = Symbol.asyncIterator || Symbol.for('Symbol.asyncIterator');
+
+/**
+ * Creates an async iterator, usable with `for await`, that calls `pull` for every value.
+ *
+ * @param {function} pull A function that returns a promise of the next `{value, done}` result.
+ * @param {function} onReturn A function called when iteration ends early, e.g. by `break`. Optional.
+ * @return {object} The async iterator.
+ */
+function createAsyncIterator(pull, onReturn = () => {}) {
+  let finished = false;
+  const iterator = {
+    next: () => (finished ? Promise.resolve({value: undefined, done: true}) : pull().then((result) => {
+      finished = result.done;
+      return result;
+    })),
+    return: (value) => {
+      finished = true;
+      onReturn();
+      return Promise.resolve({value: value, done: true});
+    },
+  };
+  iterator[asyncIteratorSymbol] = () => iterator;
+  return iterator;
+}
+
+/**
+ * Creates an async iterator over the items of the arrays returned by an iterator of pages.
+ *
+ * @param {object} pages An async iterator of arrays.
+ * @return {object} The async iterator of the items.
+ */
+function flatten(pages) {
+  let buffered = [];
+  const pull = () => {
+    if (buffered.length) {
+      return Promise.resolve({value: buffered.shift(), done: false});
+    }
+    return pages.next().then((page) => {
+      if (page.done) {
+        return {value: undefined, done: true};
+      }
+      buffered = page.value.slice();
+      return pull();
+    });
+  };
+  return createAsyncIterator(pull, () => pages.return());
+}
+
+/**
+ * Calls `callback` with every value of an async iterator. Resolves when the iterator is exhausted, or once
+ * `callback` returns `false`.
+ */
+function forEachAsync(iterator, callback) {
+  return iterator.next().then((result) => {
+    if (result.done) {
+      return undefined;
+    }
+    if (callback(result.value) === false) {
+      return iterator.return();
+    }
+    return forEachAsync(iterator, callback);
+  });
+}
+
+module.exports = {
+  asyncIteratorSymbol,
+  createAsyncIterator,
+  flatten,
+  forEachAsync,
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+const extensions = {
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/json': 'json',
+  'application/xml': 'xml',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.ms-excel': 'xls',
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'text/html': 'html',
+  'text/csv': 'csv',
+  'text/plain': 'txt',
+  'text/xml': 'xml',
+};
+
+const textualType = /^text\/|^application\/(json|xml|javascript|x-www-form-urlencoded)$|\+(json|xml)$/;
+
+function getMediaType(contentType) {
+  return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Tells whether a response with the given Content-Type holds binary data rather than text.
+ * Responses without a Content-Type are treated as text.
+ */
+function isBinaryContentType(contentType) {
+  const mediaType = getMediaType(contentType);
+  return mediaType !== '' && !textualType.test(mediaType);
+}
+
+/**
+ * Returns the file extension commonly used for a Content-Type, e.g. xlsx, or undefined for unknown types.
+ */
+function getExtension(contentType) {
+  return extensions[getMediaType(contentType)];
+}
+
+function getBlobClass() {
+  // Browsers and Node.js 15+ provide Blob globally; older Node.js versions expose it in the buffer module, if at all.
+  return typeof Blob !== 'undefined' ? Blob : require('buffer').Blob;
+}
+
+function readBlob(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer();
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * A binary materialization. It holds a Buffer in Node.js and a Blob in browsers, and converts between them,
+ * so that code on top of the client does not need to branch on the environment.
+ */
+class BinaryResult {
+  /**
+   * @param {Buffer|Blob|ArrayBuffer} data The binary data, as received by superagent.
+   * @param {string} contentType The Content-Type of the response.
+   */
+  constructor(data, contentType) {
+    this.data = data;
+    this.contentType = contentType;
+    this.extension = getExtension(contentType);
+  }
+
+  /**
+   * Returns a promise of the data as a Node.js Buffer. Rejects in environments without Buffer.
+   */
+  toBuffer() {
+    if (typeof Buffer === 'undefined') {
+      return Promise.reject(new Error('Buffer is not available in this environment, use toArrayBuffer() or toBlob()'));
+    }
+    if (Buffer.isBuffer(this.data)) {
+      return Promise.resolve(this.data);
+    }
+    return this.toArrayBuffer().then((arrayBuffer) => Buffer.from(arrayBuffer));
+  }
+
+  /**
+   * Returns a promise of the data as an ArrayBuffer.
+   */
+  toArrayBuffer() {
+    const data = this.data;
+    if (data instanceof ArrayBuffer) {
+      return Promise.resolve(data);
+    }
+    if (typeof Buffer !== 'undefined' && Buffer.isBuffer(data)) {
+      return Promise.resolve(data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength));
+    }
+    return Promise.resolve().then(() => readBlob(data));
+  }
+
+  /**
+   * Returns a promise of the data as a Blob with the Content-Type of the result.
+   * Rejects in environments without Blob, e.g. Node.js versions before 15.
+   */
+  toBlob() {
+    const BlobClass = getBlobClass();
+    if (!BlobClass) {
+      return Promise.reject(new Error('Blob is not available in this environment, use toBuffer() or toArrayBuffer()'));
+    }
+    if (this.data instanceof BlobClass) {
+      return Promise.resolve(this.data);
+    }
+    return this.toArrayBuffer().then((arrayBuffer) => new BlobClass([arrayBuffer], {type: this.contentType || ''}));
+  }
+
+  /**
+   * Writes the data to a file. Node.js only.
+   *
+   * @param {string} path The path of the file. When it has no extension, the suggested extension is appended.
+   * @return {Promise} A promise of the path the data was written to.
+   */
+  saveTo(path) {
+    const fs = require('fs');
+    const pathModule = require('path');
+    const target = !pathModule.extname(path) && this.extension ? `${path}.${this.extension}` : path;
+    return this.toBuffer().then((buffer) => new Promise((resolve, reject) => {
+      fs.writeFile(target, buffer, (err) => err ? reject(err) : resolve(target));
+    }));
+  }
+}
+
+/**
+ * Turns a materialization response into its result: a BinaryResult for binary data, or a string otherwise.
+ *
+ * @param {object} res The superagent response. Its body holds the raw data when the request used the blob response type.
+ * @param {boolean|string} binary true or false to force a binary or text result, or 'auto' to decide by Content-Type.
+ * @return {Promise} A promise of the result.
+ */
+function readResult(res, binary) {
+  const contentType = res.headers['content-type'];
+  if (binary === true || (binary !== false && isBinaryContentType(contentType))) {
+    return Promise.resolve(new BinaryResult(res.body, contentType));
+  }
+
+  // Textual responses requested with the blob response type arrive as raw data, as do responses superagent
+  // does not recognize as text.
+  const data = res.body;
+  if (typeof res.text === 'string') {
+    return Promise.resolve(res.text);
+  }
+  if (typeof Buffer !== 'undefined' && Buffer.isBuffer(data)) {
+    return Promise.resolve(data.toString('utf8'));
+  }
+  if (data && typeof data.size === 'number') {
+    return readBlob(data).then((arrayBuffer) => new TextDecoder('utf-8').decode(arrayBuffer));
+  }
+  return Promise.resolve('');
+}
+
+module.exports = {
+  BinaryResult,
+  isBinaryContentType,
+  getExtension,
+  readResult,
+};
@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * Creates a cancel token for environments without AbortController. The returned `signal` implements the parts
+ * of the AbortSignal interface the client relies on, so it can be passed wherever a `signal` option is accepted.
+ *
+ * @return {object} An object with the `signal` and a `cancel()` function that aborts it.
+ */
+function createCancelToken() {
+  const listeners = [];
+  const signal = {
+    aborted: false,
+    addEventListener: (type, listener) => {
+      if (type === 'abort') {
+        listeners.push(listener);
+      }
+    },
+    removeEventListener: (type, listener) => {
+      const index = listeners.indexOf(listener);
+      if (type === 'abort' && index >= 0) {
+        listeners.splice(index, 1);
+      }
+    },
+  };
+
+  return {
+    signal: signal,
+    cancel: () => {
+      if (signal.aborted) {
+        return;
+      }
+      signal.aborted = true;
+      listeners.splice(0).forEach((listener) => listener({type: 'abort'}));
+    },
+  };
+}
+
+/**
+ * Calls `callback` once the signal is aborted, right away when it already is.
+ *
+ * @param {object} signal An AbortSignal or the signal of a cancel token. Optional.
+ * @param {function} callback The function to call.
+ * @return {function} A function that stops listening to the signal.
+ */
+function onAbort(signal, callback) {
+  if (!signal) {
+    return () => {};
+  }
+  if (signal.aborted) {
+    callback();
+    return () => {};
+  }
+  signal.addEventListener('abort', callback);
+  return () => signal.removeEventListener('abort', callback);
+}
+
+module.exports = {
+  createCancelToken,
+  onAbort,
+};
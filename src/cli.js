@@ -0,0 +1,291 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Base64 = require('js-base64').Base64;
+const StereotypeClient = require('./stereotype_client');
+const {StereotypeError, ValidationError} = require('./errors');
+const {BinaryResult} = require('./binary_result');
+
+const USAGE = `Usage: stereotype <command> [arguments] [options]
+
+Commands:
+  list [--public] [--type <templateType>]           List the templates
+  get <id> [--body-only]                            Show a template
+  put <id> --file <path> [template options]         Create or update a template
+  create --file <path> [template options]           Create a template with a generated id
+  delete <id>                                       Delete a template
+  materialize <id> [--bag <path>] [--async [--wait]] [--out <path>]
+                                                    Materialize a template with the property bag in a JSON file
+  expand [--bag <path>]                             Expand the property bag in a JSON file
+  livecheck                                         Check that the service is alive
+  swagger                                           Print the swagger document of the service
+
+Template options:
+  --content-type <type>  Defaults to the type matching the file extension: .mustache, .hbs, .dust or .json (edie)
+  --public               Make the template public
+  --type <templateType>  The template type, e.g. xemail
+  --name <name>, --description <text>
+
+Options:
+  --token <token>        The access token. Defaults to $STEREOTYPE_TOKEN or the token of the profile
+  --profile <name>       A profile of the config file ($STEREOTYPE_CONFIG or ~/.stereotype.json).
+                         Defaults to $STEREOTYPE_PROFILE or "default"
+  --base-url <url>       The service URL. Defaults to $STEREOTYPE_BASE_URL, the profile or the production service
+  --skip-cache           Bypass caches
+  --json                 Print JSON instead of text
+  --help                 Show this help
+`;
+
+const GLOBAL_FLAGS = ['token', 'profile', 'base-url', 'skip-cache', 'json', 'help'];
+const BOOLEAN_FLAGS = ['public', 'body-only', 'async', 'wait', 'skip-cache', 'json', 'help'];
+const TEMPLATE_FLAGS = ['file', 'content-type', 'public', 'type', 'name', 'description'];
+
+const CONTENT_TYPES_BY_EXTENSION = {
+  '.mustache': 'text/mustache',
+  '.hbs': 'text/handlebars',
+  '.handlebars': 'text/handlebars',
+  '.dust': 'text/dust',
+  '.json': 'application/vnd.cimpress.edie+json',
+};
+
+/**
+ * Splits the command line into the command, its positional arguments and its flags. Flags are given as
+ * `--name value` or `--name=value`; boolean flags take no value.
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = /^--([^=]+)(=(.*))?$/.exec(argv[i]);
+    if (!match) {
+      positional.push(argv[i]);
+    } else if (match[2] !== undefined) {
+      flags[match[1]] = BOOLEAN_FLAGS.includes(match[1]) ? match[3] !== 'false' : match[3];
+    } else if (BOOLEAN_FLAGS.includes(match[1])) {
+      flags[match[1]] = true;
+    } else if (i + 1 < argv.length) {
+      flags[match[1]] = argv[++i];
+    } else {
+      throw new ValidationError(`Missing value of --${match[1]}`);
+    }
+  }
+  return {command: positional[0], args: positional.slice(1), flags: flags};
+}
+
+/**
+ * Returns the settings of a profile of the config file, a JSON object mapping profile names to
+ * `{token, baseUrl}` objects. A missing config file counts as empty.
+ */
+function readProfile(flags, env) {
+  const configPath = env.STEREOTYPE_CONFIG || path.join(env.HOME || os.homedir(), '.stereotype.json');
+  const name = flags.profile || env.STEREOTYPE_PROFILE || 'default';
+  let config = {};
+  if (fs.existsSync(configPath)) {
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } catch (err) {
+      throw new ValidationError(`Cannot read the config file ${configPath}: ${err.message}`);
+    }
+  }
+  if (flags.profile && !config[name]) {
+    throw new ValidationError(`Unknown profile: ${name}`);
+  }
+  return config[name] || {};
+}
+
+function createClient(flags, env) {
+  const profile = readProfile(flags, env);
+  const token = flags.token || env.STEREOTYPE_TOKEN || profile.token;
+  if (!token) {
+    throw new ValidationError('No access token: pass --token, set STEREOTYPE_TOKEN or add a token to the profile');
+  }
+  return new StereotypeClient(token, {baseUrl: flags['base-url'] || env.STEREOTYPE_BASE_URL || profile.baseUrl});
+}
+
+function readJsonFile(file) {
+  if (!file) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ValidationError(`Cannot read the JSON file ${file}: ${err.message}`);
+  }
+}
+
+function getRequiredArg(args, name) {
+  if (!args[0]) {
+    throw new ValidationError(`Missing <${name}>`);
+  }
+  return args[0];
+}
+
+/**
+ * Returns the putTemplate and createTemplate options of the template flags.
+ */
+function readTemplate(flags) {
+  if (!flags.file) {
+    throw new ValidationError('Missing --file');
+  }
+  const contentType = flags['content-type'] || CONTENT_TYPES_BY_EXTENSION[path.extname(flags.file).toLowerCase()];
+  if (!contentType) {
+    throw new ValidationError(`Cannot tell the content type of ${flags.file}, pass --content-type`);
+  }
+  return {
+    body: fs.readFileSync(flags.file, 'utf8'),
+    contentType: contentType,
+    isPublic: Boolean(flags.public),
+    templateType: flags.type || null,
+    name: flags.name || null,
+    description: flags.description || null,
+  };
+}
+
+function writeFile(file, data) {
+  return new Promise((resolve, reject) => fs.writeFile(file, data, (err) => err ? reject(err) : resolve(file)));
+}
+
+/**
+ * Writes a materialization to `--out`, or prints it, and returns a promise of the output.
+ */
+function outputMaterialization(materialization, flags) {
+  const {status, result, contentType} = materialization;
+  if (flags.out) {
+    const saved = result instanceof BinaryResult ? result.saveTo(flags.out) : writeFile(flags.out, result);
+    return saved.then((savedTo) => ({json: {status, contentType, savedTo}, text: `Saved to ${savedTo}\n`}));
+  }
+  if (result instanceof BinaryResult) {
+    return result.toBuffer().then((buffer) => ({
+      json: {status, contentType, result: buffer.toString('base64'), encoding: 'base64'},
+      text: buffer,
+    }));
+  }
+  return Promise.resolve({json: {status, contentType, result}, text: result});
+}
+
+const commands = {
+  list: {
+    flags: ['public', 'type'],
+    run: (client, args, flags) => client.listTemplates({
+      skipCache: Boolean(flags['skip-cache']),
+      includePublic: Boolean(flags.public),
+      templateTypes: flags.type ? [flags.type] : [],
+    }).then((templates) => ({
+      json: templates,
+      text: templates.map((template) => [template.templateId, template.name, template.contentType]
+        .filter((field) => field).join('\t') + '\n').join(''),
+    })),
+  },
+  get: {
+    flags: ['body-only'],
+    run: (client, args, flags) => client.getTemplateById(getRequiredArg(args, 'id'), {skipCache: Boolean(flags['skip-cache'])})
+      .then((template) => {
+        const body = Base64.decode(template.templateBody || '');
+        const info = Object.keys(template)
+          .filter((key) => !['templateBody', 'links'].includes(key) && typeof template[key] !== 'object')
+          .map((key) => `${key}: ${template[key]}\n`).join('');
+        return flags['body-only'] ? {json: body, text: body} : {json: template, text: `${info}\n${body}`};
+      }),
+  },
+  put: {
+    flags: TEMPLATE_FLAGS,
+    run: (client, args, flags) => {
+      const id = getRequiredArg(args, 'id');
+      return client.putTemplateById(id, readTemplate(flags))
+        .then((result) => ({json: result || {templateId: id}, text: `Saved template ${id}\n`}));
+    },
+  },
+  create: {
+    flags: TEMPLATE_FLAGS,
+    run: (client, args, flags) => client.createTemplate(readTemplate(flags))
+      .then((result) => ({json: result, text: `Created template ${(result && result.templateId) || ''}\n`})),
+  },
+  delete: {
+    flags: [],
+    run: (client, args) => {
+      const id = getRequiredArg(args, 'id');
+      return client.deleteTemplateById(id).then(() => ({json: {deleted: id}, text: `Deleted template ${id}\n`}));
+    },
+  },
+  materialize: {
+    flags: ['bag', 'async', 'wait', 'out'],
+    run: (client, args, flags) => {
+      const id = getRequiredArg(args, 'id');
+      const bag = readJsonFile(flags.bag);
+      const options = {skipCache: Boolean(flags['skip-cache'])};
+      if (flags.async && flags.wait) {
+        return client.materializeAndWaitById(id, bag, options).then((mat) => outputMaterialization(mat, flags));
+      }
+      if (flags.async) {
+        return client.materializeAsync(`${client.baseUrl}/v1/templates/${encodeURIComponent(id)}`, bag, options)
+          .then((mat) => mat.status === 202 ? {json: {status: mat.status, location: mat.result}, text: `${mat.result}\n`}
+            : outputMaterialization(mat, flags));
+      }
+      return client.materializeSyncById(id, bag, options).then((mat) => outputMaterialization(mat, flags));
+    },
+  },
+  expand: {
+    flags: ['bag'],
+    run: (client, args, flags) => client.expand(readJsonFile(flags.bag), {skipCache: Boolean(flags['skip-cache'])})
+      .then((expanded) => ({json: expanded, text: expanded})),
+  },
+  livecheck: {
+    flags: [],
+    run: (client) => client.livecheck().then((alive) => ({json: {alive}, text: alive ? 'alive\n' : 'dead\n', exitCode: alive ? 0 : 1})),
+  },
+  swagger: {
+    flags: [],
+    run: (client, args, flags) => client.getSwagger({skipCache: Boolean(flags['skip-cache'])})
+      .then((swagger) => ({json: swagger, text: JSON.stringify(swagger, null, 2) + '\n'})),
+  },
+};
+
+/**
+ * Runs the command line tool.
+ *
+ * @param {string[]} argv The arguments, without the node executable and the script.
+ * @param {object} io `{env, stdout, stderr}`: the environment variables and the streams to write to.
+ *    Defaults to the ones of the process.
+ * @return {Promise} A promise of the exit code: 0 on success, 1 when the command failed, 2 on usage errors.
+ */
+function run(argv, io = {}) {
+  const env = io.env || process.env;
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+
+  return Promise.resolve().then(() => {
+    const {command, args, flags} = parseArgs(argv);
+    if (flags.help || !command) {
+      stdout.write(USAGE);
+      return flags.help ? 0 : 2;
+    }
+    if (!commands[command]) {
+      throw new ValidationError(`Unknown command: ${command}`);
+    }
+    const unknown = Object.keys(flags).filter((flag) => !GLOBAL_FLAGS.concat(commands[command].flags).includes(flag));
+    if (unknown.length) {
+      throw new ValidationError(`Unknown option --${unknown[0]} of ${command}`);
+    }
+
+    return commands[command].run(createClient(flags, env), args, flags).then((output) => {
+      if (flags.json) {
+        stdout.write(JSON.stringify(output.json, null, 2) + '\n');
+      } else {
+        stdout.write(output.text);
+      }
+      return output.exitCode || 0;
+    });
+  }).catch((err) => {
+    const usage = err instanceof ValidationError && !err.status && !err.method;
+    const details = err instanceof StereotypeError && err.status ? ` (${err.status})` : '';
+    stderr.write(`stereotype: ${err.message}${details}\n`);
+    return usage ? 2 : 1;
+  });
+}
+
+module.exports = {
+  run,
+  parseArgs,
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+/**
+ * Runs `task` for the indices 0 to count - 1, at most `concurrency` at a time, starting them in order.
+ *
+ * @param {number} count The number of tasks.
+ * @param {number} concurrency The maximum number of tasks in flight.
+ * @param {function} task A function that receives an index and returns a promise of its result. It should not reject.
+ * @param {function} skip A function called with the index of every task when its turn comes. When it returns
+ *    a result, that result is used and the task is not started. Optional.
+ * @return {Promise} A promise of the results, in index order.
+ */
+function runConcurrently(count, concurrency, task, skip = () => undefined) {
+  const results = new Array(count);
+  let nextIndex = 0;
+
+  const run = () => {
+    while (nextIndex < count) {
+      const skipped = skip(nextIndex);
+      if (skipped === undefined) {
+        break;
+      }
+      results[nextIndex++] = skipped;
+    }
+    if (nextIndex >= count) {
+      return Promise.resolve();
+    }
+    const index = nextIndex++;
+    return Promise.resolve()
+      .then(() => task(index))
+      .then((result) => {
+        results[index] = result;
+        return run();
+      });
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.max(1, Math.min(concurrency, count)); i++) {
+    workers.push(run());
+  }
+  return Promise.all(workers).then(() => results);
+}
+
+module.exports = {
+  runConcurrently,
+};
@@ -0,0 +1,139 @@
+'use strict';
+
+const contentTypeParser = require('content-type');
+
+/**
+ * Keeps the template content types and post-processors the client accepts. A registry may have a parent;
+ * it then also accepts everything its parent accepts, including types registered with the parent later on.
+ */
+class ContentTypeRegistry {
+  /**
+   * @param {ContentTypeRegistry} parent The registry to fall back to. Optional.
+   */
+  constructor(parent = null) {
+    this.parent = parent;
+    this.contentTypes = {};
+    this.postProcessors = [];
+  }
+
+  /**
+   * Registers a template content type.
+   *
+   * @param {string} name The name of the template language, e.g. mustache.
+   * @param {string|string[]} mimeTypes The MIME types of templates in that language. Registering a name again adds
+   *    the MIME types to the ones it already has.
+   */
+  registerContentType(name, mimeTypes) {
+    const types = [].concat(mimeTypes).map((type) => String(type).toLowerCase().trim());
+    this.contentTypes[name] = Array.from(new Set((this.contentTypes[name] || []).concat(types)));
+  }
+
+  /**
+   * Registers a post-processor, which may then be set with the postProcessors parameter of a content type.
+   */
+  registerPostProcessor(name) {
+    const postProcessor = String(name).toLowerCase().trim();
+    if (!this.postProcessors.includes(postProcessor)) {
+      this.postProcessors.push(postProcessor);
+    }
+  }
+
+  /**
+   * Returns the registered content types, with the ones of the parent, as an object mapping names to MIME types.
+   */
+  getContentTypes() {
+    const contentTypes = this.parent ? this.parent.getContentTypes() : {};
+    Object.keys(this.contentTypes).forEach((name) => {
+      contentTypes[name] = Array.from(new Set((contentTypes[name] || []).concat(this.contentTypes[name])));
+    });
+    return contentTypes;
+  }
+
+  /**
+   * Returns the registered post-processors, with the ones of the parent.
+   */
+  getPostProcessors() {
+    const postProcessors = this.parent ? this.parent.getPostProcessors() : [];
+    return Array.from(new Set(postProcessors.concat(this.postProcessors)));
+  }
+
+  /**
+   * Returns the name a Content-Type header value is registered under, e.g. handlebars, or undefined.
+   */
+  getName(contentType) {
+    let type;
+    try {
+      type = contentTypeParser.parse(contentType).type;
+    } catch (err) {
+      return undefined;
+    }
+    const contentTypes = this.getContentTypes();
+    return Object.keys(contentTypes).find((name) => contentTypes[name].includes(type));
+  }
+
+  /**
+   * Tells whether a Content-Type header value, including its postProcessors parameter, is supported.
+   */
+  isSupported(contentType) {
+    let parsedContentType;
+    try {
+      parsedContentType = contentTypeParser.parse(contentType);
+    } catch (err) {
+      return false;
+    }
+
+    const contentTypes = this.getContentTypes();
+    const validContentType = Object.keys(contentTypes).some((name) => contentTypes[name].includes(parsedContentType.type));
+
+    const supportedPostProcessors = this.getPostProcessors();
+    const validPostProcessors = ((parsedContentType.parameters || {}).postprocessors || '')
+      .split(',')
+      .map((pp) => pp.toLowerCase().trim())
+      .filter((pp) => pp !== '')
+      .every((pp) => supportedPostProcessors.includes(pp));
+
+    return validContentType && validPostProcessors;
+  }
+
+  /**
+   * Registers the template content types a swagger document of the service declares. These are the types
+   * consumed by the operations that create and update templates, or by the whole API when operations declare none.
+   * Types are registered under their MIME type; types that are already known are skipped.
+   *
+   * @param {object} swagger The swagger document, as returned by `getSwagger`.
+   * @return {string[]} The MIME types that were registered.
+   */
+  registerFromSwagger(swagger) {
+    const known = this.getContentTypes();
+    const isKnown = (type) => Object.keys(known).some((name) => known[name].includes(type));
+
+    const discovered = getTemplateConsumes(swagger || {})
+      .map((type) => String(type).split(';')[0].toLowerCase().trim())
+      .filter((type, index, types) => type !== '' && types.indexOf(type) === index && !isKnown(type));
+    discovered.forEach((type) => this.registerContentType(type, type));
+    return discovered;
+  }
+}
+
+function getTemplateConsumes(swagger) {
+  const paths = swagger.paths || {};
+  return Object.keys(paths)
+    .filter((path) => /^(\/v1)?\/templates(\/\{[^}]+\})?\/?$/.test(path))
+    .reduce((types, path) => types.concat(['put', 'post']
+      .filter((method) => paths[path][method])
+      .reduce((operationTypes, method) => operationTypes.concat(paths[path][method].consumes || swagger.consumes || []), [])),
+    []);
+}
+
+const defaultRegistry = new ContentTypeRegistry();
+defaultRegistry.registerContentType('dust', ['text/dust']);
+defaultRegistry.registerContentType('mustache', ['text/mustache']);
+defaultRegistry.registerContentType('handlebars', ['text/handlebars', 'text/x-handlebars-template']);
+defaultRegistry.registerContentType('edie', ['application/vnd.cimpress.edie+json']);
+defaultRegistry.registerPostProcessor('mjml');
+defaultRegistry.registerPostProcessor('xlsx');
+
+module.exports = {
+  ContentTypeRegistry,
+  defaultRegistry,
+};
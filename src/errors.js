@@ -0,0 +1,229 @@
+'use strict';
+
+const REQUEST_ID_HEADERS = ['x-request-id', 'x-amzn-requestid', 'x-amz-cf-id'];
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT'];
+const UNAVAILABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * The base class of all errors raised by the client. Besides the message it carries the details of the
+ * failed request. The original superagent error is deliberately not kept, as it references the request
+ * headers and with them the access token.
+ */
+class StereotypeError extends Error {
+  /**
+   * @param {string} message A human readable description of the problem.
+   * @param {object} details Information about the failed request:
+   *    - status: the HTTP status of the response, if any.
+   *    - method: the HTTP method of the request.
+   *    - url: the URL of the request.
+   *    - body: the body of the response, if any.
+   *    - requestId: the id the service assigned to the request, if any.
+   *    - code: the network error code, e.g. ECONNREFUSED, if any.
+   */
+  constructor(message, details = {}) {
+    super(message);
+    // Babel 6 cannot subclass built-ins, so every class restores its prototype chain explicitly.
+    Object.setPrototypeOf(this, StereotypeError.prototype);
+    this.name = 'StereotypeError';
+    this.status = details.status;
+    this.method = details.method;
+    this.url = details.url;
+    this.body = details.body;
+    this.requestId = details.requestId;
+    this.code = details.code;
+  }
+
+  /**
+   * Converts an error raised by superagent into the matching StereotypeError subclass. Only errors of requests,
+   * i.e. with a `status`, `response`, `code` or `timeout`, are converted. StereotypeErrors and any other errors,
+   * e.g. those thrown by interceptors or token providers, are returned unchanged.
+   *
+   * @param {Error} err The error to convert.
+   * @param {string} method The HTTP method of the failed request.
+   * @param {string} url The URL of the failed request.
+   */
+  static fromResponseError(err, method, url) {
+    if (err instanceof StereotypeError || !StereotypeError._isRequestError(err)) {
+      return err;
+    }
+
+    const response = StereotypeError._decodeRawBody(err.response || {});
+    const headers = response.headers || {};
+    const hasJsonBody = response.body && typeof response.body === 'object' && Object.keys(response.body).length;
+    const body = hasJsonBody ? response.body : response.text;
+    const details = {
+      status: err.status || response.status,
+      method: method,
+      url: url,
+      body: body,
+      requestId: REQUEST_ID_HEADERS.map((header) => headers[header]).find((value) => value),
+      code: err.code,
+      currentVersion: headers.etag,
+    };
+    const message = `${method} ${url} failed: ${(hasJsonBody && body.message) || err.message}`;
+
+    const ErrorClass = StereotypeError._getErrorClass(err, details);
+    return new ErrorClass(message, details);
+  }
+
+  static _isRequestError(err) {
+    return Boolean(err && (err.status || err.response || err.code || err.timeout));
+  }
+
+  /**
+   * Requests for binary data receive error responses as raw data, too. Decodes them like superagent would have.
+   */
+  static _decodeRawBody(response) {
+    if (typeof Buffer === 'undefined' || !Buffer.isBuffer(response.body)) {
+      return response;
+    }
+    const text = response.body.toString('utf8');
+    let body = {};
+    try {
+      body = /json/.test((response.headers || {})['content-type']) ? JSON.parse(text) : {};
+    } catch (err) {
+      // Keep the text only.
+    }
+    return Object.assign({}, response, {text: text, body: body});
+  }
+
+  static _getErrorClass(err, details) {
+    if (err.timeout || TIMEOUT_CODES.includes(err.code) || [408, 504].includes(details.status)) {
+      return TimeoutError;
+    }
+    if (UNAVAILABLE_CODES.includes(err.code) || [502, 503].includes(details.status)) {
+      return ServiceUnavailableError;
+    }
+    if ([400, 415, 422].includes(details.status)) {
+      return ValidationError;
+    }
+    if ([401, 403].includes(details.status)) {
+      return PermissionDeniedError;
+    }
+    if ([409, 412].includes(details.status)) {
+      return ConflictError;
+    }
+    if (details.status === 404 && /\/v1\/templates\//.test(details.url)) {
+      return TemplateNotFoundError;
+    }
+    return StereotypeError;
+  }
+}
+
+/**
+ * Raised when a template does not exist, or when no template was specified at all.
+ */
+class TemplateNotFoundError extends StereotypeError {
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, TemplateNotFoundError.prototype);
+    this.name = 'TemplateNotFoundError';
+  }
+}
+
+/**
+ * Raised when the access token is missing, invalid or does not grant access to the resource.
+ */
+class PermissionDeniedError extends StereotypeError {
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, PermissionDeniedError.prototype);
+    this.name = 'PermissionDeniedError';
+  }
+}
+
+/**
+ * Raised when the client or the service rejects the input, e.g. an unsupported content type or a bad property bag.
+ */
+class ValidationError extends StereotypeError {
+  /**
+   * @param {string} message A human readable description of the problem.
+   * @param {object} details The same details as StereotypeError, plus `diagnostics`: the problems found in a template
+   *    or property bag before it was sent, if the client checked it.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, ValidationError.prototype);
+    this.name = 'ValidationError';
+    this.diagnostics = details.diagnostics;
+  }
+}
+
+/**
+ * Raised when a template was changed by someone else since it was read, i.e. its `If-Match` precondition failed.
+ */
+class ConflictError extends StereotypeError {
+  /**
+   * @param {string} message A human readable description of the problem.
+   * @param {object} details The same details as StereotypeError, plus `currentVersion`: the ETag of the template
+   *    on the server, if the service sent it.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, ConflictError.prototype);
+    this.name = 'ConflictError';
+    this.currentVersion = details.currentVersion;
+  }
+}
+
+/**
+ * Raised when a request, or waiting for an asynchronous operation (e.g. an async materialization),
+ * takes longer than allowed.
+ */
+class TimeoutError extends StereotypeError {
+  /**
+   * @param {string} message A human readable description of the problem.
+   * @param {object} details The same details as StereotypeError, plus `waited`: the number of milliseconds waited.
+   */
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, TimeoutError.prototype);
+    this.name = 'TimeoutError';
+    this.waited = details.waited;
+  }
+}
+
+/**
+ * Raised when the service cannot be reached or is temporarily unable to handle requests.
+ */
+class ServiceUnavailableError extends StereotypeError {
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, ServiceUnavailableError.prototype);
+    this.name = 'ServiceUnavailableError';
+  }
+}
+
+/**
+ * Raised when a template URL does not point to a template of the service the client is configured for.
+ */
+class InvalidTemplateUrlError extends StereotypeError {
+  constructor(message, details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, InvalidTemplateUrlError.prototype);
+    this.name = 'InvalidTemplateUrlError';
+  }
+}
+
+/**
+ * Raised when a call is cancelled with an AbortSignal or a cancel token before it completes.
+ */
+class AbortError extends StereotypeError {
+  constructor(message = 'The operation was aborted', details = {}) {
+    super(message, details);
+    Object.setPrototypeOf(this, AbortError.prototype);
+    this.name = 'AbortError';
+  }
+}
+
+module.exports = {
+  StereotypeError,
+  TemplateNotFoundError,
+  PermissionDeniedError,
+  ValidationError,
+  ConflictError,
+  TimeoutError,
+  ServiceUnavailableError,
+  InvalidTemplateUrlError,
+  AbortError,
+};
@@ -1,3 +1,18 @@
 const StereotypeClient = require('./stereotype_client');
+const errors = require('./errors');
+const {TemplateCache, MemoryStore} = require('./template_cache');
+const {BinaryResult} = require('./binary_result');
+const {Template} = require('./template');
+const {RevisionStore, MemoryRevisionStore, FileRevisionStore} = require('./revision_store');
 
 module.exports = StereotypeClient;
+Object.keys(errors).forEach((name) => {
+  module.exports[name] = errors[name];
+});
+module.exports.TemplateCache = TemplateCache;
+module.exports.MemoryStore = MemoryStore;
+module.exports.BinaryResult = BinaryResult;
+module.exports.RevisionStore = RevisionStore;
+module.exports.MemoryRevisionStore = MemoryRevisionStore;
+module.exports.FileRevisionStore = FileRevisionStore;
+module.exports.Template = Template;
@@ -0,0 +1,54 @@
+'use strict';
+
+const {ValidationError} = require('./errors');
+
+/**
+ * Tells an options object apart from the positional parameters (booleans, strings, arrays) it replaces.
+ */
+function isOptionsObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Validates an options object and fills in the defaults for the options that were not given.
+ * Throws a ValidationError when the object contains keys the method does not support.
+ *
+ * @param {string} methodName The name of the called method, used in the error message.
+ * @param {object} options The options the method was called with. Optional.
+ * @param {object} defaults The supported options and their default values.
+ * @return {object} A new object with the options to use.
+ */
+function withDefaults(methodName, options, defaults) {
+  const supportedKeys = Object.keys(defaults);
+  const unknownKeys = Object.keys(options || {}).filter((key) => !supportedKeys.includes(key));
+  if (unknownKeys.length) {
+    throw new ValidationError(`${methodName}: unknown option(s) ${unknownKeys.join(', ')}. `
+      + `Supported options are: ${supportedKeys.join(', ')}`);
+  }
+
+  const resolved = Object.assign({}, defaults);
+  Object.keys(options || {})
+    .filter((key) => options[key] !== undefined)
+    .forEach((key) => resolved[key] = options[key]);
+  return resolved;
+}
+
+/**
+ * Normalizes the optional parameters of a method that accepts either its historical positional parameters
+ * or a single options object in place of the first optional parameter.
+ *
+ * @param {string} methodName The name of the called method, used in error messages.
+ * @param {*} candidate The value the method received for its first optional parameter.
+ * @param {object} defaults The supported options and their default values.
+ * @param {object} positional The options as collected from the positional parameters.
+ * @return {object} The options to use.
+ */
+function toOptions(methodName, candidate, defaults, positional) {
+  return withDefaults(methodName, isOptionsObject(candidate) ? candidate : positional, defaults);
+}
+
+module.exports = {
+  isOptionsObject,
+  withDefaults,
+  toOptions,
+};
@@ -0,0 +1,184 @@
+'use strict';
+
+function isObject(value) {
+  return value !== null && typeof value === 'object';
+}
+
+function joinPath(base, key) {
+  return base ? `${base}.${key}` : String(key);
+}
+
+/**
+ * Looks a template path up in a stack of contexts, the way mustache does: the first segment is searched from the
+ * innermost context outwards, the rest descends from there. `../` starts from the enclosing context.
+ * Returns `{found, value, bagPath}`, where bagPath is the path in the property bag with list indices left out,
+ * or null when the value does not come from the property bag. For paths that are not found, bagPath is the path
+ * of the deepest part that was.
+ */
+function lookup(stack, path) {
+  let contexts = stack;
+  let rest = path;
+  while (rest.startsWith('../')) {
+    contexts = contexts.slice(0, -1);
+    rest = rest.slice(3);
+  }
+  const current = contexts[contexts.length - 1] || {value: undefined, bagPath: null};
+  if (rest === '.' || rest === '') {
+    return {found: current.value !== undefined, value: current.value, bagPath: current.bagPath};
+  }
+
+  const segments = rest.split('.');
+  const context = contexts.slice().reverse().find((entry) => (entry.names && segments[0] in entry.names)
+    || (isObject(entry.value) && segments[0] in entry.value));
+  if (!context) {
+    return {found: false};
+  }
+
+  const named = context.names && segments[0] in context.names ? context.names[segments[0]] : undefined;
+  let value = named ? named.value : context.value[segments[0]];
+  let bagPath = named ? named.bagPath : (context.bagPath === null ? null : joinPath(context.bagPath, segments[0]));
+  for (let i = 1; i < segments.length; i++) {
+    if (!isObject(value) || !(segments[i] in value)) {
+      return {found: false, bagPath: bagPath};
+    }
+    value = value[segments[i]];
+    if (bagPath !== null && !/^\d+$/.test(segments[i])) {
+      bagPath = joinPath(bagPath, segments[i]);
+    }
+  }
+  return {found: true, value: value, bagPath: bagPath};
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Renders a template tree in the mind: walks the nodes that would be rendered for the property bag and records
+ * the paths that are referenced but missing, and the parts of the bag that are used.
+ */
+function walk(nodes, stack, state) {
+  const check = (path, required) => {
+    const result = lookup(stack, path);
+    if (!result.found && required) {
+      state.missing.add(path);
+    }
+    if (result.bagPath) {
+      state.accessed.add(result.bagPath);
+    }
+    return result;
+  };
+  const use = (path) => {
+    const result = check(path, true);
+    if (result.found && result.bagPath) {
+      state.used.add(result.bagPath);
+    }
+  };
+
+  nodes.forEach((node) => {
+    (node.params || []).forEach(use);
+    if (node.type === 'variable') {
+      use(node.path);
+    } else if (node.type === 'partial') {
+      state.partials.add(node.name);
+      walk(node.children || [], stack, state);
+    } else if (node.type === 'helper') {
+      walk(node.children || [], stack, state);
+      walk(node.inverse || [], stack, state);
+    } else if (node.type === 'inverted') {
+      if (!isTruthy(check(node.path, false).value)) {
+        walk(node.children, stack, state);
+      }
+    } else {
+      // Sections often stand for optional parts, so only lists and contexts must be present.
+      const result = check(node.path, node.type === 'iteration' || node.type === 'context');
+      if (!isTruthy(result.value)) {
+        walk(node.inverse || [], stack, state);
+      } else if (node.type === 'condition') {
+        walk(node.children, stack, state);
+      } else {
+        const provided = {};
+        (node.provides || []).forEach((key) => provided[key] = {value: true, bagPath: null});
+        [].concat(result.value).forEach((item, index) => {
+          const names = Object.assign({}, provided);
+          if (node.blockParams && node.blockParams.length) {
+            names[node.blockParams[0]] = {value: item, bagPath: result.bagPath};
+            if (node.blockParams[1]) {
+              names[node.blockParams[1]] = {value: index, bagPath: null};
+            }
+          }
+          const context = isObject(item) ? {value: item, bagPath: result.bagPath, names: names}
+            : {value: undefined, bagPath: null, names: names};
+          walk(node.children, stack.concat(Array.isArray(result.value) || isObject(item) ? [context] : []), state);
+        });
+      }
+    }
+  });
+}
+
+/**
+ * Returns the keys of a property bag that no rendered node used, as paths with list indices left out.
+ * A key counts as used when it, a parent or a child was rendered or tested; parts of the bag that were
+ * not used at all are reported by their outermost key.
+ */
+function findUnused(value, bagPath, state) {
+  if (bagPath && state.used.has(bagPath)) {
+    return [];
+  }
+  const items = Array.isArray(value) ? value.filter(isObject) : [value];
+  const keys = Array.from(new Set([].concat(...items.filter((item) => isObject(item) && !Array.isArray(item)).map(Object.keys))));
+  if (!keys.length) {
+    return state.accessed.has(bagPath) ? [] : [bagPath];
+  }
+
+  const unused = [].concat(...keys.map((key) => [].concat(...items
+    .filter((item) => isObject(item) && key in item)
+    .map((item) => findUnused(item[key], joinPath(bagPath, key), state)))));
+  const distinct = Array.from(new Set(unused));
+  const untouched = bagPath && !state.accessed.has(bagPath) && distinct.length === keys.length
+    && keys.every((key) => distinct.includes(joinPath(bagPath, key)));
+  return untouched ? [bagPath] : distinct;
+}
+
+/**
+ * Compares a parsed template with a property bag.
+ *
+ * @param {object[]} nodes The nodes of the template, as returned by `parseTemplate`.
+ * @param {object} propertyBag The data the template would be materialized with.
+ * @return {object} `{valid, missing, unused, partials}`: the template paths that are rendered but missing from the
+ *    bag, the bag keys the template does not use, and the partials of the template, which are not checked.
+ *    The bag is valid when nothing is missing.
+ */
+function validatePropertyBag(nodes, propertyBag) {
+  const state = {missing: new Set(), accessed: new Set(), used: new Set(), partials: new Set()};
+  const bag = isObject(propertyBag) ? propertyBag : {};
+  walk(nodes, [{value: bag, bagPath: ''}], state);
+
+  const missing = Array.from(state.missing);
+  return {
+    valid: missing.length === 0,
+    missing: missing,
+    unused: Object.keys(bag).length ? findUnused(bag, '', state) : [],
+    partials: Array.from(state.partials),
+  };
+}
+
+/**
+ * Returns the distinct paths a parsed template references, in the order they first appear.
+ */
+function getVariablePaths(nodes) {
+  const paths = [];
+  const visit = (node) => {
+    [node.path].concat(node.params || [])
+      .filter((path) => path !== undefined && path !== '.' && !paths.includes(path))
+      .forEach((path) => paths.push(path));
+    (node.children || []).concat(node.inverse || []).forEach(visit);
+  };
+  nodes.forEach(visit);
+  return paths;
+}
+
+module.exports = {
+  validatePropertyBag,
+  getVariablePaths,
+};
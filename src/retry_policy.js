@@ -0,0 +1,85 @@
+'use strict';
+
+const {withDefaults} = require('./options');
+
+const retryPolicyDefaults = {
+  maxAttempts: 4, // The first attempt plus three retries,
+  baseDelay: 100, // waiting 100ms before the first retry
+  maxDelay: 5000, // and doubling the wait up to 5 seconds.
+  deadline: 60000, // No retry waits past a minute after the first attempt.
+  jitter: true,
+  retryableStatuses: [408, 429, 500, 502, 503, 504],
+  retryableCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNABORTED', 'EPIPE',
+    'ENOTFOUND', 'ENETUNREACH', 'EAI_AGAIN'],
+  retryNonIdempotent: false,
+};
+
+/**
+ * Validates a retry policy and fills in the defaults for the settings that were not given.
+ *
+ * @param {object} policy The retry policy passed to the client. Optional.
+ * @param {object} defaults Settings that replace the built-in defaults, e.g. maxAttempts derived from numRetries.
+ * @return {object} The retry policy to use.
+ */
+function resolveRetryPolicy(policy, defaults = {}) {
+  return withDefaults('retryPolicy', policy, Object.assign({}, retryPolicyDefaults, defaults));
+}
+
+/**
+ * Returns the number of milliseconds a Retry-After header asks to wait, or null when there is no valid header.
+ * The header holds either a number of seconds or an HTTP date.
+ */
+function getRetryAfter(err) {
+  const headers = (err.response && err.response.headers) || {};
+  const value = headers['retry-after'];
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (/^\s*\d+\s*$/.test(value)) {
+    return Number(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Decides whether a failed request is retried and how long to wait before retrying.
+ *
+ * @param {object} policy The resolved retry policy.
+ * @param {Error} err The error of the failed attempt.
+ * A Retry-After header on 429 and 503 responses replaces the computed delay, even when it asks for a longer wait
+ * than `maxDelay`. The retries give up instead when the wait would end past the `deadline` of the policy, counted
+ * from the first attempt.
+ *
+ * @param {number} attempt The number of the failed attempt, starting at 1.
+ * @param {object} request Describes the request:
+ *    - idempotent: false for requests that must not be repeated, e.g. creating a template with POST.
+ *    - isRetryable: a function that marks additional errors as retryable. Optional.
+ * @param {number} elapsed The milliseconds since the first attempt started. Optional.
+ * @return {number|null} The milliseconds to wait before the next attempt, or null to give up.
+ */
+function getRetryDelay(policy, err, attempt, request = {}, elapsed = 0) {
+  if (attempt >= policy.maxAttempts || (request.idempotent === false && !policy.retryNonIdempotent)) {
+    return null;
+  }
+
+  const status = err.status || (err.response && err.response.status);
+  const isRetryable = policy.retryableStatuses.includes(status)
+    || (err.code && policy.retryableCodes.includes(err.code))
+    || (request.isRetryable ? Boolean(request.isRetryable(err)) : false);
+  if (!isRetryable) {
+    return null;
+  }
+
+  // Retrying earlier than the service asked to is pointless, so its wait is kept even beyond maxDelay.
+  const retryAfter = [429, 503].includes(status) ? getRetryAfter(err) : null;
+  const computed = Math.min(policy.baseDelay * Math.pow(2, attempt - 1), policy.maxDelay);
+  const delay = retryAfter !== null ? retryAfter : policy.jitter ? Math.round(Math.random() * computed) : computed;
+  return elapsed + delay <= policy.deadline ? delay : null;
+}
+
+module.exports = {
+  resolveRetryPolicy,
+  getRetryAfter,
+  getRetryDelay,
+};
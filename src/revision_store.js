@@ -0,0 +1,144 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {withDefaults} = require('./options');
+
+const revisionStoreDefaults = {
+  maxRevisions: 50,
+  store: undefined,
+};
+
+const SNAPSHOT_FIELDS = ['body', 'contentType', 'isPublic', 'templateType', 'name', 'description', 'metadata'];
+
+/**
+ * A store that keeps the revisions in memory, for as long as the process runs.
+ */
+class MemoryRevisionStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  get(key) {
+    return this.entries.get(key);
+  }
+
+  set(key, value) {
+    this.entries.set(key, value);
+  }
+}
+
+/**
+ * A store that keeps the revisions of every template in a JSON file of a directory.
+ */
+class FileRevisionStore {
+  /**
+   * @param {string} directory The directory of the files. It is created when the first revision is stored.
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  _getFile(key) {
+    return path.join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+
+  get(key) {
+    return new Promise((resolve, reject) => fs.readFile(this._getFile(key), 'utf8', (err, data) => {
+      if (err) {
+        return err.code === 'ENOENT' ? resolve(undefined) : reject(err);
+      }
+      resolve(JSON.parse(data));
+    }));
+  }
+
+  set(key, value) {
+    return new Promise((resolve, reject) => fs.mkdir(this.directory, {recursive: true}, (err) => err ? reject(err) : resolve()))
+      .then(() => new Promise((resolve, reject) => fs.writeFile(this._getFile(key), JSON.stringify(value, null, 2),
+        (err) => err ? reject(err) : resolve())));
+  }
+}
+
+/**
+ * Keeps the former versions of templates, so that they can be compared and restored.
+ *
+ * The revisions are kept in a store, an object with `get(key)` and `set(key, value)` functions that return their
+ * results directly or as promises; a `Map` works. The key is the template id and the value the list of its
+ * revisions, plain JSON objects, so stores may serialize them.
+ */
+class RevisionStore {
+  /**
+   * @param {object} options Optional settings:
+   *    - maxRevisions: the number of revisions kept per template; older ones are dropped. Defaults to 50.
+   *    - store: the store to keep the revisions in, e.g. a `FileRevisionStore`. Defaults to a `MemoryRevisionStore`.
+   */
+  constructor(options = {}) {
+    const resolved = withDefaults('revisionStore', options, revisionStoreDefaults);
+    this.maxRevisions = resolved.maxRevisions;
+    this.store = resolved.store || new MemoryRevisionStore();
+    // The revisions of a template are read, extended and written back; this chains the updates of every template.
+    this.pending = new Map();
+  }
+
+  /**
+   * Returns a promise of the revisions of a template, oldest first. Each revision is
+   * `{revision, templateId, operation, recordedAt, template}`, where revision numbers the revisions of the template
+   * from 1, operation is the put, patch or delete that replaced the version and template holds `{body, contentType,
+   * isPublic, templateType, name, description, metadata, etag}`.
+   */
+  list(templateId) {
+    return Promise.resolve(this.store.get(templateId)).then((revisions) => revisions || []);
+  }
+
+  /**
+   * Returns a promise of a revision of a template, or undefined when there is no such revision.
+   */
+  get(templateId, revision) {
+    return this.list(templateId).then((revisions) => revisions.find((candidate) => candidate.revision === Number(revision)));
+  }
+
+  /**
+   * Records the version of a template that an operation is about to replace. A version equal to the latest
+   * revision is not recorded again.
+   *
+   * @param {string} templateId The id of the template.
+   * @param {object} template The template as returned by `getTemplate`, with the body as text in `body`.
+   * @param {string} operation The operation, put, patch or delete.
+   * @return {Promise} A promise of the new revision, or of the latest one when the version was recorded already.
+   */
+  record(templateId, template, operation) {
+    const snapshot = {};
+    SNAPSHOT_FIELDS.concat('etag').filter((field) => template[field] !== undefined).forEach((field) => snapshot[field] = template[field]);
+
+    const previous = this.pending.get(templateId) || Promise.resolve();
+    const recorded = previous.catch(() => undefined).then(() => this.list(templateId)).then((revisions) => {
+      const latest = revisions[revisions.length - 1];
+      if (latest && SNAPSHOT_FIELDS.every((field) => JSON.stringify(latest.template[field]) === JSON.stringify(snapshot[field]))) {
+        return latest;
+      }
+      const revision = {
+        revision: latest ? latest.revision + 1 : 1,
+        templateId: templateId,
+        operation: operation,
+        recordedAt: new Date().toISOString(),
+        template: snapshot,
+      };
+      return Promise.resolve(this.store.set(templateId, revisions.concat(revision).slice(-this.maxRevisions)))
+        .then(() => revision);
+    });
+    this.pending.set(templateId, recorded);
+    const cleanUp = () => {
+      if (this.pending.get(templateId) === recorded) {
+        this.pending.delete(templateId);
+      }
+    };
+    recorded.then(cleanUp, cleanUp);
+    return recorded;
+  }
+}
+
+module.exports = {
+  RevisionStore,
+  MemoryRevisionStore,
+  FileRevisionStore,
+};
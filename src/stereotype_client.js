@@ -1,43 +1,129 @@
 'use-strict';
 
 const request = require('superagent');
+const {PassThrough} = require('stream');
 const Base64 = require('js-base64').Base64;
-const contentTypeParser = require('content-type');
 const qs = require('qs');
+const {
+  StereotypeError,
+  TemplateNotFoundError,
+  PermissionDeniedError,
+  ValidationError,
+  ConflictError,
+  TimeoutError,
+  InvalidTemplateUrlError,
+  AbortError,
+} = require('./errors');
+const {withDefaults, toOptions} = require('./options');
+const {resolveRetryPolicy, getRetryDelay} = require('./retry_policy');
+const {createCancelToken, onAbort} = require('./cancellation');
+const {TemplateCache} = require('./template_cache');
+const {RevisionStore} = require('./revision_store');
+const {Template} = require('./template');
+const {createAsyncIterator, flatten, forEachAsync} = require('./async_iterator');
+const {normalizeMetadata, resolveTemplateQuery, matchesTemplateQuery, matchesMetadata} = require('./template_query');
+const {DEFAULT_MAX_METADATA_SIZE, toMetadataList, checkMetadataSize} = require('./template_metadata');
+const {runConcurrently} = require('./concurrency');
+const {readManifest, createSyncPlan, summarizeSync, diffTemplate} = require('./template_sync');
+const {createBundle, bundleToTar, parseBundle, planImport, summarizeImport} = require('./template_bundle');
+const {readResult} = require('./binary_result');
+const {ContentTypeRegistry, defaultRegistry} = require('./content_types');
+const {lintTemplate} = require('./template_linter');
+const {parseTemplate} = require('./template_parser');
+const {validatePropertyBag, getVariablePaths} = require('./property_bag');
 
 const defaultConf = {
   baseUrl: 'https://stereotype.trdlnk.cimpress.io',
   timeout: 5000, // Wait 5 seconds for the server to start sending,
   deadline: 60000, // but allow 1 minute for the file to finish loading.
-  numRetries: 3,
+  numRetries: 3, // Used as the retry policy's maxAttempts - 1 when no retry policy is given.
+  pollInterval: 500, // Wait half a second before polling an async materialization for the first time,
+  pollBackoff: 2, // and double the wait after every unsuccessful attempt.
+  tokenRefreshMargin: 30000, // Refresh tokens from a token provider 30 seconds before they expire.
+  pageSize: 100, // Iterate templates 100 at a time.
+  batchConcurrency: 5, // Run up to 5 materializations of a batch, or template requests of a sync, at the same time.
 };
 
-const supportedContentTypes = {
-  dust: ['text/dust'],
-  mustache: ['text/mustache'],
-  handlebars: ['text/handlebars', 'text/x-handlebars-template'],
-  edie: ['application/vnd.cimpress.edie+json'],
+const CURIE_SEPARATOR = ';';
+
+const templateDefaults = {
+  body: null,
+  contentType: null,
+  isPublic: false,
+  templateType: null,
+  name: null,
+  description: null,
+  metadata: null,
+  signal: undefined,
 };
 
-const supportedPostProcessors = [
-  'mjml',
-  'xlsx',
-];
+const putTemplateDefaults = Object.assign({ifMatch: undefined}, templateDefaults);
+
+// Settings that control how the service crawls the links in a property bag. They default to the values set
+// on the client with the setters, e.g. setBlacklistHeader(), and can be overridden per call or with client.with().
+const crawlerDefaults = {
+  blacklist: undefined,
+  whitelist: undefined,
+  curies: undefined,
+  maxDepth: undefined,
+  softErrors: undefined,
+  accept: undefined,
+  acceptPreference: undefined,
+};
 
-const CURIE_SEPARATOR = ';';
+const materializeDefaults = Object.assign({
+  returnId: false,
+  skipCache: false,
+  contentType: 'application/json',
+  binary: undefined,
+  strictPropertyBag: undefined,
+  signal: undefined,
+}, crawlerDefaults);
 
 class StereotypeClient {
   /**
    * Instantiates a StereotypeClient, ready to work with templates.
    *
-   * @param {string} accessToken Auth0 authentication token
-   * @param {object} options A JSON Object that contains baseUrl, xray, timeout, deadline, numRetries, isBinaryResponse keys.
+   * @param {string|function} accessToken Auth0 authentication token, or a token provider: a function that returns
+   *    a token (or a promise of one). Tokens from a provider are cached and refreshed before they expire.
+   * @param {object} options A JSON Object that contains baseUrl, xray, timeout, deadline, numRetries, retryPolicy,
+   *    isBinaryResponse, tokenProvider, tokenRefreshMargin keys. The retryPolicy is an object with the keys:
+   *    - maxAttempts: the maximum number of attempts per request, including the first. Defaults to numRetries + 1.
+   *    - baseDelay: milliseconds to wait before the first retry; the wait doubles with every retry. Defaults to 100.
+   *    - maxDelay: the maximum wait between two attempts. Defaults to 5000.
+   *    - deadline: the milliseconds after the first attempt past which no retry waits. Defaults to the client deadline.
+   *    - jitter: wait a random time between 0 and the computed delay. Defaults to true.
+   *    - retryableStatuses: the response statuses that are retried. Defaults to 408, 429, 500, 502, 503, 504.
+   *    - retryableCodes: the network error codes that are retried, e.g. ECONNRESET.
+   *    - retryNonIdempotent: also retry requests that are not idempotent, i.e. creating templates with POST.
+   *      Defaults to false.
+   *    A Retry-After header on 429 and 503 responses replaces the computed delay, also beyond maxDelay; the request
+   *    fails instead when the wait would end past the deadline.
+   *    The templateCache enables caching templates and template lists on the client. It is either `true`,
+   *    the options of a TemplateCache (`{maxEntries, ttl, store}`) or a TemplateCache, which may be shared by clients;
+   *    entries are keyed by the principal of the token, so clients never receive each other's responses.
+   *    The revisionStore enables recording the version of a template before every put and delete, for `listRevisions`,
+   *    `diffRevisions` and `rollbackTemplate`. It is either `true`, the options of a RevisionStore
+   *    (`{maxRevisions, store}`) or a RevisionStore.
+   *    The content type settings control which templates the client accepts before sending them:
+   *    - contentTypes: additional content types of this client, an object mapping names to MIME types.
+   *    - postProcessors: additional post-processors of this client.
+   *    - discoverContentTypes: register the content types the service's swagger document declares. Templates are
+   *      validated once the document is loaded; a failure to load it only leaves the known types in place.
+   *    - strictContentTypes: set to false to send templates of any content type. Defaults to true.
+   *    The validateBeforeUpload option makes putTemplate and createTemplate lint mustache, handlebars, dust and edie
+   *    templates, and reject with a ValidationError carrying the diagnostics instead of uploading broken templates.
+   *    The strictPropertyBag option makes the materialize methods check property bags with `validatePropertyBag`,
+   *    and reject with a ValidationError when they miss keys the template renders. It can be overridden per call.
+   *    The maxMetadataSize option is the size in bytes the encoded metadata header of a template may take before
+   *    uploads are rejected with a ValidationError. Defaults to 4096.
    */
   constructor(accessToken, options = {}) {
-    this.accessToken = String(accessToken);
-
-    // Strip any token prefix, e.g. 'Bearer '. If no prefix is found this code won't have any effect.
-    this.accessToken = this.accessToken.substring(this.accessToken.indexOf(' ') + 1);
+    this.tokenProvider = typeof accessToken === 'function' ? accessToken : options.tokenProvider;
+    this.tokenRefreshMargin = options.tokenRefreshMargin || defaultConf.tokenRefreshMargin;
+    if (!this.tokenProvider) {
+      this.accessToken = StereotypeClient._stripTokenPrefix(accessToken);
+    }
 
     // Options
     this.baseUrl = options.baseUrl || defaultConf.baseUrl;
@@ -48,10 +134,25 @@ class StereotypeClient {
     this.xray = options.xray || StereotypeClient._getDummyXray();
     this.timeout = options.timeout || defaultConf.timeout;
     this.deadline = options.deadline || defaultConf.deadline;
-    this.numRetries = options.numRetries || defaultConf.numRetries;
-    this.isBinaryResponse = options.isBinaryResponse || false;
+    this.numRetries = typeof options.numRetries === 'number' ? options.numRetries : defaultConf.numRetries;
+    this.retryPolicy = resolveRetryPolicy(options.retryPolicy, {maxAttempts: this.numRetries + 1, deadline: this.deadline});
+    this.handleBinaryResponse(options.isBinaryResponse !== undefined ? options.isBinaryResponse : 'auto');
+    this.templateCache = StereotypeClient._getTemplateCache(options.templateCache);
+    this.revisionStore = StereotypeClient._getRevisionStore(options.revisionStore);
+
+    this.contentTypes = new ContentTypeRegistry(defaultRegistry);
+    Object.keys(options.contentTypes || {}).forEach((name) => this.registerContentType(name, options.contentTypes[name]));
+    (options.postProcessors || []).forEach((postProcessor) => this.registerPostProcessor(postProcessor));
+    this.strictContentTypes = options.strictContentTypes !== false;
+    this.validateBeforeUpload = Boolean(options.validateBeforeUpload);
+    this.strictPropertyBag = Boolean(options.strictPropertyBag);
+    this.maxMetadataSize = options.maxMetadataSize || DEFAULT_MAX_METADATA_SIZE;
 
     this.curies = {};
+    this.interceptors = [];
+    this.templatePatchSupport = null;
+
+    this.contentTypeDiscovery = options.discoverContentTypes ? this.discoverContentTypes().catch(() => []) : Promise.resolve([]);
   }
 
   /**
@@ -71,28 +172,434 @@ class StereotypeClient {
     };
   }
 
-  static _isSupportedContentType(contentType) {
-    const parsedContentType = contentTypeParser.parse(contentType);
-    let validContentType = false;
-    for (let key in supportedContentTypes) {
-      if (supportedContentTypes[key].includes(parsedContentType.type)) {
-        validContentType = true;
-      }
+  static _getTemplateCache(templateCache) {
+    if (!templateCache || templateCache instanceof TemplateCache) {
+      return templateCache || null;
+    }
+    return new TemplateCache(templateCache === true ? {} : templateCache);
+  }
+
+  static _getRevisionStore(revisionStore) {
+    if (!revisionStore || revisionStore instanceof RevisionStore) {
+      return revisionStore || null;
+    }
+    return new RevisionStore(revisionStore === true ? {} : revisionStore);
+  }
+
+  /**
+   * Strips any token prefix, e.g. 'Bearer '. If no prefix is found this code won't have any effect.
+   */
+  static _stripTokenPrefix(accessToken) {
+    const token = String(accessToken);
+    return token.substring(token.indexOf(' ') + 1);
+  }
+
+  /**
+   * Returns the expiration time of a JWT in milliseconds, or null when the token carries no `exp` claim.
+   */
+  static _getTokenExpiration(accessToken) {
+    try {
+      const claims = JSON.parse(Base64.decode(accessToken.split('.')[1] || ''));
+      return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  /**
+   * Returns a promise with the access token to use. Tokens from a token provider are cached until
+   * shortly before they expire, or until a refresh is forced.
+   *
+   * @param {boolean} forceRefresh Ignore the cached token and ask the token provider for a new one.
+   */
+  _getAccessToken(forceRefresh = false) {
+    if (!this.tokenProvider) {
+      return Promise.resolve(this.accessToken);
+    }
+
+    const isFresh = this._cachedToken
+      && (!this._cachedToken.expiresAt || this._cachedToken.expiresAt - this.tokenRefreshMargin > Date.now());
+    if (isFresh && !forceRefresh) {
+      return Promise.resolve(this._cachedToken.token);
+    }
+
+    // Concurrent calls share one pending refresh instead of each asking the provider.
+    if (!this._pendingToken) {
+      this._pendingToken = Promise.resolve()
+        .then(() => this.tokenProvider())
+        .then((accessToken) => {
+          const token = StereotypeClient._stripTokenPrefix(accessToken);
+          this._cachedToken = {token, expiresAt: StereotypeClient._getTokenExpiration(token)};
+          this._pendingToken = null;
+          return token;
+        }, (err) => {
+          this._pendingToken = null;
+          throw err;
+        });
+    }
+    return this._pendingToken;
+  }
+
+  /**
+   * Sends an authorized request. `sendRequest` receives the access token and must build and send a new
+   * request on every call. When a token provider is used and the service responds with 401, the request is
+   * retried once with a freshly fetched token.
+   *
+   * @param {function} sendRequest A function that receives the access token and returns a superagent request.
+   */
+  _authorize(sendRequest) {
+    return this._getAccessToken()
+      .then((accessToken) => sendRequest(accessToken))
+      .catch((err) => {
+        if (err.status !== 401 || !this.tokenProvider) {
+          throw err;
+        }
+        return this._getAccessToken(true).then((accessToken) => sendRequest(accessToken));
+      });
+  }
+
+  /**
+   * Sends a request to the service. Every method goes through here, so that all requests are traced with X-Ray,
+   * authorized, subject to the timeout and retry settings, and passed through the interceptors registered with `use`.
+   *
+   * @param {object} spec The request:
+   *    - segment: the name of the X-Ray subsegment, e.g. Stereotype.listTemplates.
+   *    - method: the HTTP method.
+   *    - url: the URL, without a query string.
+   *    - query: an object with the query string parameters. Optional.
+   *    - skipCache: explicitly bypass caching by adding a random query param. Optional.
+   *    - headers: the request headers. Headers that are undefined or null are not sent. Optional.
+   *    - body: the request body. Optional.
+   *    - responseType: the superagent response type, e.g. blob. Optional.
+   *    - idempotent: false when the request must not be retried unless the retry policy allows it. Optional.
+   *    - isRetryable: a function that marks additional errors as retryable. Optional.
+   *    - signal: an AbortSignal or cancel token signal that aborts the request and its retries. Optional.
+   *    - cacheable: whether the response may be served from and stored in the template cache. Optional.
+   *    - streamTo: a writable stream that receives the body of a successful response instead of buffering it.
+   *      The promise resolves as soon as the headers arrive. Optional.
+   *    - annotations: additional X-Ray annotations. Optional.
+   *    - annotateResponse: a function that returns additional X-Ray annotations for the response. Optional.
+   * @return {Promise} A promise of the superagent response, rejected with a StereotypeError.
+   */
+  _execute(spec) {
+    const self = this;
+    return new Promise((resolve, reject) => {
+      self.xray.captureAsyncFunc(spec.segment, function(subsegment) {
+        subsegment.addAnnotation('URL', spec.url);
+        subsegment.addAnnotation('RESTAction', spec.method);
+        Object.keys(spec.annotations || {}).forEach((key) => subsegment.addAnnotation(key, spec.annotations[key]));
+
+        let activeRequest = null;
+        let settled = false;
+        const abort = () => {
+          if (settled) {
+            return;
+          }
+          settled = true;
+          if (activeRequest) {
+            activeRequest.abort();
+          }
+          subsegment.addAnnotation('Cancelled', true);
+          subsegment.close();
+          reject(StereotypeClient._getAbortError(spec.method, spec.url));
+        };
+        if (spec.signal && spec.signal.aborted) {
+          abort();
+          return;
+        }
+        const stopListening = onAbort(spec.signal, abort);
+        const send = (req, accessToken) => {
+          if (settled) {
+            throw StereotypeClient._getAbortError(spec.method, spec.url);
+          }
+          activeRequest = self._buildRequest(req, accessToken, spec.streamTo);
+          return activeRequest;
+        };
+
+        const requestContext = {
+          method: spec.method,
+          url: spec.url,
+          query: Object.assign({}, spec.query),
+          skipCache: Boolean(spec.skipCache),
+          headers: Object.assign({}, spec.headers),
+          body: spec.body,
+          responseType: spec.responseType,
+        };
+
+        self._runRequestInterceptors(requestContext)
+          .then((req) => self._sendCached(spec, req, (cachedReq) => self._retry(spec,
+            () => self._authorize((accessToken) => send(cachedReq, accessToken))))
+            .then(
+              (res) => self._runResponseInterceptors(res, req),
+              (err) => self._runErrorInterceptors(StereotypeError.fromResponseError(err, req.method, req.url), req)
+            ))
+          .then(
+            (res) => {
+              if (settled) {
+                return;
+              }
+              settled = true;
+              stopListening();
+              subsegment.addAnnotation('ResponseCode', res.status);
+              const responseAnnotations = spec.annotateResponse ? spec.annotateResponse(res) : {};
+              Object.keys(responseAnnotations).forEach((key) => subsegment.addAnnotation(key, responseAnnotations[key]));
+              subsegment.close();
+              resolve(res);
+            },
+            (err) => {
+              if (settled) {
+                return;
+              }
+              settled = true;
+              stopListening();
+              subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
+              subsegment.close(err);
+              reject(StereotypeError.fromResponseError(err, spec.method, spec.url));
+            }
+          );
+      }); // Closes self.xray.captureAsyncFunc()
+    }); // Closes new Promise()
+  }
+
+  /**
+   * Sends a cacheable request through the template cache. Fresh cache entries are returned without a request,
+   * stale ones are revalidated with a conditional request. With the cache enabled `skipCache` revalidates
+   * the entry instead of adding a random query parameter, so caches along the way still work.
+   *
+   * @param {object} spec The request, see `_execute`.
+   * @param {object} req The request context.
+   * @param {function} sendRequest A function that sends a request context and returns a promise of the response.
+   */
+  _sendCached(spec, req, sendRequest) {
+    if (!spec.cacheable || !this.templateCache) {
+      return sendRequest(req);
     }
 
-    const postProcessors = ((parsedContentType.parameters || {}).postprocessors || '')
-      .split(',')
-      .map((pp) => pp.toLowerCase().trim())
-      .filter((pp) => pp !== '');
+    const cache = this.templateCache;
+    let key;
+    return this._getAccessToken()
+      .then((accessToken) => {
+        key = TemplateCache.getKey(req, TemplateCache.getIdentity(accessToken));
+        return cache.get(key);
+      })
+      .then((entry) => {
+        if (entry && !req.skipCache && cache.isFresh(entry)) {
+          return entry.response;
+        }
+
+        const conditionalHeaders = entry ? TemplateCache.getConditionalHeaders(entry) : {};
+        const conditionalReq = Object.assign({}, req, {
+          skipCache: false,
+          headers: Object.assign({}, req.headers, conditionalHeaders, {'Cache-Control': req.skipCache ? 'no-cache' : undefined}),
+        });
+        return sendRequest(conditionalReq).then(
+          (res) => cache.set(key, res).then(() => res),
+          (err) => {
+            if (entry && err.status === 304) {
+              return cache.touch(key, entry).then(() => entry.response);
+            }
+            throw err;
+          }
+        );
+      });
+  }
+
+  /**
+   * Removes templates from the template cache. Putting, creating and deleting templates does so automatically,
+   * this is only needed when templates are changed by other clients.
+   *
+   * @param {string} templateUrl The template to remove, together with the cached template lists.
+   *    Optional, removes all entries when omitted.
+   * @return {Promise} A promise that resolves once the entries are removed.
+   */
+  invalidateTemplateCache(templateUrl) {
+    return this._invalidateCachedTemplates(templateUrl ? [templateUrl, this._getUrl('/v1/templates')] : undefined);
+  }
+
+  _invalidateCachedTemplates(urls) {
+    return this.templateCache ? this.templateCache.invalidate(urls) : Promise.resolve();
+  }
+
+  /**
+   * Calls `sendRequest` until it succeeds or the retry policy gives up, waiting between attempts.
+   * Aborting the signal of the request ends the wait right away, so the next attempt can give up.
+   *
+   * @param {object} spec The request, see `_execute`.
+   * @param {function} sendRequest A function that sends a new request on every call and returns a promise.
+   */
+  _retry(spec, sendRequest) {
+    const startedAt = Date.now();
+    const attempt = (number) => sendRequest().catch((err) => {
+      const delay = getRetryDelay(this.retryPolicy, err, number, spec, Date.now() - startedAt);
+      if (delay === null) {
+        throw err;
+      }
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          stopListening();
+          resolve();
+        }, delay);
+        const stopListening = onAbort(spec.signal, () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      }).then(() => attempt(number + 1));
+    });
+    return attempt(1);
+  }
+
+  /**
+   * Builds and sends the superagent request described by a request context.
+   * The body of a successful response is piped into `streamTo`, when given, instead of being buffered.
+   */
+  _buildRequest(req, accessToken, streamTo) {
+    const query = Object.assign({}, req.query);
+    if (req.skipCache) {
+      query.skip_cache = Math.random();
+    }
+    const queryString = qs.stringify(query, {arrayFormat: 'repeat'});
+
+    const headers = {};
+    Object.keys(req.headers)
+      .filter((header) => req.headers[header] !== undefined && req.headers[header] !== null)
+      .forEach((header) => headers[header] = req.headers[header]);
+
+    let superagentRequest = request(req.method, req.url + (queryString ? `?${queryString}` : ''))
+      .timeout({
+        response: this.timeout,
+        deadline: this.deadline,
+      })
+      .set(headers)
+      .set('Authorization', 'Bearer ' + accessToken);
+
+    if (req.responseType) {
+      superagentRequest.responseType(req.responseType);
+    }
+    if (streamTo) {
+      // superagent buffers JSON responses whatever is asked for, and then waits for the parser to finish. Buffering
+      // every response keeps both cases the same: successful responses finish parsing right away and are piped,
+      // error responses are read in full so that the error carries the decoded body.
+      superagentRequest.buffer(true).maxResponseSize(Number.MAX_SAFE_INTEGER).parse((res, done) => {
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          StereotypeClient._readErrorBody(res, done);
+          return;
+        }
+        res.on('aborted', () => streamTo.destroy(new StereotypeError(`${req.method} ${req.url} failed: response aborted`, {
+          method: req.method,
+          url: req.url,
+        })));
+        streamTo.on('close', () => res.destroy());
+        res.pipe(streamTo);
+        done(null, undefined);
+      });
+    }
+    return req.body !== undefined ? superagentRequest.send(req.body) : superagentRequest;
+  }
 
-    let validPostProcessor = true;
-    postProcessors.forEach( (pp) => {
-      if (!supportedPostProcessors.includes(pp)) {
-        validPostProcessor = false;
+  /**
+   * Reads the body of an error response for a streaming request, decoding JSON like superagent's own parsers do.
+   */
+  static _readErrorBody(res, done) {
+    const chunks = [];
+    res.on('data', (chunk) => chunks.push(Buffer.from(chunk)));
+    res.on('error', (err) => done(err));
+    res.on('end', () => {
+      res.text = Buffer.concat(chunks).toString('utf8');
+      let body;
+      if (/[/+]json(\s*;|$)/i.test(res.headers['content-type'] || '')) {
+        try {
+          body = JSON.parse(res.text);
+        } catch (err) {
+          // The text is kept as the body of the error.
+        }
       }
+      done(null, body);
     });
+  }
+
+  _runRequestInterceptors(req) {
+    return this.interceptors
+      .filter((interceptor) => interceptor.onRequest)
+      .reduce((promise, interceptor) => promise
+        .then((current) => Promise.resolve(interceptor.onRequest(current)).then((next) => next || current)),
+      Promise.resolve(req));
+  }
+
+  _runResponseInterceptors(res, req) {
+    return this.interceptors
+      .filter((interceptor) => interceptor.onResponse)
+      .reduce((promise, interceptor) => promise
+        .then((current) => Promise.resolve(interceptor.onResponse(current, req)).then((next) => next || current)),
+      Promise.resolve(res));
+  }
+
+  _runErrorInterceptors(err, req) {
+    return this.interceptors
+      .filter((interceptor) => interceptor.onError)
+      .reduce((promise, interceptor) => promise
+        .catch((current) => Promise.resolve(interceptor.onError(current, req)).then((recovered) => {
+          if (recovered === undefined) {
+            throw current;
+          }
+          return recovered;
+        })),
+      Promise.reject(err));
+  }
+
+  /**
+   * Registers a template content type with all clients.
+   *
+   * @param {string} name The name of the template language, e.g. mustache.
+   * @param {string|string[]} mimeTypes The MIME types of templates in that language.
+   */
+  static registerContentType(name, mimeTypes) {
+    defaultRegistry.registerContentType(name, mimeTypes);
+  }
+
+  /**
+   * Registers a post-processor with all clients.
+   */
+  static registerPostProcessor(name) {
+    defaultRegistry.registerPostProcessor(name);
+  }
+
+  static _isSupportedContentType(contentType) {
+    return defaultRegistry.isSupported(contentType);
+  }
+
+  /**
+   * Registers a template content type with this client only. See `StereotypeClient.registerContentType`.
+   */
+  registerContentType(name, mimeTypes) {
+    this.contentTypes.registerContentType(name, mimeTypes);
+  }
 
-    return validContentType && validPostProcessor;
+  /**
+   * Registers a post-processor with this client only.
+   */
+  registerPostProcessor(name) {
+    this.contentTypes.registerPostProcessor(name);
+  }
+
+  /**
+   * Parses a template and returns the problems found in it, each with a `severity`, a `message`, and the `line`
+   * and `column` it starts at. Mustache, handlebars, dust and edie templates are checked; for other content types
+   * the result is always empty.
+   *
+   * @param {string} body The template.
+   * @param {string} contentType The content type of the template, e.g. text/mustache.
+   * @return {object[]} The diagnostics.
+   */
+  lintTemplate(body, contentType) {
+    return lintTemplate(body, this.contentTypes.getName(contentType));
+  }
+
+  /**
+   * Tells whether this client accepts templates of a content type, including its postProcessors parameter.
+   * Every content type is accepted when strictContentTypes is turned off.
+   */
+  isSupportedContentType(contentType) {
+    return !this.strictContentTypes || this.contentTypes.isSupported(contentType);
   }
 
   setBlacklistHeader(headerValue) {
@@ -123,8 +630,22 @@ class StereotypeClient {
     this.crawlerSoftErrors = String(headerValue);
   }
 
+  /**
+   * Sets how materializations are returned: `true` returns a BinaryResult, `false` a string and `'auto'`,
+   * the default, decides by the Content-Type of the response.
+   */
   handleBinaryResponse(binary) {
-    this.isBinaryResponse = Boolean(binary);
+    this.isBinaryResponse = binary === 'auto' ? 'auto' : Boolean(binary);
+  }
+
+  /**
+   * Returns the binary setting of a call: its own `binary` option, or the client setting when it has none.
+   */
+  _getBinaryMode(binary) {
+    if (binary === undefined) {
+      return this.isBinaryResponse;
+    }
+    return binary === 'auto' ? 'auto' : Boolean(binary);
   }
 
   /**
@@ -138,65 +659,294 @@ class StereotypeClient {
 
   /**
    * Construct a curie header from the key-value pairs set with setCurie().
+   *
+   * @param {object} curies The curies to use instead of the ones set with setCurie(). Optional.
    */
-  _constructCurieHeader() {
-    return Object.keys(this.curies)
-      .map((k) => k + CURIE_SEPARATOR + this.curies[k])
+  _constructCurieHeader(curies = this.curies) {
+    return Object.keys(curies)
+      .map((k) => k + CURIE_SEPARATOR + curies[k])
       .join(',');
   }
 
+  /**
+   * Returns a new client that shares the configuration of this one, but uses different crawler settings.
+   * This client is not modified, so the returned client can safely be used for concurrent requests.
+   *
+   * @param {object} settings Any of the following keys:
+   *    - blacklist, whitelist: the link relations the crawler must not or may only follow.
+   *    - curies: a curie header string, or an object mapping link relations to their replacements.
+   *      An object is merged with the curies set with setCurie().
+   *    - maxDepth: the maximum crawl depth.
+   *    - softErrors: whether the crawler should ignore errors when following links.
+   *    - accept, acceptPreference: the accept and accept preference headers.
+   *    - binary: whether materializations should be returned as binary data.
+   *    - retryPolicy: retry policy settings, merged with the retry policy of this client. See the constructor.
+   */
+  with(settings = {}) {
+    const resolved = withDefaults('with', settings, Object.assign({binary: undefined, retryPolicy: undefined}, crawlerDefaults));
+    const derived = Object.assign(Object.create(Object.getPrototypeOf(this)), this, {
+      curies: Object.assign({}, this.curies),
+      interceptors: this.interceptors.slice(),
+      contentTypes: new ContentTypeRegistry(this.contentTypes),
+    });
+
+    if (typeof resolved.curies === 'string') {
+      derived.setCurieHeader(resolved.curies);
+    } else if (resolved.curies) {
+      Object.keys(resolved.curies).forEach((rel) => derived.setCurie(rel, resolved.curies[rel]));
+    }
+    if (resolved.blacklist !== undefined) {
+      derived.setBlacklistHeader(resolved.blacklist);
+    }
+    if (resolved.whitelist !== undefined) {
+      derived.setWhitelistHeader(resolved.whitelist);
+    }
+    if (resolved.maxDepth !== undefined) {
+      derived.setMaximumCrawlDepthHeader(resolved.maxDepth);
+    }
+    if (resolved.softErrors !== undefined) {
+      derived.setCrawlerSoftErrors(resolved.softErrors);
+    }
+    if (resolved.accept !== undefined) {
+      derived.setAcceptHeader(resolved.accept);
+    }
+    if (resolved.acceptPreference !== undefined) {
+      derived.setAcceptPreferenceHeader(resolved.acceptPreference);
+    }
+    if (resolved.binary !== undefined) {
+      derived.handleBinaryResponse(resolved.binary);
+    }
+    if (resolved.retryPolicy !== undefined) {
+      derived.retryPolicy = resolveRetryPolicy(resolved.retryPolicy, this.retryPolicy);
+    }
+    return derived;
+  }
+
+  /**
+   * Returns the crawler headers to send, combining the client-wide settings with the ones passed to a single call.
+   * Headers that should not be sent are undefined.
+   *
+   * @param {object} overrides The crawler settings of a single call, see `with`.
+   */
+  _getCrawlerHeaders(overrides = {}) {
+    const pick = (override, clientValue) => (override !== undefined ? String(override) : clientValue) || undefined;
+
+    let curieHeader = this.curieHeader || (Object.keys(this.curies).length ? this._constructCurieHeader() : undefined);
+    if (typeof overrides.curies === 'string') {
+      curieHeader = overrides.curies;
+    } else if (overrides.curies) {
+      curieHeader = this._constructCurieHeader(Object.assign({}, this.curies, overrides.curies));
+    }
+
+    return {
+      'x-cimpress-rel-blacklist': pick(overrides.blacklist, this.blacklistHeader),
+      'x-cimpress-rel-whitelist': pick(overrides.whitelist, this.whitelistHeader),
+      'accept': pick(overrides.accept, this.acceptHeader),
+      'x-cimpress-accept-preference': pick(overrides.acceptPreference, this.acceptPreferenceHeader),
+      'x-cimpress-rel-curies': curieHeader || undefined,
+      'x-cimpress-max-depth': pick(overrides.maxDepth, this.maximumCrawlDepthHeader),
+      'x-cimpress-crawler-soft-errors': pick(overrides.softErrors, this.crawlerSoftErrors),
+    };
+  }
+
+  /**
+   * Registers an interceptor that sees every request the client sends. All hooks are optional and may return
+   * a promise. They are called in the order the interceptors were registered.
+   *
+   * @param {object} interceptor An object with any of the following functions:
+   *    - onRequest(req): called before a request is sent. `req` holds the `method`, `url`, `query`, `skipCache`,
+   *      `headers`, `body` and `responseType` of the request and may be modified or replaced by returning a new one.
+   *      The Authorization header is added afterwards and is never visible to interceptors.
+   *    - onResponse(res, req): called with the superagent response. May return a replacement response.
+   *    - onError(err, req): called with the StereotypeError of a failed request, or with the unchanged error of
+   *      the token provider. May throw a different error, which reaches the caller as it is, or return a response
+   *      (an object with `status`, `headers` and `body` or `text`) to recover from the error.
+   * @return {function} A function that removes the interceptor again.
+   */
+  use(interceptor) {
+    this.interceptors.push(interceptor);
+    return () => {
+      this.interceptors = this.interceptors.filter((registered) => registered !== interceptor);
+    };
+  }
+
+  /**
+   * Returns a `Template` handle on a stored template, with `get`, `info`, `body`, `put`, `patch`, `delete`,
+   * `materialize` and `materializeAsync` methods that need no template reference. The handle remembers the template
+   * info it fetched and posts materializations to the materializations link of the template when there is one.
+   * Throws an InvalidTemplateUrlError for URLs of other services.
+   *
+   * @param {string} template The id or the URL of the template.
+   */
+  template(template) {
+    return new Template(this, template);
+  }
+
   /**
    * Returns a list of JSON objects with the following fields:
    * - templateId: string
    * - canCopy: boolean
    * - canEdit: boolean
    *
+   * Accepts either the positional parameters or a single `{skipCache, includePublic, templateTypes, metadata,
+   * metadataKeys, signal}` object. `metadata` keeps the templates with the given metadata values, e.g.
+   * `{owner: 'team-a', locale: ['en', 'de']}` where a list matches any of its values, and `metadataKeys` the
+   * templates that have all given metadata keys.
+   *
    * @param {boolean} skipCache
    * @param {boolean} includePublic
-   * @param {string[]} templateTypes
+   * @param {string|string[]} templateTypes
    */
   listTemplates(skipCache = false, includePublic = false, templateTypes) {
-    let self = this;
-    let templatesUrl = this._getUrl('/v1/templates');
-    return new Promise((resolve, reject) => {
-      self.xray.captureAsyncFunc('Stereotype.listTemplates', function(subsegment) {
-        subsegment.addAnnotation('URL', templatesUrl);
-        subsegment.addAnnotation('REST Action', 'GET');
+    return Promise.resolve().then(() => {
+      const options = toOptions('listTemplates', skipCache, {
+        skipCache: false,
+        includePublic: false,
+        templateTypes: [],
+        metadata: undefined,
+        metadataKeys: undefined,
+        signal: undefined,
+      }, {skipCache, includePublic, templateTypes});
+      const filtered = options.metadata !== undefined || options.metadataKeys !== undefined;
+
+      return this._execute({
+        segment: 'Stereotype.listTemplates',
+        method: 'GET',
+        url: this._getUrl('/v1/templates'),
+        query: {
+          public: options.includePublic,
+          templateType: [].concat(options.templateTypes),
+        },
+        skipCache: options.skipCache,
+        signal: options.signal,
+        cacheable: true,
+      }).then((res) => (filtered
+        ? res.body.filter((template) => matchesMetadata(template.metadata, options.metadata, options.metadataKeys))
+        : res.body));
+    });
+  }
+
+  /**
+   * Returns an async iterator over the templates, to be used with `for await`. Pages of `pageSize` templates are
+   * requested with a `limit` query parameter and `links.next` is followed when the service paginates the list.
+   * A service that returns all templates at once is handled as well; its list is split into pages locally.
+   * The returned iterator has a `pages()` function that returns a new iterator over the pages instead.
+   *
+   * @param {object} options Optional settings:
+   *    - includePublic, templateTypes: the same filters as `listTemplates`.
+   *    - pageSize: the number of templates per page. Defaults to 100.
+   *    - skipCache: explicitly bypass caching. Defaults to false.
+   *    - signal: an AbortSignal or cancel token signal.
+   */
+  iterateTemplates(options = {}) {
+    const resolved = withDefaults('iterateTemplates', options, {
+      includePublic: false,
+      templateTypes: [],
+      pageSize: defaultConf.pageSize,
+      skipCache: false,
+      signal: undefined,
+    });
+    const templates = flatten(this._iterateTemplatePages(resolved));
+    templates.pages = () => this._iterateTemplatePages(resolved);
+    return templates;
+  }
+
+  _iterateTemplatePages(options) {
+    let chunks = [];
+    let nextPage = {
+      url: this._getUrl('/v1/templates'),
+      query: {
+        public: options.includePublic,
+        templateType: [].concat(options.templateTypes),
+        limit: options.pageSize,
+      },
+    };
 
-        let paramsObj = {'public': includePublic};
-        if (skipCache) {
-          paramsObj.skip_cache = Math.random();
+    const pull = () => {
+      if (chunks.length) {
+        return Promise.resolve({value: chunks.shift(), done: false});
+      }
+      if (!nextPage) {
+        return Promise.resolve({value: undefined, done: true});
+      }
+      const page = nextPage;
+      nextPage = null;
+      return this._execute({
+        segment: 'Stereotype.listTemplates',
+        method: 'GET',
+        url: page.url,
+        query: page.query,
+        skipCache: options.skipCache,
+        signal: options.signal,
+        cacheable: true,
+      }).then((res) => {
+        const paginated = !Array.isArray(res.body);
+        const templates = paginated ? (res.body.items || []) : res.body;
+        const next = paginated && res.body.links && res.body.links.next;
+        nextPage = next ? {url: this._getLinkUrl(next.href), query: {}} : null;
+        for (let i = 0; i < templates.length; i += options.pageSize) {
+          chunks.push(templates.slice(i, i + options.pageSize));
         }
-        let templateTypeParams = (templateTypes || []).map((type) => `templateType=${encodeURIComponent(type)}`);
-        let params = [qs.stringify(paramsObj), ...templateTypeParams].filter((p) => p).join('&');
-        request
-          .get(templatesUrl + `?${params}`)
-          .set('Authorization', 'Bearer ' + self.accessToken)
-          .then(
-            (res) => {
-              subsegment.addAnnotation('ResponseCode', res.status);
-              subsegment.close();
-              resolve(res.body);
-            },
-            (err) => {
-              subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
-              subsegment.close(err);
-              reject(err);
-            }
-          );
-      }); // Closes self.xray.captureAsyncFunc()
-    }); // Closes new Promise()
+        return pull();
+      });
+    };
+    return createAsyncIterator(pull, () => {
+      chunks = [];
+      nextPage = null;
+    });
+  }
+
+  /**
+   * Returns a promise of the templates that match all given criteria. The templates are iterated page by page,
+   * so only the matches are kept in memory.
+   *
+   * @param {object} query The criteria, all optional:
+   *    - nameContains: a case-insensitive part of the template name, or of the id for templates without a name.
+   *    - canEdit, canCopy, isPublic: the required value of the flag.
+   *    - metadata: an object with the metadata values the template must have, e.g. `{owner: 'team-a'}`.
+   *      A list of values matches any of them.
+   *    - metadataKeys: the metadata keys the template must have, with any value.
+   * @param {object} options Optional settings:
+   *    - limit: stop after this many matches.
+   *    - includePublic: also search public templates. Defaults to true when searching with `isPublic: true`.
+   *    - templateTypes, pageSize, skipCache, signal: see `iterateTemplates`.
+   */
+  findTemplates(query = {}, options = {}) {
+    return Promise.resolve().then(() => {
+      const criteria = resolveTemplateQuery(query);
+      const resolved = withDefaults('findTemplates', options, {
+        limit: undefined,
+        includePublic: criteria.isPublic === true,
+        templateTypes: [],
+        pageSize: defaultConf.pageSize,
+        skipCache: false,
+        signal: undefined,
+      });
+      const limit = resolved.limit;
+      delete resolved.limit;
+
+      const matches = [];
+      return forEachAsync(this.iterateTemplates(resolved), (template) => {
+        if (matchesTemplateQuery(template, criteria)) {
+          matches.push(template);
+        }
+        return !limit || matches.length < limit;
+      }).then(() => matches);
+    });
   }
 
   /**
    * Returns a promise with a JSON object with two fields:
    * - templateType: text/dust, text/mustache, text/handlebars, etc.
    * - templateBody: the template itself
+   * - etag: the version of the template, to pass as `ifMatch` to `putTemplate`. Only set when the service sends one.
    *
    * Sometimes when creating a template and accessing it a very short time later,
    * it's possible to get a 404 'Template not found' because of caching along the way.
    * In order to avoid that you can use the `skipCache` parameter here.
    *
+   * Accepts either the positional parameters or a single `{skipCache, doNotAddBody, signal}` object.
+   *
    * @param {string} templateId
    * @param {boolean} skipCache
    * @param {boolean} doNotAddBody
@@ -210,90 +960,77 @@ class StereotypeClient {
    * Returns a promise with a JSON object with two fields:
    * - templateType: text/dust, text/mustache, text/handlebars, etc.
    * - templateBody: the template itself
+   * - etag: the version of the template, to pass as `ifMatch` to `putTemplate`. Only set when the service sends one.
    *
    * Sometimes when creating a template and accessing it a very short time later,
    * it's possible to get a 404 'Template not found' because of caching along the way.
    * In order to avoid that you can use the `skipCache` parameter here.
    *
+   * Accepts either the positional parameters or a single `{skipCache, doNotAddBody, signal}` object.
+   *
    * @param {string} templateUrl
    * @param {boolean} skipCache
    * @param {boolean} doNotAddBody
    */
   getTemplate(templateUrl, skipCache = false, doNotAddBody = false) {
-    if (!templateUrl) {
-      return Promise.reject({
-        status: 404,
-        message: `Template not found! Empty template ID provided.`,
-      });
-    }
+    return Promise.resolve().then(() => {
+      const options = toOptions('getTemplate', skipCache, {
+        skipCache: false,
+        doNotAddBody: false,
+        signal: undefined,
+      }, {skipCache, doNotAddBody});
+
+      if (!templateUrl) {
+        throw new TemplateNotFoundError(`Template not found! Empty template ID provided.`, {
+          status: 404,
+          method: 'GET',
+        });
+      }
 
-    if (doNotAddBody) {
-      return this._getTemplateInfo(templateUrl, skipCache);
-    }
+      if (options.doNotAddBody) {
+        return this._getTemplateInfo(templateUrl, options.skipCache, options.signal);
+      }
 
-    return Promise.all([
-      this._getTemplateInfo(templateUrl, skipCache),
-      this._getTemplateBody(templateUrl, skipCache),
-    ]).then((data) => Object.assign({}, data[0], {templateBody: Base64.encode(data[1])}));
+      return Promise.all([
+        this._getTemplateInfo(templateUrl, options.skipCache, options.signal),
+        this._getTemplateBody(templateUrl, options.skipCache, options.signal),
+      ]).then((data) => Object.assign({}, data[0], {templateBody: Base64.encode(data[1])}));
+    });
   }
 
-  _getTemplateBody(templateUrl, skipCache) {
-    let self = this;
-    let verifiedTemplateUrl = this._verifyTemplateUrl('/v1/templates', templateUrl);
-    return new Promise((resolve, reject) => {
-      self.xray.captureAsyncFunc('Stereotype.getTemplateBody', function(subsegment) {
-        subsegment.addAnnotation('URL', verifiedTemplateUrl);
-        subsegment.addAnnotation('REST Action', 'GET');
-        request
-          .get(verifiedTemplateUrl + (skipCache ? `?skip_cache=${Math.random()}` : ''))
-          .set('Authorization', 'Bearer ' + self.accessToken)
-          .then(
-            (res) => {
-              subsegment.addAnnotation('ResponseCode', res.status);
-              subsegment.close();
-              resolve(res.text);
-            },
-            (err) => {
-              subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
-              subsegment.close(err);
-              reject(err);
-            }
-          );
-      });
-    });
+  _getTemplateBody(templateUrl, skipCache, signal) {
+    return this._getVerifiedTemplateUrl(templateUrl).then((verifiedTemplateUrl) => this._execute({
+      segment: 'Stereotype.getTemplateBody',
+      method: 'GET',
+      url: verifiedTemplateUrl,
+      skipCache: skipCache,
+      signal: signal,
+      cacheable: true,
+    })).then((res) => res.text);
   }
 
-  _getTemplateInfo(templateUrl, skipCache) {
-    let self = this;
-    let verifiedTemplateUrl = this._verifyTemplateUrl('/v1/templates', templateUrl);
-    return new Promise((resolve, reject) => {
-      self.xray.captureAsyncFunc('Stereotype.getTemplateBody', function(subsegment) {
-        subsegment.addAnnotation('URL', verifiedTemplateUrl);
-        subsegment.addAnnotation('REST Action', 'GET');
-
-        request
-          .get(verifiedTemplateUrl + (skipCache ? `?skip_cache=${Math.random()}` : ''))
-          .set('Authorization', 'Bearer ' + self.accessToken)
-          .set('Accept', 'application/json')
-          .then(
-            (res) => {
-              subsegment.addAnnotation('ResponseCode', res.status);
-              subsegment.close();
-              resolve(res.body);
-            },
-            (err) => {
-              subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
-              subsegment.close(err);
-              reject(err);
-            }
-          );
-      });
-    });
+  _getTemplateInfo(templateUrl, skipCache, signal) {
+    return this._getVerifiedTemplateUrl(templateUrl).then((verifiedTemplateUrl) => this._execute({
+      segment: 'Stereotype.getTemplateInfo',
+      method: 'GET',
+      url: verifiedTemplateUrl,
+      skipCache: skipCache,
+      signal: signal,
+      cacheable: true,
+      headers: {
+        'Accept': 'application/json',
+      },
+    })).then((res) => res.headers.etag ? Object.assign({}, res.body, {etag: res.headers.etag}) : res.body);
   }
 
   /**
    * Create or update a template. When bodyTemplate is null only the permissions are updated.
    *
+   * Accepts either the positional parameters or a single
+   * `{body, contentType, isPublic, templateType, name, description, metadata, ifMatch, signal}` object after the template id.
+   * With `ifMatch`, the ETag returned by `getTemplate`, the template is only updated if it did not change since,
+   * otherwise the call rejects with a `ConflictError`.
+   *
    * @param {string} templateId The id of the template we want to create or update.
    * @param {string} bodyTemplate The body of the template.
    * @param {string} contentType The content type of the template, e.g. text/handlebars. Required
@@ -320,6 +1057,11 @@ class StereotypeClient {
   /**
    * Create or update a template. When bodyTemplate is null only the permissions are updated.
    *
+   * Accepts either the positional parameters or a single
+   * `{body, contentType, isPublic, templateType, name, description, metadata, ifMatch, signal}` object after the template URL.
+   * With `ifMatch`, the ETag returned by `getTemplate`, the template is only updated if it did not change since,
+   * otherwise the call rejects with a `ConflictError`. With a revision store, the stored version is recorded first.
+   *
    * @param {string} templateUrl The name of the template we want to create or update.
    * @param {string} bodyTemplate The body of the template.
    * @param {string} contentType The content type of the template, e.g. text/handlebars. Required
@@ -339,64 +1081,781 @@ class StereotypeClient {
     templateName = null,
     templateDescription = null,
     metadata = null) {
-    let verifiedTemplateUrl = this._verifyTemplateUrl('/v1/templates', templateUrl);
-    return new Promise((resolve, reject) => {
-      this.xray.captureAsyncFunc('Stereotype.putTemplate', (subsegment) => {
-        subsegment.addAnnotation('URL', verifiedTemplateUrl);
-        subsegment.addAnnotation('RESTAction', 'PUT');
-        subsegment.addAnnotation('Template', templateUrl);
-
-        this._createTemplate(verifiedTemplateUrl, 'PUT', bodyTemplate, contentType,
-          isPublic, templateType, templateName, templateDescription, metadata)
-          .then((res) => {
-            subsegment.addAnnotation('ResponseCode', res.status);
-            subsegment.close();
-            resolve(res.body);
-          })
-          .catch((err) => {
-            subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
-            subsegment.close(err);
-            reject(err);
+    return Promise.resolve().then(() => {
+      const template = toOptions('putTemplate', bodyTemplate, putTemplateDefaults, {
+        body: bodyTemplate,
+        contentType,
+        isPublic,
+        templateType,
+        name: templateName,
+        description: templateDescription,
+        metadata,
+      });
+      return this._getVerifiedTemplateUrl(templateUrl).then((verifiedTemplateUrl) => {
+        const recordRevision = () => this._recordRevision(verifiedTemplateUrl, 'put', template.signal);
+        return this._createTemplate(verifiedTemplateUrl, 'PUT', template, recordRevision).then(
+          (res) => this.invalidateTemplateCache(verifiedTemplateUrl).then(() => res.body),
+          (err) => {
+            // A conflict means the cached template is outdated as well.
+            if (err instanceof ConflictError) {
+              return this.invalidateTemplateCache(verifiedTemplateUrl).then(() => Promise.reject(err));
+            }
+            throw err;
+          }
+        );
+      });
+    });
+  }
+
+  /**
+   * Updates a template with a read-modify-write cycle that is safe against concurrent updates: the template is read,
+   * passed to `mutator`, and written back with `If-Match`. When someone else updated the template in the meantime,
+   * the cycle is repeated with the new version.
+   *
+   * @param {string} template The id or the URL of the template.
+   * @param {function} mutator A function that receives the template as returned by `getTemplate`, i.e. with a Base64
+   *    encoded `templateBody`, and returns the `putTemplate` options to write back, or a promise of them.
+   *    Returning undefined leaves the template unchanged.
+   * @param {object} options Optional settings:
+   *    - maxAttempts: the number of cycles before giving up with the ConflictError. Defaults to 3.
+   *    - signal: an AbortSignal or cancel token signal.
+   * @return {Promise} A promise of the `putTemplate` result, or of the unchanged template.
+   */
+  updateTemplate(template, mutator, options = {}) {
+    return Promise.resolve().then(() => {
+      const {maxAttempts, signal} = withDefaults('updateTemplate', options, {maxAttempts: 3, signal: undefined});
+      const templateUrl = this._getTemplateUrl(template);
+
+      const attempt = (number) => this.getTemplate(templateUrl, {skipCache: true, signal})
+        .then((current) => Promise.resolve(mutator(current)).then((changes) => {
+          if (changes === undefined) {
+            return current;
+          }
+          return this.putTemplate(templateUrl, Object.assign({contentType: current.contentType}, changes, {
+            ifMatch: current.etag,
+            signal: signal,
+          }));
+        }))
+        .catch((err) => {
+          if (err instanceof ConflictError && number < maxAttempts) {
+            return attempt(number + 1);
+          }
+          throw err;
+        });
+      return attempt(1);
+    });
+  }
+
+  /**
+   * Updates some fields of a template and keeps the others. `putTemplate` replaces all fields, so a template type,
+   * name, description or metadata left out of the call is cleared.
+   *
+   * When the service's swagger document declares a PATCH operation for templates, only the given fields are sent
+   * with PATCH. Otherwise the template is read and written back with the given fields merged over it, using
+   * `updateTemplate`, so concurrent updates are not lost.
+   *
+   * @param {string} template The id or the URL of the template.
+   * @param {object} changes The fields to change: `{body, contentType, isPublic, templateType, name, description,
+   *    metadata}`. At least one is required.
+   * @param {object} options Optional settings:
+   *    - maxAttempts: see `updateTemplate`. Defaults to 3.
+   *    - signal: an AbortSignal or cancel token signal.
+   * @return {Promise} A promise of the response body of the service.
+   */
+  patchTemplate(template, changes, options = {}) {
+    return Promise.resolve().then(() => {
+      const {maxAttempts, signal} = withDefaults('patchTemplate', options, {maxAttempts: 3, signal: undefined});
+      const fields = withDefaults('patchTemplate changes', changes, {
+        body: undefined,
+        contentType: undefined,
+        isPublic: undefined,
+        templateType: undefined,
+        name: undefined,
+        description: undefined,
+        metadata: undefined,
+      });
+      const given = Object.keys(fields).filter((field) => fields[field] !== undefined);
+      if (!given.length) {
+        throw new ValidationError('patchTemplate: no fields to change');
+      }
+      const templateUrl = this._getTemplateUrl(template);
+
+      return this._supportsTemplatePatch(signal).then((supported) => {
+        if (supported) {
+          return this._patchTemplate(this._verifyTemplateUrl('/v1/templates', templateUrl), fields, given, signal);
+        }
+        return this._mergeTemplate(templateUrl, () => fields, {maxAttempts, signal});
+      });
+    });
+  }
+
+  /**
+   * Updates a template with `updateTemplate`, merging the fields `getChanges` returns for the current template over
+   * it. Fields that are undefined keep their value; returning undefined leaves the template unchanged.
+   */
+  _mergeTemplate(templateUrl, getChanges, options) {
+    return this.updateTemplate(templateUrl, (current) => {
+      const changes = getChanges(current);
+      if (changes === undefined) {
+        return undefined;
+      }
+      const merged = {body: changes.body !== undefined ? changes.body : Base64.decode(current.templateBody || '')};
+      ['contentType', 'isPublic', 'templateType', 'name', 'description', 'metadata']
+        .forEach((field) => merged[field] = changes[field] !== undefined ? changes[field] : current[field]);
+      return Object.assign(merged, {isPublic: Boolean(merged.isPublic)});
+    }, options);
+  }
+
+  /**
+   * Returns a promise of the metadata of a template as a single object, e.g. `{owner: 'team-a', locale: 'en'}`.
+   *
+   * @param {string} template The id or the URL of the template.
+   * @param {object} options Optional settings:
+   *    - skipCache, signal: see `getTemplate`.
+   */
+  getTemplateMetadata(template, options = {}) {
+    return Promise.resolve().then(() => {
+      const {skipCache, signal} = withDefaults('getTemplateMetadata', options, {skipCache: false, signal: undefined});
+      return this.getTemplate(this._getTemplateUrl(template), {skipCache, signal, doNotAddBody: true})
+        .then((info) => normalizeMetadata(info.metadata));
+    });
+  }
+
+  /**
+   * Replaces the metadata of a template and keeps its other fields, see `patchTemplate`. Rejects with a
+   * ValidationError when the metadata is not an object or a list of objects, when a key is empty or repeated,
+   * when a value cannot be represented in JSON, or when the encoded metadata exceeds `maxMetadataSize`.
+   *
+   * @param {string} template The id or the URL of the template.
+   * @param {object|object[]} metadata The metadata as an object, e.g. `{owner: 'team-a'}`, or as a list of objects.
+   * @param {object} options Optional settings:
+   *    - maxAttempts, signal: see `patchTemplate`.
+   * @return {Promise} A promise of the new metadata as a single object.
+   */
+  setTemplateMetadata(template, metadata, options = {}) {
+    return Promise.resolve().then(() => {
+      const resolved = withDefaults('setTemplateMetadata', options, {maxAttempts: 3, signal: undefined});
+      const list = toMetadataList(metadata);
+      return this.patchTemplate(template, {metadata: list}, resolved).then(() => normalizeMetadata(list));
+    });
+  }
+
+  /**
+   * Adds metadata to a template and changes the values of the given keys, keeping the other keys.
+   * The template is updated with a read-modify-write cycle, see `updateTemplate`.
+   *
+   * @param {string} template The id or the URL of the template.
+   * @param {object|object[]} metadata The metadata to merge, validated like in `setTemplateMetadata`.
+   * @param {object} options Optional settings:
+   *    - maxAttempts, signal: see `updateTemplate`.
+   * @return {Promise} A promise of the new metadata as a single object.
+   */
+  mergeTemplateMetadata(template, metadata, options = {}) {
+    return Promise.resolve().then(() => {
+      const resolved = withDefaults('mergeTemplateMetadata', options, {maxAttempts: 3, signal: undefined});
+      const partial = normalizeMetadata(toMetadataList(metadata));
+      return this._changeTemplateMetadata(template, (current) => Object.assign(current, partial), resolved);
+    });
+  }
+
+  /**
+   * Removes metadata keys from a template, keeping the other keys.
+   * The template is updated with a read-modify-write cycle, see `updateTemplate`.
+   *
+   * @param {string} template The id or the URL of the template.
+   * @param {string|string[]} keys The keys to remove. Keys the template does not have are ignored.
+   * @param {object} options Optional settings:
+   *    - maxAttempts, signal: see `updateTemplate`.
+   * @return {Promise} A promise of the new metadata as a single object.
+   */
+  removeTemplateMetadata(template, keys, options = {}) {
+    return Promise.resolve().then(() => {
+      const resolved = withDefaults('removeTemplateMetadata', options, {maxAttempts: 3, signal: undefined});
+      const removed = [].concat(keys);
+      return this._changeTemplateMetadata(template, (current) => {
+        if (!removed.some((key) => key in current)) {
+          return undefined;
+        }
+        removed.forEach((key) => delete current[key]);
+        return current;
+      }, resolved);
+    });
+  }
+
+  /**
+   * Updates the metadata of a template with `change`, which receives the current metadata as a single object and
+   * returns the new metadata, or undefined to leave it unchanged. Resolves to the resulting metadata.
+   */
+  _changeTemplateMetadata(template, change, options) {
+    let metadata;
+    return this._mergeTemplate(this._getTemplateUrl(template), (current) => {
+      metadata = normalizeMetadata(current.metadata);
+      const changed = change(Object.assign({}, metadata));
+      if (changed === undefined) {
+        return undefined;
+      }
+      metadata = changed;
+      return {metadata: toMetadataList(changed)};
+    }, options).then(() => metadata);
+  }
+
+  _patchTemplate(templateUrl, fields, given, signal) {
+    const headerNames = {
+      isPublic: 'x-cimpress-template-public',
+      templateType: 'x-cimpress-template-type',
+      name: 'x-cimpress-template-name',
+      description: 'x-cimpress-template-description',
+      metadata: 'x-cimpress-template-metadata',
+    };
+    const templateHeaders = StereotypeClient._getTemplateHeaders(fields);
+    const headers = {'Content-Type': fields.contentType, 'Accept': 'application/json'};
+    given.filter((field) => headerNames[field]).forEach((field) => headers[headerNames[field]] = templateHeaders[headerNames[field]]);
+    // A new body is sent with the content type of the template when no new content type is given.
+    const contentType = fields.body === undefined || fields.contentType !== undefined ? Promise.resolve(fields.contentType)
+      : this.getTemplate(templateUrl, {skipCache: true, doNotAddBody: true, signal}).then((current) => current.contentType);
+
+    return Promise.all([contentType, this.contentTypeDiscovery]).then(([resolvedContentType]) => {
+      if (fields.contentType !== undefined && !this.isSupportedContentType(fields.contentType)) {
+        throw new ValidationError('Invalid content type: ' + fields.contentType, {method: 'PATCH', url: templateUrl});
+      }
+      checkMetadataSize(fields.metadata, this.maxMetadataSize, {method: 'PATCH', url: templateUrl});
+      headers['Content-Type'] = resolvedContentType;
+    })
+      .then(() => this._recordRevision(templateUrl, 'patch', signal))
+      .then(() => this._execute({
+        segment: 'Stereotype.patchTemplate',
+        method: 'PATCH',
+        url: templateUrl,
+        headers: headers,
+        body: fields.body,
+        idempotent: true,
+        signal: signal,
+        annotations: {Template: templateUrl},
+      }))
+      .then((res) => this.invalidateTemplateCache(templateUrl).then(() => res.body));
+  }
+
+  /**
+   * Tells whether the service's swagger document declares a PATCH operation for templates. The answer is kept for
+   * the lifetime of the client; a failure to load the document counts as no and is retried on the next call.
+   */
+  _supportsTemplatePatch(signal) {
+    if (!this.templatePatchSupport) {
+      this.templatePatchSupport = this.getSwagger({signal}).then(
+        (swagger) => Object.keys((swagger && swagger.paths) || {})
+          .some((path) => /^(\/v1)?\/templates\/\{[^}]+\}\/?$/.test(path) && Boolean(swagger.paths[path].patch)),
+        () => {
+          this.templatePatchSupport = null;
+          return false;
+        });
+    }
+    return this.templatePatchSupport;
+  }
+
+  /**
+   * Brings the templates of the service in line with a directory of template files. The directory contains
+   * a manifest, a JSON file of the form `{"templates": [{id, file, contentType, postProcessors, isPublic,
+   * templateType, name, description, metadata}]}` where only `id`, `file` and `contentType` are required.
+   *
+   * The manifest is compared with the templates returned by `listTemplates` and `getTemplate` into a plan of steps
+   * `{action, templateId, template, changes}`, where action is create, update, delete or noop. The changes of an
+   * update are `{body, attributes, metadata}`: the `diffLines` of the body, `{before, after}` of every changed
+   * attribute and the `{added, removed, changed}` metadata keys. Attributes the manifest leaves out keep their value.
+   * Updates are written with `If-Match`, so templates changed by someone else in the meantime fail with a ConflictError.
+   *
+   * @param {string} directory The directory of the manifest and the template files.
+   * @param {object} options Optional settings:
+   *    - dryRun: only return the plan. Defaults to false.
+   *    - prune: delete the templates that are not in the manifest. Defaults to false.
+   *    - manifest: the file name of the manifest. Defaults to templates.json.
+   *    - concurrency: the maximum number of requests at a time. Defaults to 5.
+   *    - signal: an AbortSignal or cancel token signal. Steps that did not start yet are skipped when it aborts.
+   * @return {Promise} A promise of `{plan, results, summary}`. `results` holds `{templateId, action, status, error}`
+   *    for every step, where status is applied, unchanged, skipped or failed, and `summary` counts the templates
+   *    `{created, updated, deleted, unchanged, failed, skipped}`. With dryRun, `results` is empty.
+   */
+  syncTemplates(directory, options = {}) {
+    return Promise.resolve().then(() => {
+      const {dryRun, prune, manifest, concurrency, signal} = withDefaults('syncTemplates', options, {
+        dryRun: false,
+        prune: false,
+        manifest: 'templates.json',
+        concurrency: defaultConf.batchConcurrency,
+        signal: undefined,
+      });
+      const stored = {};
+
+      return Promise.all([readManifest(directory, manifest), this.listTemplates({skipCache: true, signal})])
+        .then(([entries, templates]) => {
+          const existingIds = templates.map((template) => template.templateId);
+          const existing = entries.filter((entry) => existingIds.includes(entry.templateId));
+          const fetchTemplate = (index) => this.getTemplateById(existing[index].templateId, {skipCache: true, signal})
+            .then((template) => {
+              stored[existing[index].templateId] = Object.assign({}, template, {body: Base64.decode(template.templateBody || '')});
+            });
+          return runConcurrently(existing.length, concurrency, fetchTemplate)
+            .then(() => createSyncPlan(entries, stored, existingIds, prune));
+        })
+        .then((plan) => {
+          if (dryRun) {
+            return {plan, results: [], summary: summarizeSync(plan, [])};
+          }
+          const applyStep = (index) => this._applySyncStep(plan[index], stored[plan[index].templateId], signal)
+            .then(() => ({templateId: plan[index].templateId, action: plan[index].action, status: 'applied'}),
+              (error) => ({templateId: plan[index].templateId, action: plan[index].action, status: 'failed', error}));
+          const skip = (index) => {
+            if (plan[index].action === 'noop') {
+              return {templateId: plan[index].templateId, action: 'noop', status: 'unchanged'};
+            }
+            return signal && signal.aborted ? {templateId: plan[index].templateId, action: plan[index].action, status: 'skipped'} : undefined;
+          };
+          return runConcurrently(plan.length, concurrency, applyStep, skip)
+            .then((results) => ({plan, results, summary: summarizeSync(plan, results)}));
+        });
+    });
+  }
+
+  _applySyncStep(step, current = {}, signal) {
+    if (step.action === 'delete') {
+      return this.deleteTemplateById(step.templateId, {signal});
+    }
+    const wanted = step.template;
+    const keep = (attribute) => (wanted[attribute] !== undefined ? wanted[attribute] : current[attribute]);
+    return this.putTemplateById(step.templateId, {
+      body: wanted.body,
+      contentType: wanted.contentType,
+      isPublic: Boolean(keep('isPublic')),
+      templateType: keep('templateType') || null,
+      name: keep('name') || null,
+      description: keep('description') || null,
+      metadata: keep('metadata') || null,
+      ifMatch: step.etag,
+      signal: signal,
+    });
+  }
+
+  /**
+   * Exports templates into a self-contained bundle, e.g. to back them up or to import them into another environment
+   * with `importTemplates`. The bundle holds the body, content type, public flag, type, name, description and metadata
+   * of every template.
+   *
+   * @param {object} filter The criteria of `findTemplates`; all templates of the account by default.
+   * @param {object} options Optional settings:
+   *    - format: json for a bundle object, which may be saved with `JSON.stringify`, or tar for a Buffer with a tar
+   *      archive that holds a templates.json manifest and the template files, the layout `syncTemplates` reads.
+   *      Defaults to json.
+   *    - includePublic, templateTypes: see `findTemplates`.
+   *    - concurrency: the maximum number of requests at a time. Defaults to 5.
+   *    - skipCache, signal: see `getTemplate`.
+   * @return {Promise} A promise of the bundle.
+   */
+  exportTemplates(filter = {}, options = {}) {
+    return Promise.resolve().then(() => {
+      const {format, includePublic, templateTypes, concurrency, skipCache, signal} = withDefaults('exportTemplates', options, {
+        format: 'json',
+        includePublic: undefined,
+        templateTypes: [],
+        concurrency: defaultConf.batchConcurrency,
+        skipCache: false,
+        signal: undefined,
+      });
+      if (!['json', 'tar'].includes(format)) {
+        throw new ValidationError(`Unsupported bundle format: ${format}`);
+      }
+      const findOptions = includePublic === undefined ? {templateTypes, skipCache, signal} : {includePublic, templateTypes, skipCache, signal};
+
+      return this.findTemplates(filter, findOptions).then((templates) => {
+        const fetchTemplate = (index) => this.getTemplateById(templates[index].templateId, {skipCache, signal})
+          .then((template) => Object.assign({}, templates[index], template, {body: Base64.decode(template.templateBody || '')}));
+        return runConcurrently(templates.length, concurrency, fetchTemplate);
+      }).then((templates) => {
+        const bundle = createBundle(templates, this.baseUrl);
+        return format === 'tar' ? bundleToTar(bundle) : bundle;
+      });
+    });
+  }
+
+  /**
+   * Imports the templates of a bundle created by `exportTemplates`, usually with a client of another environment.
+   *
+   * @param {object|string|Buffer} bundle The bundle object, its JSON text or its tar archive.
+   * @param {object} options Optional settings:
+   *    - overwrite: replace templates that already exist. Defaults to false, which skips them.
+   *    - idMapping: the ids to import templates as, as an object from bundle ids to new ids or as a function.
+   *    - dryRun: only report what would be imported. Defaults to false.
+   *    - concurrency: the maximum number of requests at a time. Defaults to 5.
+   *    - signal: an AbortSignal or cancel token signal. Templates that did not start yet are skipped when it aborts.
+   * @return {Promise} A promise of `{results, summary}`. `results` holds `{templateId, targetId, action, status, error}`
+   *    for every template of the bundle, where action is create, update or skip and status is applied, planned,
+   *    skipped or failed. `summary` counts the templates `{created, updated, skipped, failed}`.
+   */
+  importTemplates(bundle, options = {}) {
+    return Promise.resolve().then(() => {
+      const {overwrite, idMapping, dryRun, concurrency, signal} = withDefaults('importTemplates', options, {
+        overwrite: false,
+        idMapping: undefined,
+        dryRun: false,
+        concurrency: defaultConf.batchConcurrency,
+        signal: undefined,
+      });
+
+      return Promise.resolve(parseBundle(bundle))
+        .then((parsed) => this.listTemplates({skipCache: true, signal}).then((templates) => planImport(
+          parsed.templates, templates.map((template) => template.templateId), {overwrite, idMapping})))
+        .then((plan) => {
+          const report = (step, status, error) => {
+            const result = {templateId: step.templateId, targetId: step.targetId, action: step.action, status};
+            return error ? Object.assign(result, {error}) : result;
+          };
+          if (dryRun) {
+            const results = plan.map((step) => report(step, step.action === 'skip' ? 'skipped' : 'planned'));
+            return {results, summary: summarizeImport(plan, [])};
+          }
+          const importTemplate = (index) => {
+            const {template} = plan[index];
+            return this.putTemplateById(plan[index].targetId, {
+              body: template.body,
+              contentType: template.contentType,
+              isPublic: Boolean(template.isPublic),
+              templateType: template.templateType || null,
+              name: template.name || null,
+              description: template.description || null,
+              metadata: template.metadata || null,
+              signal: signal,
+            }).then(() => report(plan[index], 'applied'), (error) => report(plan[index], 'failed', error));
+          };
+          const skip = (index) => (plan[index].action === 'skip' || (signal && signal.aborted) ? report(plan[index], 'skipped') : undefined);
+          return runConcurrently(plan.length, concurrency, importTemplate, skip)
+            .then((results) => ({results, summary: summarizeImport(plan, results)}));
+        });
+    });
+  }
+
+  /**
+   * Copies a template, within the account or to another environment. The copy has the body, content type with its
+   * post-processors, type, name, description and metadata of the source template, but is not public unless the
+   * overrides say so. Rejects with a PermissionDeniedError when the template does not allow copying (`canCopy`).
+   *
+   * @param {string} template The id or the URL of the source template.
+   * @param {object} options Optional settings:
+   *    - targetId: the id of the copy. A template with that id is replaced. Defaults to the id of the source template
+   *      when copying to another client, and to an id the service generates otherwise, read from the Location
+   *      header of the `createTemplate` response.
+   *    - targetClient: the StereotypeClient to create the copy with, e.g. one with a different baseUrl.
+   *      Defaults to this client.
+   *    - overrides: `putTemplate` options that replace the copied ones, e.g. `{name: 'Copy of Digest'}`.
+   *    - signal: an AbortSignal or cancel token signal.
+   * @return {Promise} A promise of the result of `putTemplateById` or `createTemplate`, with the `templateId` of the copy.
+   */
+  copyTemplate(template, options = {}) {
+    return Promise.resolve().then(() => {
+      const {targetId, targetClient, overrides, signal} = withDefaults('copyTemplate', options, {
+        targetId: undefined,
+        targetClient: this,
+        overrides: {},
+        signal: undefined,
+      });
+      const sourceUrl = this._getTemplateUrl(template);
+      let sourceId;
+      let copyId;
+
+      return this._getVerifiedTemplateUrl(sourceUrl)
+        .then(() => {
+          sourceId = this._getTemplateId(sourceUrl);
+          copyId = targetId || (targetClient !== this ? sourceId : undefined);
+          if (targetClient === this && copyId === sourceId) {
+            throw new ValidationError(`copyTemplate: the copy of ${sourceId} would replace the template itself`);
+          }
+          return this.getTemplate(sourceUrl, {skipCache: true, signal});
+        })
+        .then((source) => this._canCopy(sourceId, source, signal).then((canCopy) => {
+          if (!canCopy) {
+            throw new PermissionDeniedError(`Template ${sourceId} cannot be copied`, {method: 'GET', url: sourceUrl});
+          }
+          const copy = withDefaults('copyTemplate overrides', overrides, {
+            body: Base64.decode(source.templateBody || ''),
+            contentType: source.contentType,
+            isPublic: false,
+            templateType: source.templateType || null,
+            name: source.name || null,
+            description: source.description || null,
+            metadata: source.metadata || null,
           });
-      }); // Closes self.xray.captureAsyncFunc()
-    }); // Closes new Promise()
+          copy.signal = signal;
+          if (copyId) {
+            return targetClient.putTemplateById(copyId, copy).then((result) => Object.assign({templateId: copyId}, result));
+          }
+          // The service generates the id of the copy and reports the URL of the copy in the Location header.
+          return targetClient._postTemplate(copy).then((res) => {
+            const location = res.headers.location;
+            const generatedId = location ? decodeURIComponent(location.split('?')[0].split('/').pop()) : undefined;
+            return Object.assign({}, res.body, generatedId ? {templateId: generatedId} : {});
+          });
+        }));
+    });
   }
 
-  _createTemplate(
-    templateURL,
-    method,
-    bodyTemplate = null,
-    contentType = null,
-    isPublic = false,
-    templateType = null,
-    templateName = null,
-    templateDescription = null,
-    metadata = null) {
-    const isPublicFlag = isPublic && (isPublic.toString().toLowerCase() === 'true');
-    let metadataString = Array.isArray(metadata) ? JSON.stringify(metadata) : '';
+  /**
+   * Tells whether a template may be copied. Templates that do not carry `canCopy` are looked up in the template list.
+   */
+  _canCopy(templateId, template, signal) {
+    if (template.canCopy !== undefined) {
+      return Promise.resolve(template.canCopy !== false);
+    }
+    return this.listTemplates({includePublic: true, signal}).then((templates) => {
+      const listed = templates.find((candidate) => candidate.templateId === templateId);
+      return !listed || listed.canCopy !== false;
+    });
+  }
+
+  /**
+   * Returns a promise of the revisions the revision store recorded for a template, oldest first:
+   * `{revision, templateId, operation, recordedAt, template}`. A revision is the version of the template that
+   * the put, patch or delete `operation` replaced; `template` holds its body, content type, public flag, type, name,
+   * description, metadata and etag. Rejects with a ValidationError when the client has no revision store.
+   *
+   * @param {string} template The id or the URL of the template.
+   */
+  listRevisions(template) {
+    return this._getRevisionStore().then((store) => store.list(this._getTemplateId(this._getTemplateUrl(template))));
+  }
+
+  /**
+   * Compares two versions of a template and returns a promise of the changes from `from` to `to`:
+   * `{body, attributes, metadata}` as described in `syncTemplates`, each left out when it did not change.
+   *
+   * @param {string} template The id or the URL of the template.
+   * @param {number|string} from A revision number, or current for the stored template.
+   * @param {number|string} to A revision number, or current for the stored template. Defaults to current.
+   * @param {object} options Optional settings:
+   *    - signal: an AbortSignal or cancel token signal.
+   */
+  diffRevisions(template, from, to = 'current', options = {}) {
+    return Promise.resolve().then(() => {
+      const {signal} = withDefaults('diffRevisions', options, {signal: undefined});
+      const templateUrl = this._getTemplateUrl(template);
+      const load = (revision) => (revision === 'current' ? this._getTemplateSnapshot(templateUrl, signal)
+        : this._getRevision(templateUrl, revision).then((found) => found.template));
+      return Promise.all([load(from), load(to)]).then(([before, after]) => diffTemplate(after, before));
+    });
+  }
+
+  /**
+   * Restores a revision of a template with `putTemplate`. The version it replaces is recorded as a new revision,
+   * so a rollback can be rolled back as well.
+   *
+   * @param {string} template The id or the URL of the template.
+   * @param {number} revision The revision number, see `listRevisions`.
+   * @param {object} options Optional settings:
+   *    - signal: an AbortSignal or cancel token signal.
+   * @return {Promise} A promise of the `putTemplate` result.
+   */
+  rollbackTemplate(template, revision, options = {}) {
+    return Promise.resolve().then(() => {
+      const {signal} = withDefaults('rollbackTemplate', options, {signal: undefined});
+      const templateUrl = this._getTemplateUrl(template);
+      return this._getRevision(templateUrl, revision).then(({template: restored}) => this.putTemplate(templateUrl, {
+        body: restored.body,
+        contentType: restored.contentType,
+        isPublic: Boolean(restored.isPublic),
+        templateType: restored.templateType || null,
+        name: restored.name || null,
+        description: restored.description || null,
+        metadata: restored.metadata || null,
+        signal: signal,
+      }));
+    });
+  }
+
+  _getRevisionStore() {
+    if (!this.revisionStore) {
+      return Promise.reject(new ValidationError('No revision store: create the client with the revisionStore option'));
+    }
+    return Promise.resolve(this.revisionStore);
+  }
+
+  _getRevision(templateUrl, revision) {
+    let templateId;
+    return this._getRevisionStore().then((store) => {
+      templateId = this._getTemplateId(templateUrl);
+      return store.get(templateId, revision);
+    }).then((found) => {
+      if (!found) {
+        throw new ValidationError(`Template ${templateId} has no revision ${revision}`);
+      }
+      return found;
+    });
+  }
+
+  _getTemplateSnapshot(templateUrl, signal) {
+    return this.getTemplate(templateUrl, {skipCache: true, signal})
+      .then((template) => Object.assign({}, template, {body: Base64.decode(template.templateBody || '')}));
+  }
+
+  /**
+   * Records the stored version of a template in the revision store, if the client has one, before it is replaced.
+   */
+  _recordRevision(templateUrl, operation, signal) {
+    if (!this.revisionStore) {
+      return Promise.resolve();
+    }
+    return this._getTemplateSnapshot(templateUrl, signal).then(
+      (template) => this.revisionStore.record(this._getTemplateId(templateUrl), template, operation),
+      (err) => {
+        // There is nothing to record before a template is created.
+        if (err instanceof TemplateNotFoundError) {
+          return undefined;
+        }
+        throw err;
+      });
+  }
+
+  /**
+   * Parses a template and returns a promise of the variables it references:
+   * `{contentType, paths, tree, partials, diagnostics}`. `paths` lists the distinct referenced paths, e.g. `user.name`;
+   * `tree` holds the variables, sections, iterations, conditions, helpers and partials as returned by the template
+   * parser, and `diagnostics` the problems `lintTemplate` would report.
+   *
+   * @param {string|object} template The id or the URL of a stored template, which is fetched with `getTemplate`,
+   *    or a template object as passed to `materializeDirect`: `{contentType, content}`.
+   * @param {object} options Optional settings: `{skipCache, signal}`, see `getTemplate`.
+   */
+  getTemplateVariables(template, options = {}) {
+    return Promise.resolve().then(() => {
+      const resolved = withDefaults('getTemplateVariables', options, {skipCache: false, signal: undefined});
+      return this._getTemplateSource(template, resolved).then(({content, contentType}) => {
+        const parsed = parseTemplate(content, this.contentTypes.getName(contentType));
+        return {
+          contentType: contentType,
+          paths: getVariablePaths(parsed.nodes),
+          tree: parsed.nodes,
+          partials: validatePropertyBag(parsed.nodes, {}).partials,
+          diagnostics: parsed.diagnostics,
+        };
+      });
+    });
+  }
+
+  /**
+   * Checks a property bag against the variables of a template before materializing it. Returns a promise of
+   * `{valid, missing, unused, partials}`: `missing` lists the template paths that would render blank, `unused` the keys
+   * of the bag the template does not use. Sections and conditions may be missing, as they usually guard optional parts;
+   * lists iterated with `each` and contexts entered with `with` may not. Partials are listed but not checked.
+   *
+   * @param {string|object} template The id or URL of a stored template, or a template object, see `getTemplateVariables`.
+   * @param {object} propertyBag The data to check.
+   * @param {object} options Optional settings: `{skipCache, signal}`, see `getTemplate`.
+   */
+  validatePropertyBag(template, propertyBag, options = {}) {
+    return Promise.resolve().then(() => {
+      const resolved = withDefaults('validatePropertyBag', options, {skipCache: false, signal: undefined});
+      return this._getTemplateSource(template, resolved).then(({content, contentType}) =>
+        validatePropertyBag(parseTemplate(content, this.contentTypes.getName(contentType)).nodes, propertyBag));
+    });
+  }
+
+  /**
+   * Returns a promise of the content and content type of a template id, URL or template object.
+   */
+  _getTemplateSource(template, options) {
+    if (template && typeof template === 'object') {
+      return Promise.resolve({content: template.content, contentType: template.contentType});
+    }
+    return this.getTemplate(this._getTemplateUrl(template), options)
+      .then((stored) => ({content: Base64.decode(stored.templateBody), contentType: stored.contentType}));
+  }
+
+  /**
+   * Rejects with a ValidationError when strict property bag checks are on and the bag misses variables of the template.
+   *
+   * @param {string|object} template The id or URL of a stored template, or a template object.
+   * @param {object} propertyBag The data to check.
+   * @param {object} options The options of the materialize call: `{strictPropertyBag, signal}`.
+   */
+  _checkPropertyBag(template, propertyBag, options) {
+    const strict = options.strictPropertyBag !== undefined ? options.strictPropertyBag : this.strictPropertyBag;
+    if (!strict) {
+      return Promise.resolve();
+    }
+    return this.validatePropertyBag(template, propertyBag, {signal: options.signal}).then((result) => {
+      if (!result.valid) {
+        throw new ValidationError(`Invalid property bag: missing ${result.missing.join(', ')}`, {
+          method: 'POST',
+          url: typeof template === 'string' ? this._getTemplateUrl(template) : undefined,
+          diagnostics: result.missing.map((path) => ({severity: 'error', message: `Missing property "${path}"`, path: path})),
+        });
+      }
+    });
+  }
+
+  /**
+   * Sends a template to the service.
+   *
+   * @param {string} templateURL The URL to send the template to.
+   * @param {string} method Either POST or PUT.
+   * @param {object} template The template: `{body, contentType, isPublic, templateType, name, description, metadata}`.
+   */
+  _createTemplate(templateURL, method, template, beforeSend = () => undefined) {
+    const {body, contentType} = template;
 
     if (!['POST', 'PUT'].includes(method)) {
       return Promise.reject(new Error('You should pass POST or PUT for the method parameter'));
     }
 
-    if (!StereotypeClient._isSupportedContentType(contentType)) {
-      return Promise.reject(new Error('Invalid content type: ' + contentType));
-    }
-    return request(method, templateURL)
-      .set('Authorization', 'Bearer ' + this.accessToken)
-      .set('Content-Type', contentType)
-      .set('x-cimpress-template-public', isPublicFlag.toString())
-      .set('x-cimpress-template-type', templateType ? encodeURIComponent(templateType) : 'raw')
-      .set('x-cimpress-template-name', templateName ? encodeURIComponent(templateName) : '')
-      .set('x-cimpress-template-description', templateDescription ? encodeURIComponent(templateDescription) : '')
-      .set('x-cimpress-template-metadata', encodeURIComponent(metadataString))
-      .set('Accept', 'application/json')
-      .send(bodyTemplate || '');
+    return this.contentTypeDiscovery.then(() => {
+      if (!this.isSupportedContentType(contentType)) {
+        throw new ValidationError('Invalid content type: ' + contentType, {
+          method: method,
+          url: templateURL,
+        });
+      }
+      checkMetadataSize(template.metadata, this.maxMetadataSize, {method: method, url: templateURL});
+      const diagnostics = this.validateBeforeUpload && body ? this.lintTemplate(body, contentType) : [];
+      if (diagnostics.length) {
+        const {message, line, column} = diagnostics[0];
+        throw new ValidationError(`Invalid template: ${message} (line ${line}, column ${column})`, {
+          method: method,
+          url: templateURL,
+          diagnostics: diagnostics,
+        });
+      }
+    }).then(beforeSend).then(() => this._execute({
+      segment: method === 'PUT' ? 'Stereotype.putTemplate' : 'Stereotype.postTemplate',
+      method: method,
+      url: templateURL,
+      headers: Object.assign({'Content-Type': contentType}, StereotypeClient._getTemplateHeaders(template), {
+        'If-Match': template.ifMatch,
+        'Accept': 'application/json',
+      }),
+      body: body || '',
+      idempotent: method === 'PUT',
+      signal: template.signal,
+      annotations: method === 'PUT' ? {Template: templateURL} : {},
+      annotateResponse: (res) => method === 'POST' ? {TemplateLocation: res.headers.location} : {},
+    }));
+  }
+
+  /**
+   * Returns the x-cimpress-template-* headers that carry the attributes of a template.
+   */
+  static _getTemplateHeaders({isPublic, templateType, name, description, metadata}) {
+    const isPublicFlag = isPublic && (isPublic.toString().toLowerCase() === 'true');
+    let metadataString = Array.isArray(metadata) ? JSON.stringify(metadata) : '';
+    return {
+      'x-cimpress-template-public': Boolean(isPublicFlag).toString(),
+      'x-cimpress-template-type': templateType ? encodeURIComponent(templateType) : 'raw',
+      'x-cimpress-template-name': name ? encodeURIComponent(name) : '',
+      'x-cimpress-template-description': description ? encodeURIComponent(description) : '',
+      'x-cimpress-template-metadata': encodeURIComponent(metadataString),
+    };
   }
 
   /**
    * Create a template. When bodyTemplate is null only the permissions are updated.
    *
+   * Accepts either the positional parameters or a single
+   * `{body, contentType, isPublic, templateType, name, description, metadata, signal}` object.
+   *
    * @param {string} bodyTemplate The body of the template.
    * @param {string} contentType The content type of the template, e.g. text/handlebars. Required
    *    when bodyTemplate is passed.
@@ -414,32 +1873,34 @@ class StereotypeClient {
     templateName = null,
     templateDescription = null,
     metadata = null) {
-    const templatesUrl = this._getUrl('/v1/templates');
-    return new Promise((resolve, reject) => {
-      this.xray.captureAsyncFunc('Stereotype.postTemplate', (subsegment) => {
-        subsegment.addAnnotation('URL', templatesUrl);
-        subsegment.addAnnotation('RESTAction', 'POST');
-
-        this._createTemplate(templatesUrl, 'POST', bodyTemplate, contentType, isPublic,
-          templateType, templateName, templateDescription, metadata)
-        .then((res) => {
-          subsegment.addAnnotation('ResponseCode', res.status);
-          subsegment.addAnnotation('TemplateLocation', res.headers.location);
-          subsegment.close();
-          resolve(res.body);
-        })
-        .catch((err) => {
-          subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
-          subsegment.close(err);
-          reject(err);
-        });
-      }); // Closes self.xray.captureAsyncFunc()
-    }); // Closes new Promise()
+    return Promise.resolve().then(() => {
+      const template = toOptions('createTemplate', bodyTemplate, templateDefaults, {
+        body: bodyTemplate,
+        contentType,
+        isPublic,
+        templateType,
+        name: templateName,
+        description: templateDescription,
+        metadata,
+      });
+      return this._postTemplate(template).then((res) => res.body);
+    });
+  }
+
+  /**
+   * Creates a template with POST and returns a promise of the response, whose Location header holds the URL of
+   * the template the service created.
+   */
+  _postTemplate(template) {
+    return this._createTemplate(this._getUrl('/v1/templates'), 'POST', template)
+      .then((res) => this._invalidateCachedTemplates([this._getUrl('/v1/templates')]).then(() => res));
   }
 
   /**
    * Deletes a template.
    *
+   * Accepts either the positional parameters or a single `{skipCache, signal}` object.
+   *
    * @param {string} templateId The id of the template we want to delete.
    * @param {bool} skipCache Shows whether to explicitly bypass caching by adding a random query param.
    *    Optional, defaults to false.
@@ -448,48 +1909,38 @@ class StereotypeClient {
     const templateUrl = this._getUrl(`/v1/templates/${templateId}`);
     return this.deleteTemplate(templateUrl, skipCache);
   }
-    /**
-   * Deletes a template.
+
+  /**
+   * Deletes a template. With a revision store, the stored version is recorded first.
+   *
+   * Accepts either the positional parameters or a single `{skipCache, signal}` object.
    *
    * @param {string} templateUrl The name of the template we want to delete.
    * @param {bool} skipCache Shows whether to explicitly bypass caching by adding a random query param.
    *    Optional, defaults to false.
    */
   deleteTemplate(templateUrl, skipCache = false) {
-    let self = this;
-    let verifiedTemplateUrl = this._verifyTemplateUrl('/v1/templates', templateUrl);
-    return new Promise((resolve, reject) => {
-      self.xray.captureAsyncFunc('Stereotype.deleteTemplate', function(subsegment) {
-        subsegment.addAnnotation('URL', verifiedTemplateUrl);
-        subsegment.addAnnotation('RESTAction', 'DELETE');
-        subsegment.addAnnotation('Template', templateUrl);
-
-        request.delete(verifiedTemplateUrl + (skipCache ? `?skip_cache=${Math.random()}` : ''))
-          .set('Authorization', 'Bearer ' + self.accessToken)
-          .timeout({
-            response: self.timeout,
-            deadline: self.deadline,
-          })
-          .retry(self.numRetries)
-          .then(
-            (res) => {
-              subsegment.addAnnotation('ResponseCode', res.status);
-              subsegment.close();
-              resolve(res.status);
-            },
-            (err) => {
-              subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
-              subsegment.close(err);
-              reject(err);
-            }
-          );
-      }); // Closes self.xray.captureAsyncFunc()
-    }); // Closes new Promise()
+    return Promise.resolve().then(() => {
+      const options = toOptions('deleteTemplate', skipCache, {skipCache: false, signal: undefined}, {skipCache});
+
+      return this._getVerifiedTemplateUrl(templateUrl).then((verifiedTemplateUrl) =>
+        this._recordRevision(verifiedTemplateUrl, 'delete', options.signal).then(() => this._execute({
+          segment: 'Stereotype.deleteTemplate',
+          method: 'DELETE',
+          url: verifiedTemplateUrl,
+          skipCache: options.skipCache,
+          signal: options.signal,
+          annotations: {Template: templateUrl},
+        })).then((res) => this.invalidateTemplateCache(verifiedTemplateUrl).then(() => res.status)));
+    });
   }
 
   /**
    * Creates a template materialization by populating a template with data.
    *
+   * Accepts either the positional parameters or a single `{returnId, skipCache, contentType, preferAsync, binary, strictPropertyBag, signal}` object
+   * after the property bag. The object may also contain the crawler settings described in `with`.
+   *
    * @param {string} templateId
    * @param {object} propertyBag A JSON object that contains the data to be populated in the template.
    *    to be resolved before timing out. Default is 5000ms
@@ -502,14 +1953,17 @@ class StereotypeClient {
    *    Optional, defaults to application/json
    */
   materializeById(templateId, propertyBag, getMaterializationId = false, skipCache = false, contentType = 'application/json') {
-    return this.materializeSyncById(templateId, propertyBag, getMaterializationId, skipCache, contentType)
-      .then((resultStruct) => resultStruct.result);
+    const templateUrl = this._getUrl(`/v1/templates/${encodeURIComponent(templateId)}`);
+    return this.materialize(templateUrl, propertyBag, getMaterializationId, skipCache, contentType);
   }
 
   /**
    * Creates a template materialization by populating a template with data.
    *
-   * @param {string} templateUrl
+   * Accepts either the positional parameters or a single `{returnId, skipCache, contentType, preferAsync, binary, strictPropertyBag, signal}` object
+   * after the property bag. The object may also contain the crawler settings described in `with`.
+   *
+   * @param {string|Template} templateUrl The URL of the template, or a handle returned by `template`.
    * @param {object} propertyBag A JSON object that contains the data to be populated in the template.
    *    to be resolved before timing out. Default is 5000ms
    * @param {boolean} getMaterializationId Return the materialization id instead of the materialization
@@ -521,11 +1975,22 @@ class StereotypeClient {
    *    Optional, defaults to application/json
    */
   materialize(templateUrl, propertyBag, getMaterializationId = false, skipCache = false, contentType = 'application/json') {
-    return this.materializeSync(templateUrl, propertyBag, getMaterializationId, skipCache, contentType)
-      .then((resultStruct) => resultStruct.result);
+    return Promise.resolve().then(() => {
+      const options = toOptions('materialize', getMaterializationId, Object.assign({preferAsync: false}, materializeDefaults), {
+        returnId: getMaterializationId,
+        skipCache,
+        contentType,
+      });
+      return this._materialize(templateUrl, propertyBag, options)
+        .then((resultStruct) => resultStruct.result);
+    });
   }
 
   /**
+   * Materializes a template that is passed along with the data instead of being stored in the service.
+   *
+   * Accepts either the positional parameters or a single `{skipCache, preferAsync, contentType, binary, strictPropertyBag, signal}` object
+   * after the property bag. The object may also contain the crawler settings described in `with`.
    *
    * @param {object} template An object that contains template content and type. { contentType: x, content: y }
    *    contentType can be one of 'text/mustache', 'text/dust' or 'text/handlebars'
@@ -539,76 +2004,38 @@ class StereotypeClient {
    *    Optional, defaults to application/json
    */
   materializeDirect(template, propertyBag, skipCache = false, preferAsync = false, contentType = 'application/json') {
-    let self = this;
-    let materializationsUrl = this._getUrl('/v1/materializations');
-    return new Promise((resolve, reject) => {
-      self.xray.captureAsyncFunc('Stereotype.materialize', function(subsegment) {
-        subsegment.addAnnotation('URL', materializationsUrl);
-        subsegment.addAnnotation('RESTAction', 'POST');
-
-        let req = request
-          .post(materializationsUrl + (skipCache ? `?skip_cache=${Math.random()}` : ''))
-          .timeout({
-            response: self.timeout,
-            deadline: self.deadline,
-          })
-          .retry(self.numRetries)
-          .set('Authorization', 'Bearer ' + self.accessToken)
-          .set('Content-Type', contentType)
-          .set('x-cimpress-link-timeout', self.timeout);
-
-        if (self.blacklistHeader) {
-          req.set('x-cimpress-rel-blacklist', self.blacklistHeader);
-        }
-        if (self.whitelistHeader) {
-          req.set('x-cimpress-rel-whitelist', self.whitelistHeader);
-        }
-        if (self.acceptHeader) {
-          req.set('accept', self.acceptHeader);
-        }
-        if (self.acceptPreferenceHeader) {
-          req.set('x-cimpress-accept-preference', self.acceptPreferenceHeader);
-        }
-        if (self.curieHeader) {
-          req.set('x-cimpress-rel-curies', self.curieHeader);
-        } else if (Object.keys(self.curies).length) {
-          req.set('x-cimpress-rel-curies', self._constructCurieHeader());
-        }
-        if (self.maximumCrawlDepthHeader) {
-          req.set('x-cimpress-max-depth', self.maximumCrawlDepthHeader);
-        }
-        if (self.crawlerSoftErrors) {
-          req.set('x-cimpress-crawler-soft-errors', self.crawlerSoftErrors);
-        }
-        if (preferAsync) {
-          req.set('prefer', 'respond-async');
-        }
-
-        req.send({
+    return Promise.resolve().then(() => {
+      const options = toOptions('materializeDirect', skipCache, Object.assign({
+        skipCache: false,
+        preferAsync: false,
+        contentType: 'application/json',
+        binary: undefined,
+        strictPropertyBag: undefined,
+        signal: undefined,
+      }, crawlerDefaults), {skipCache, preferAsync, contentType});
+      const binary = this._getBinaryMode(options.binary);
+
+      return this._checkPropertyBag(template, propertyBag, options).then(() => this._execute({
+        segment: 'Stereotype.materialize',
+        method: 'POST',
+        url: this._getUrl('/v1/materializations'),
+        skipCache: options.skipCache,
+        headers: this._getMaterializationHeaders(options),
+        responseType: binary !== false ? 'blob' : undefined,
+        signal: options.signal,
+        body: {
           template: {
             body: Base64.encode(template.content),
             contentType: template.contentType,
           },
           templatePayload: propertyBag,
-        })
-          .then(
-            (res) => {
-              subsegment.addAnnotation('ResponseCode', res.status);
-              subsegment.close();
-              resolve({
-                status: res.status,
-                result: res.text,
-                contentType: res.get('Content-Type'),
-              });
-            })
-          .catch(
-            (err) => {
-              subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
-              subsegment.close(err);
-              reject(err);
-            }); // Closes request chain
-      }); // Closes self.xray.captureAsyncFunc()
-    }); // Closes new Promise()
+        },
+      })).then((res) => readResult(res, binary).then((result) => ({
+        status: res.status,
+        result: result,
+        contentType: res.headers['content-type'],
+      })));
+    });
   }
 
   /**
@@ -616,17 +2043,22 @@ class StereotypeClient {
    * The `result` field holds the materialization, while the `status` field is expected to always be `201`.
    * The main purpose of the `status` field is uniformity with the `materializeAsync` method.
    *
-   * @param {string} templateUrl
+   * Accepts either the positional parameters or a single `{returnId, skipCache, contentType, binary, strictPropertyBag, signal}` object
+   * after the property bag. The object may also contain the crawler settings described in `with`.
+   *
+   * @param {string} templateId
    * @param {object} propertyBag A JSON object that contains the data to be populated in the template.
    * @param {boolean} getMaterializationId Return the materialization id instead of the materialization
    *    body. We can use that id later to fetch the materialized template without resending the properties.
    *    Defaults to false.
    * @param {bool} skipCache Shows whether to explicitly bypass caching by adding a random query param.
    *    Optional, defaults to false.
+   * @param {string} contentType Overrides the default request content type.
+   *    Optional, defaults to application/json
    */
   materializeSyncById(templateId, propertyBag, getMaterializationId = false, skipCache = false, contentType = 'application/json') {
     const templateUrl = this._getUrl(`/v1/templates/${encodeURIComponent(templateId)}`);
-    return this._materialize(templateUrl, propertyBag, getMaterializationId, false, skipCache, contentType);
+    return this.materializeSync(templateUrl, propertyBag, getMaterializationId, skipCache, contentType);
   }
 
   /**
@@ -634,7 +2066,10 @@ class StereotypeClient {
    * The `result` field holds the materialization, while the `status` field is expected to always be `201`.
    * The main purpose of the `status` field is uniformity with the `materializeAsync` method.
    *
-   * @param {string} templateUrl
+   * Accepts either the positional parameters or a single `{returnId, skipCache, contentType, binary, strictPropertyBag, signal}` object
+   * after the property bag. The object may also contain the crawler settings described in `with`.
+   *
+   * @param {string|Template} templateUrl The URL of the template, or a handle returned by `template`.
    * @param {object} propertyBag A JSON object that contains the data to be populated in the template.
    * @param {boolean} getMaterializationId Return the materialization id instead of the materialization
    *    body. We can use that id later to fetch the materialized template without resending the properties.
@@ -645,7 +2080,14 @@ class StereotypeClient {
    *    Optional, defaults to application/json
    */
   materializeSync(templateUrl, propertyBag, getMaterializationId = false, skipCache = false, contentType = 'application/json') {
-    return this._materialize(templateUrl, propertyBag, getMaterializationId, false, skipCache, contentType);
+    return Promise.resolve().then(() => {
+      const options = toOptions('materializeSync', getMaterializationId, materializeDefaults, {
+        returnId: getMaterializationId,
+        skipCache,
+        contentType,
+      });
+      return this._materialize(templateUrl, propertyBag, Object.assign(options, {preferAsync: false}));
+    });
   }
 
   /**
@@ -655,7 +2097,10 @@ class StereotypeClient {
    * in case the preference for async execution was respected or `201` in case the server
    * decided to ignore the preference and execute the request synchronously.
    *
-   * @param {string} templateUrl
+   * Accepts either the positional parameters or a single `{returnId, skipCache, contentType, binary, strictPropertyBag, signal}` object
+   * after the property bag. The object may also contain the crawler settings described in `with`.
+   *
+   * @param {string|Template} templateUrl The URL of the template, or a handle returned by `template`.
    * @param {object} propertyBag A JSON object that contains the data to be populated in the template.
    * @param {boolean} getMaterializationId Return the materialization id instead of the materialization
    *    body. We can use that id later to fetch the materialized template without resending the properties.
@@ -666,7 +2111,294 @@ class StereotypeClient {
    *    Optional, defaults to application/json
    */
   materializeAsync(templateUrl, propertyBag, getMaterializationId = false, skipCache = false, contentType = 'application/json') {
-    return this._materialize(templateUrl, propertyBag, getMaterializationId, true, skipCache, contentType);
+    return Promise.resolve().then(() => {
+      const options = toOptions('materializeAsync', getMaterializationId, materializeDefaults, {
+        returnId: getMaterializationId,
+        skipCache,
+        contentType,
+      });
+      return this._materialize(templateUrl, propertyBag, Object.assign(options, {preferAsync: true}));
+    });
+  }
+
+  /**
+   * Materializes many templates, at most `concurrency` at a time. Unlike `Promise.all`, a failing item does not
+   * fail the batch: the promise resolves to one result per item, in the order of the items, of the form
+   * `{index, status, result, contentType, error, skipped, startedAt, duration}`. `error` is set for failed items,
+   * `skipped` for items that were not started because of `stopOnError` or the signal.
+   *
+   * @param {object[]} items The materializations, each an object with:
+   *    - templateId, templateUrl or template: the stored template to materialize, or a template object
+   *      as passed to `materializeDirect`.
+   *    - propertyBag: the data to populate the template with.
+   *    - options: the options of `materializeSync`, or of `materializeDirect` for template objects. Optional.
+   * @param {object} options Optional settings:
+   *    - concurrency: the maximum number of materializations in flight. Defaults to 5.
+   *    - stopOnError: do not start further items after an item failed. Defaults to false.
+   *    - onProgress: a function called after every item with `{completed, failed, total, result}`.
+   *    - signal: an AbortSignal or cancel token signal for the whole batch.
+   */
+  materializeMany(items, options = {}) {
+    return Promise.resolve().then(() => {
+      const {concurrency, stopOnError, onProgress, signal} = withDefaults('materializeMany', options, {
+        concurrency: defaultConf.batchConcurrency,
+        stopOnError: false,
+        onProgress: undefined,
+        signal: undefined,
+      });
+      let completed = 0;
+      let failed = 0;
+
+      const materializeItem = (index) => {
+        const startedAt = Date.now();
+        return Promise.resolve()
+          .then(() => this._materializeItem(items[index], signal))
+          .then(
+            (resultStruct) => ({index, status: resultStruct.status, result: resultStruct.result, contentType: resultStruct.contentType}),
+            (err) => ({index, status: err.status, error: err})
+          )
+          .then((result) => {
+            Object.assign(result, {startedAt, duration: Date.now() - startedAt});
+            completed++;
+            failed += result.error ? 1 : 0;
+            if (onProgress) {
+              onProgress({completed, failed, total: items.length, result});
+            }
+            return result;
+          });
+      };
+      const skip = (index) => ((stopOnError && failed) || (signal && signal.aborted) ? {index, skipped: true} : undefined);
+
+      return runConcurrently(items.length, concurrency, materializeItem, skip);
+    });
+  }
+
+  _materializeItem(item, signal) {
+    const options = Object.assign({signal}, item.options);
+    if (item.template) {
+      return this.materializeDirect(item.template, item.propertyBag, options);
+    }
+    const templateUrl = item.templateUrl || this._getUrl(`/v1/templates/${encodeURIComponent(item.templateId)}`);
+    return this.materializeSync(templateUrl, item.propertyBag, options);
+  }
+
+  /**
+   * Materializes a template and streams the result instead of buffering it, e.g. to pipe large xlsx files into
+   * an upload. Resolves as soon as the response headers arrive, to a Node `Readable` that carries the `status`,
+   * `contentType` and `headers` of the response. When a `destination` is given, the result is piped into it
+   * and the promise resolves to `{status, contentType}` once the destination finished.
+   *
+   * @param {string|Template} templateUrl The URL of the template, or a handle returned by `template`.
+   * @param {object} propertyBag A JSON object that contains the data to be populated in the template.
+   * @param {object} options Optional settings:
+   *    - destination: a Node `Writable` to pipe the result into.
+   *    - skipCache, contentType, strictPropertyBag, signal: see `materialize`.
+   *    The object may also contain the crawler settings described in `with`.
+   */
+  materializeToStream(templateUrl, propertyBag, options = {}) {
+    return Promise.resolve().then(() => {
+      const resolved = withDefaults('materializeToStream', options, Object.assign({
+        destination: undefined,
+        skipCache: false,
+        contentType: 'application/json',
+        strictPropertyBag: undefined,
+        signal: undefined,
+      }, crawlerDefaults));
+
+      return this._getTemplateHandle(templateUrl).then((handle) => this._checkPropertyBag(handle.url, propertyBag, resolved)
+        .then(() => this._stream({
+          segment: 'Stereotype.materialize',
+          method: 'POST',
+          url: handle.materializationUrl,
+          skipCache: resolved.skipCache,
+          headers: this._getMaterializationHeaders(resolved),
+          body: propertyBag,
+          signal: resolved.signal,
+          annotations: {Template: handle.url},
+        }, resolved.destination)));
+    });
+  }
+
+  /**
+   * Sends a request and streams the body of the response, see `materializeToStream`.
+   *
+   * @param {object} spec The request, see `_execute`.
+   * @param {stream.Writable} destination The stream to pipe the body into. Optional.
+   */
+  _stream(spec, destination) {
+    const output = new PassThrough();
+    return this._execute(Object.assign({}, spec, {streamTo: output})).then((res) => {
+      const stopListening = onAbort(spec.signal, () => output.destroy(StereotypeClient._getAbortError(spec.method, spec.url)));
+      output.once('end', stopListening);
+      output.once('error', stopListening);
+      Object.assign(output, {status: res.status, contentType: res.headers['content-type'], headers: res.headers});
+      if (!destination) {
+        return output;
+      }
+
+      return new Promise((resolve, reject) => {
+        output.once('error', reject);
+        destination.once('error', reject);
+        destination.once('finish', () => resolve({status: output.status, contentType: output.contentType}));
+        output.pipe(destination);
+      });
+    });
+  }
+
+  /**
+   * Requests an asynchronous materialization and waits until it is available.
+   *
+   * @param {string} templateId
+   * @param {object} propertyBag A JSON object that contains the data to be populated in the template.
+   * @param {object} options The same options as `materializeAndWait`.
+   */
+  materializeAndWaitById(templateId, propertyBag, options = {}) {
+    const templateUrl = this._getUrl(`/v1/templates/${encodeURIComponent(templateId)}`);
+    return this.materializeAndWait(templateUrl, propertyBag, options);
+  }
+
+  /**
+   * Requests an asynchronous materialization and waits until it is available. Returns a promise that
+   * resolves to the same `{status, result, contentType}` structure as `materializeSync`.
+   * If the server decides to ignore the preference for async execution, its synchronous response
+   * is returned right away.
+   *
+   * @param {string|Template} templateUrl The URL of the template, or a handle returned by `template`.
+   * @param {object} propertyBag A JSON object that contains the data to be populated in the template.
+   * @param {object} options Optional settings:
+   *    - skipCache: explicitly bypass caching by adding a random query param. Defaults to false.
+   *    - contentType: overrides the default request content type. Defaults to application/json.
+   *    - binary: return the materialization as binary data. Defaults to the client setting.
+   *    - strictPropertyBag: check the property bag before sending it, see `validatePropertyBag`. Defaults to the
+   *      client setting.
+   *    - interval, maxWait, backoff, signal: polling settings, see `waitForMaterialization`.
+   *    - the crawler settings described in `with`.
+   */
+  materializeAndWait(templateUrl, propertyBag, options = {}) {
+    return Promise.resolve().then(() => {
+      const resolved = withDefaults('materializeAndWait', options, Object.assign({
+        interval: undefined,
+        maxWait: undefined,
+        backoff: undefined,
+      }, materializeDefaults));
+      const {interval, maxWait, backoff, signal, binary} = resolved;
+      return this._materialize(templateUrl, propertyBag, Object.assign({}, resolved, {returnId: false, preferAsync: true}))
+        .then((resultStruct) => {
+          if (resultStruct.status !== 202) {
+            return resultStruct;
+          }
+          return this.waitForMaterialization(resultStruct.result, {interval, maxWait, backoff, signal, binary});
+        });
+    });
+  }
+
+  /**
+   * Polls an asynchronous materialization with exponential backoff until it is available.
+   * Returns a promise that resolves to an object with the fields `status`, `result` and `contentType`.
+   * Rejects with a `TimeoutError` when the materialization is not available within `maxWait` milliseconds.
+   *
+   * @param {string} materialization The location returned by `materializeAsync` or a materialization id.
+   * @param {object} options Optional settings:
+   *    - interval: milliseconds to wait before the first retry. Defaults to 500.
+   *    - maxWait: the maximum number of milliseconds to wait in total, including a pending poll request, which
+   *      is aborted when the time is up. Defaults to the client deadline.
+   *    - backoff: the factor the interval grows by after each attempt. Defaults to 2.
+   *    - signal: an AbortSignal, or the signal of a cancel token, that stops the polling when aborted.
+   *    - binary: return the materialization as binary data. Defaults to the client setting.
+   */
+  waitForMaterialization(materialization, options = {}) {
+    return Promise.resolve().then(() => {
+      const {interval, maxWait, backoff, signal, binary} = withDefaults('waitForMaterialization', options, {
+        interval: defaultConf.pollInterval,
+        maxWait: this.deadline,
+        backoff: defaultConf.pollBackoff,
+        signal: undefined,
+        binary: this.isBinaryResponse,
+      });
+      const materializationUrl = this._getMaterializationUrl(materialization);
+      const startedAt = Date.now();
+
+      return new Promise((resolve, reject) => {
+        // Cancelled once the wait is over, so that a pending poll request does not outlive it.
+        const polling = createCancelToken();
+        let timer = null;
+        let settled = false;
+        let stopListening = () => {};
+
+        const settle = (callback, value) => {
+          if (settled) {
+            return;
+          }
+          settled = true;
+          clearTimeout(timer);
+          stopListening();
+          polling.cancel();
+          callback(value);
+        };
+
+        const timeOut = () => {
+          const waited = Date.now() - startedAt;
+          settle(reject, new TimeoutError(`Materialization not available after ${waited}ms: ${materializationUrl}`, {
+            method: 'GET',
+            url: materializationUrl,
+            waited: waited,
+          }));
+        };
+
+        const scheduleNextPoll = (attempt) => {
+          if (settled) {
+            return;
+          }
+          const waited = Date.now() - startedAt;
+          if (waited >= maxWait) {
+            timeOut();
+            return;
+          }
+          const delay = Math.min(interval * Math.pow(backoff, attempt), maxWait - waited);
+          timer = setTimeout(() => poll(attempt + 1), delay);
+        };
+
+        const poll = (attempt) => {
+          // A slow poll request gets only the time that is left, so the wait never runs past maxWait.
+          timer = setTimeout(timeOut, Math.max(0, maxWait - (Date.now() - startedAt)));
+          this._fetchMaterialization(materialization, false, binary, polling.signal)
+            .then((resultStruct) => {
+              clearTimeout(timer);
+              if (resultStruct.status === 202) {
+                scheduleNextPoll(attempt);
+              } else {
+                settle(resolve, resultStruct);
+              }
+            })
+            .catch((err) => {
+              clearTimeout(timer);
+              // The materialization may not be stored yet right after it was requested.
+              if (err.status === 404) {
+                scheduleNextPoll(attempt);
+              } else {
+                settle(reject, err);
+              }
+            });
+        };
+
+        stopListening = onAbort(signal, () => settle(reject, StereotypeClient._getAbortError('GET', materializationUrl)));
+        if (!settled) {
+          poll(0);
+        }
+      });
+    });
+  }
+
+  /**
+   * Creates a cancel token for environments without AbortController: an object with a `signal`, which can be
+   * passed as the `signal` option of every method, and a `cancel()` function that aborts the calls using it.
+   */
+  static createCancelToken() {
+    return createCancelToken();
+  }
+
+  static _getAbortError(method, url) {
+    return new AbortError(`${method} ${url} was aborted`, {method: method, url: url});
   }
 
   _getUrl(path) {
@@ -674,153 +2406,199 @@ class StereotypeClient {
   }
 
   _verifyTemplateUrl(path, templateUrl) {
-    const parts = templateUrl.split('/');
+    const parts = String(templateUrl).split('/');
     if (parts.length <= 0) {
-      throw new Error('Invalid template URL (parts)');
+      throw new InvalidTemplateUrlError('Invalid template URL (parts)', {url: templateUrl});
     }
-    if (templateUrl !== (this.baseUrl + path + '/' + parts[parts.length-1])) {
-      throw new Error(`Invalid template URL (format) ${templateUrl} :: ${this.baseUrl + path + '/' + parts[parts.length-1]}`);
+    const expectedUrl = this.baseUrl + path + '/' + parts[parts.length-1];
+    if (templateUrl !== expectedUrl) {
+      throw new InvalidTemplateUrlError(`Invalid template URL (format) ${templateUrl} :: ${expectedUrl}`, {url: templateUrl});
     }
     return templateUrl;
   }
 
-  _materialize(templateUrl, propertyBag, getMaterializationId = false, preferAsync = false, skipCache = false, contentType = 'application/json') {
-    // TODO: we have to store materialization link at template to avoid URL construction
-    let verifiedTemplateUrl = this._verifyTemplateUrl('/v1/templates', templateUrl);
-    const parts = verifiedTemplateUrl.split('/');
-    const templateId = parts[parts.length-1];
+  /**
+   * Materializes a stored template.
+   *
+   * @param {string|Template} templateUrl The URL of the template, or a handle returned by `template`.
+   * @param {object} propertyBag A JSON object that contains the data to be populated in the template.
+   * @param {object} options `{returnId, preferAsync, skipCache, contentType, binary}` and the crawler settings,
+   *    see `materialize`.
+   */
+  _materialize(templateUrl, propertyBag, options) {
+    const binary = this._getBinaryMode(options.binary);
+
+    return this._getTemplateHandle(templateUrl).then((handle) => this._checkPropertyBag(handle.url, propertyBag, options)
+      .then(() => this._execute({
+        segment: 'Stereotype.materialize',
+        method: 'POST',
+        url: handle.materializationUrl,
+        skipCache: options.skipCache,
+        headers: this._getMaterializationHeaders(options),
+        responseType: binary !== false ? 'blob' : undefined,
+        signal: options.signal,
+        body: propertyBag,
+        annotations: {Template: handle.url},
+      }))).then((res) => {
+      const contentType = res.headers['content-type'];
+      if (options.returnId && res.headers.location) {
+        // the `+ 1` is for the leading `/`:
+        let preStringLen = 'v1'.length + '/materializations/'.length + 1;
+        return {
+          status: res.status,
+          result: res.headers.location.substring(preStringLen),
+          contentType: contentType,
+        };
+      } else if (res.status == 202) { // async
+        return {
+          status: res.status,
+          result: res.headers.location,
+          contentType: contentType,
+        };
+      } else { // sync
+        return readResult(res, binary).then((result) => ({
+          status: res.status,
+          result: result,
+          contentType: contentType,
+        }));
+      }
+    });
+  }
 
-    let self = this;
-    let templatesMaterializationUrl = this._getUrl('/v1/templates' + '/' + templateId + '/materializations');
-    return new Promise((resolve, reject) => {
-      self.xray.captureAsyncFunc('Stereotype.materialize', function(subsegment) {
-        subsegment.addAnnotation('URL', templatesMaterializationUrl);
-        subsegment.addAnnotation('RESTAction', 'POST');
-        subsegment.addAnnotation('Template', templateUrl);
-
-        let req = request.post(templatesMaterializationUrl + (skipCache ? `?skip_cache=${Math.random()}` : ''))
-          .timeout({
-            response: self.timeout,
-            deadline: self.deadline,
-          })
-          .retry(self.numRetries)
-          .set('Authorization', 'Bearer ' + self.accessToken)
-          .set('Content-Type', contentType)
-          .set('x-cimpress-link-timeout', self.timeout);
-
-        if (self.isBinaryResponse) {
-          req.responseType('blob');
-        }
-        if (self.blacklistHeader) {
-          req.set('x-cimpress-rel-blacklist', self.blacklistHeader);
-        }
-        if (self.whitelistHeader) {
-          req.set('x-cimpress-rel-whitelist', self.whitelistHeader);
-        }
-        if (self.acceptHeader) {
-          req.set('accept', self.acceptHeader);
-        }
-        if (self.acceptPreferenceHeader) {
-          req.set('x-cimpress-accept-preference', self.acceptPreferenceHeader);
-        }
-        if (self.curieHeader) {
-          req.set('x-cimpress-rel-curies', self.curieHeader);
-        } else if (Object.keys(self.curies).length) {
-          req.set('x-cimpress-rel-curies', self._constructCurieHeader());
-        }
-        if (self.maximumCrawlDepthHeader) {
-          req.set('x-cimpress-max-depth', self.maximumCrawlDepthHeader);
-        }
-        if (preferAsync) {
-          req.set('prefer', 'respond-async');
-        }
+  /**
+   * Returns a promise of a template URL once it is verified, see `_verifyTemplateUrl`. Methods that return promises
+   * verify URLs with it, so that invalid URLs reject with an InvalidTemplateUrlError instead of throwing.
+   */
+  _getVerifiedTemplateUrl(templateUrl) {
+    return Promise.resolve().then(() => this._verifyTemplateUrl('/v1/templates', templateUrl));
+  }
 
-        req.send(propertyBag)
-          .then(
-            (res) => {
-              subsegment.addAnnotation('ResponseCode', res.status);
-              subsegment.close();
-              if (getMaterializationId && res.headers && res.headers.location) {
-                // the `+ 1` is for the leading `/`:
-                let preStringLen = 'v1'.length + '/materializations/'.length + 1;
-                resolve({
-                  status: res.status,
-                  result: res.headers.location.substring(preStringLen),
-                  contentType: res.get('Content-Type'),
-                });
-              } else if (res.status == 202) { // async
-                resolve({
-                  status: res.status,
-                  result: res.headers.location,
-                  contentType: res.get('Content-Type'),
-                });
-              } else { // sync
-                resolve({
-                  status: res.status,
-                  result: self.isBinaryResponse ? res.body : res.text,
-                  contentType: res.get('Content-Type'),
-                });
-              }
-            })
-          .catch(
-            (err) => {
-              subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
-              subsegment.close(err);
-              reject(err);
-            }); // Closes request chain
-      }); // Closes self.xray.captureAsyncFunc()
-    }); // Closes new Promise()
+  /**
+   * Returns a promise of the Template handle of a template URL, or of the given handle.
+   * Rejects with an InvalidTemplateUrlError for URLs that are not template URLs of the service.
+   */
+  _getTemplateHandle(template) {
+    return template instanceof Template ? Promise.resolve(template)
+      : this._getVerifiedTemplateUrl(template).then((templateUrl) => new Template(this, templateUrl));
+  }
+
+  /**
+   * Returns the headers of a materialization or expansion request.
+   *
+   * @param {object} options `{contentType, preferAsync}` and the crawler settings of the call.
+   */
+  _getMaterializationHeaders(options) {
+    return Object.assign(this._getCrawlerHeaders(options), {
+      'Content-Type': options.contentType,
+      'x-cimpress-link-timeout': this.timeout,
+      'prefer': options.preferAsync ? 'respond-async' : undefined,
+    });
   }
 
   /**
    * Get an existing template materialization.
    *
+   * Accepts either the positional parameters or a single `{skipCache, signal}` object.
+   *
    * @param {string} idMaterialization The id of the materialization, as returned by `materialize`.
    * @param {bool} skipCache Shows whether to explicitly bypass caching by adding a random query param.
    *    Optional, defaults to false.
    */
   getMaterializationById(idMaterialization, skipCache = false) {
-    let self = this;
-    let materializationsUrl = this._getUrl('/v1/materializations');
-    return new Promise((resolve, reject) => {
-      self.xray.captureAsyncFunc('Stereotype.getMaterialization', function(subsegment) {
-        subsegment.addAnnotation('URL', materializationsUrl);
-        subsegment.addAnnotation('RESTAction', 'GET');
-        subsegment.addAnnotation('TemplateMaterialization', idMaterialization);
+    return Promise.resolve().then(() => {
+      const options = toOptions('getMaterializationById', skipCache, {skipCache: false, signal: undefined}, {skipCache});
+      return this._fetchMaterialization(idMaterialization, options.skipCache, undefined, options.signal)
+        .then((resultStruct) => resultStruct.result);
+    });
+  }
 
-        let req = request
-          .get(materializationsUrl + '/' + idMaterialization + (skipCache ? `?skip_cache=${Math.random()}` : ''));
+  /**
+   * Streams an existing template materialization instead of buffering it. Resolves as soon as the response
+   * headers arrive, see `materializeToStream`.
+   *
+   * @param {string} idMaterialization The id or location of the materialization.
+   * @param {object} options Optional settings:
+   *    - destination: a Node `Writable` to pipe the materialization into.
+   *    - skipCache, signal: see `getMaterializationById`.
+   */
+  getMaterializationStream(idMaterialization, options = {}) {
+    return Promise.resolve().then(() => {
+      const resolved = withDefaults('getMaterializationStream', options, {
+        destination: undefined,
+        skipCache: false,
+        signal: undefined,
+      });
+      return this._stream({
+        segment: 'Stereotype.getMaterialization',
+        method: 'GET',
+        url: this._getMaterializationUrl(idMaterialization),
+        skipCache: resolved.skipCache,
+        annotations: {TemplateMaterialization: idMaterialization},
+        signal: resolved.signal,
+      }, resolved.destination);
+    });
+  }
 
-        if (self.isBinaryResponse) {
-          req.responseType('blob');
-        }
+  /**
+   * Turns a materialization location (absolute or relative to the base URL) or id into a full URL.
+   */
+  _getMaterializationUrl(materialization) {
+    const location = String(materialization);
+    if (/^https?:\/\//.test(location) || location[0] === '/') {
+      return this._getLinkUrl(location);
+    }
+    return this._getUrl(`/v1/materializations/${location}`);
+  }
 
-        req.timeout({
-            response: self.timeout,
-            deadline: self.deadline,
-          })
-          .retry(self.numRetries)
-          .set('Authorization', 'Bearer ' + self.accessToken)
-          .then(
-            (res) => {
-              subsegment.addAnnotation('ResponseCode', res.status);
-              subsegment.close();
-              resolve(self.isBinaryResponse ? res.body : res.text);
-            },
-            (err) => {
-              subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
-              subsegment.close(err);
-              reject(err);
-            }
-          );
-      }); // Closes self.xray.captureAsyncFunc()
-    }); // Closes new Promise()
+  /**
+   * Turns a template id or URL into a template URL.
+   */
+  _getTemplateUrl(template) {
+    return /^https?:\/\//.test(template) ? template : this._getUrl(`/v1/templates/${encodeURIComponent(template)}`);
+  }
+
+  /**
+   * Returns the id of a template from its URL.
+   */
+  _getTemplateId(templateUrl) {
+    const parts = this._verifyTemplateUrl('/v1/templates', templateUrl).split('/');
+    return decodeURIComponent(parts[parts.length - 1]);
+  }
+
+  /**
+   * Returns the absolute URL of a link, which may be relative to the base URL.
+   */
+  _getLinkUrl(href) {
+    return /^https?:\/\//.test(href) ? href : this._getUrl(href);
+  }
+
+  /**
+   * Fetches a materialization by its id or location.
+   */
+  _fetchMaterialization(materialization, skipCache = false, binary = undefined, signal = undefined) {
+    const binaryMode = this._getBinaryMode(binary);
+    return this._execute({
+      segment: 'Stereotype.getMaterialization',
+      method: 'GET',
+      url: this._getMaterializationUrl(materialization),
+      skipCache: skipCache,
+      annotations: {TemplateMaterialization: materialization},
+      responseType: binaryMode !== false ? 'blob' : undefined,
+      signal: signal,
+    }).then((res) => readResult(res, binaryMode).then((result) => ({
+      status: res.status,
+      result: result,
+      contentType: res.headers['content-type'],
+    })));
   }
 
   /**
    * Expands the given propertyBag, so the client can see how all the fields would look right before
    * they are populated into the target template.
    *
+   * Accepts either the positional parameters or a single `{skipCache, contentType, signal}` object after the property bag.
+   * The object may also contain the crawler settings described in `with`.
+   *
    * @param {object} propertyBag A JSON object that contains the data to be populated in a template.
    * @param {bool} skipCache Shows whether to explicitly bypass caching by adding a random query param.
    *    Optional, defaults to false.
@@ -828,148 +2606,84 @@ class StereotypeClient {
    *    Optional, defaults to application/json
    */
   expand(propertyBag, skipCache = false, contentType = 'application/json') {
-    let self = this;
-    let expandUrl = this._getUrl('/v1/expand');
-    return new Promise((resolve, reject) => {
-      self.xray.captureAsyncFunc('Stereotype.expand', function(subsegment) {
-        subsegment.addAnnotation('URL', expandUrl);
-        subsegment.addAnnotation('RESTAction', 'POST');
-
-        let req = request
-          .post(expandUrl + (skipCache ? `?skip_cache=${Math.random()}` : ''))
-          .timeout({
-            response: self.timeout,
-            deadline: self.deadline,
-          })
-          .retry(self.numRetries)
-          .set('Authorization', 'Bearer ' + self.accessToken)
-          .set('Content-Type', contentType)
-          .set('x-cimpress-link-timeout', self.timeout);
-
-        if (self.blacklistHeader) {
-          req.set('x-cimpress-rel-blacklist', self.blacklistHeader);
-        }
-        if (self.whitelistHeader) {
-          req.set('x-cimpress-rel-whitelist', self.whitelistHeader);
-        }
-        if (self.acceptHeader) {
-          req.set('accept', self.acceptHeader);
-        }
-        if (self.acceptPreferenceHeader) {
-          req.set('x-cimpress-accept-preference', self.acceptPreferenceHeader);
-        }
-        if (self.curieHeader) {
-          req.set('x-cimpress-rel-curies', self.curieHeader);
-        } else if (Object.keys(self.curies).length) {
-          req.set('x-cimpress-rel-curies', self._constructCurieHeader());
-        }
-        if (self.maximumCrawlDepthHeader) {
-          req.set('x-cimpress-max-depth', self.maximumCrawlDepthHeader);
-        }
-
-        req.send(propertyBag)
-          .then(
-            (res) => {
-              subsegment.addAnnotation('ResponseCode', res.status);
-              subsegment.close();
-              resolve(res.text);
-            },
-            (err) => {
-              let isTimeoutError = (err) => err.response.text.includes('ESOCKETTIMEDOUT');
-
-              subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
-              subsegment.addAnnotation('UnableToExpandPropertyBag: ' + err.message);
-
-              if (err.status === 400 && self.numRetries > 0 && isTimeoutError(err)) {
-                subsegment.addAnnotation('WillRetry: true');
-                subsegment.close(err);
-                resolve(self.expand(propertyBag, skipCache));
-              } else {
-                subsegment.addAnnotation('WillRetry: false');
-                subsegment.close(err);
-                reject(err);
-              }
-            }
-          ); // Closes request chain
-      }); // Closes self.xray.captureAsyncFunc()
-    }); // Closes new Promise()
+    return Promise.resolve().then(() => {
+      const options = toOptions('expand', skipCache, Object.assign({
+        skipCache: false,
+        contentType: 'application/json',
+        signal: undefined,
+      }, crawlerDefaults), {skipCache, contentType});
+
+      return this._execute({
+        segment: 'Stereotype.expand',
+        method: 'POST',
+        url: this._getUrl('/v1/expand'),
+        skipCache: options.skipCache,
+        headers: this._getMaterializationHeaders(options),
+        body: propertyBag,
+        signal: options.signal,
+        // The service responds with 400 when crawling a link timed out, which is worth another attempt.
+        isRetryable: (err) => err.status === 400 && /ESOCKETTIMEDOUT/.test((err.response && err.response.text) || ''),
+      }).then((res) => res.text);
+    });
   }
 
   /**
    * Returns the status of the service as a boolean (alive/dead) (via a promise).
    *
+   * Accepts either the positional parameters or a single `{skipCache, signal}` object.
+   *
    * @param {bool} skipCache Shows whether to explicitly bypass caching by adding a random query param.
    *    Optional, defaults to false.
    * @returns boolean
    */
   livecheck(skipCache = false) {
-    let self = this;
-    let baseUrl = this._getUrl('/');
-    return new Promise((resolve, reject) => {
-      self.xray.captureAsyncFunc('Stereotype.livecheck', function(subsegment) {
-        subsegment.addAnnotation('URL', baseUrl + 'livecheck');
-        subsegment.addAnnotation('RESTAction', 'GET');
-
-        request
-          .get(baseUrl + 'livecheck' + (skipCache ? `?skip_cache=${Math.random()}` : ''))
-          .timeout({
-            response: self.timeout,
-            deadline: self.deadline,
-          })
-          .retry(self.numRetries)
-          .set('Authorization', 'Bearer ' + self.accessToken)
-          .then(
-            (res) => {
-              subsegment.addAnnotation('ResponseCode', res.status);
-              subsegment.close();
-              resolve(res && res.status == 200);
-            },
-            (err) => {
-              subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
-              subsegment.close(err);
-              reject(err);
-            }
-          );
-      }); // Closes self.xray.captureAsyncFunc()
-    }); // Closes new Promise()
+    return Promise.resolve().then(() => {
+      const options = toOptions('livecheck', skipCache, {skipCache: false, signal: undefined}, {skipCache});
+
+      return this._execute({
+        segment: 'Stereotype.livecheck',
+        method: 'GET',
+        url: this._getUrl('/livecheck'),
+        skipCache: options.skipCache,
+        signal: options.signal,
+      }).then((res) => res && res.status == 200);
+    });
   }
 
   /**
    * Returns the swagger file of the service (via a promise).
    *
+   * Accepts either the positional parameters or a single `{skipCache, signal}` object.
+   *
    * @param {bool} skipCache Shows whether to explicitly bypass caching by adding a random query param.
    *    Optional, defaults to false.
    */
   getSwagger(skipCache = false) {
-    let self = this;
-    let swaggerUrl = this._getUrl('/v1/swagger.json');
-    return new Promise((resolve, reject) => {
-      self.xray.captureAsyncFunc('Stereotype.getSwagger', function(subsegment) {
-        subsegment.addAnnotation('URL', swaggerUrl);
-        subsegment.addAnnotation('RESTAction', 'GET');
-
-        request
-          .get(swaggerUrl + (skipCache ? `?skip_cache=${Math.random()}` : ''))
-          .timeout({
-            response: self.timeout,
-            deadline: self.deadline,
-          })
-          .retry(self.numRetries)
-          .set('Authorization', 'Bearer ' + self.accessToken)
-          .then(
-            (res) => {
-              subsegment.addAnnotation('ResponseCode', res.status);
-              subsegment.close();
-              resolve(res.body);
-            },
-            (err) => {
-              subsegment.addAnnotation('ResponseCode', err.status || 'n/a');
-              subsegment.close(err);
-              reject(err);
-            }
-          );
-      }); // Closes self.xray.captureAsyncFunc()
-    }); // Closes new Promise()
+    return Promise.resolve().then(() => {
+      const options = toOptions('getSwagger', skipCache, {skipCache: false, signal: undefined}, {skipCache});
+
+      return this._execute({
+        segment: 'Stereotype.getSwagger',
+        method: 'GET',
+        url: this._getUrl('/v1/swagger.json'),
+        skipCache: options.skipCache,
+        signal: options.signal,
+      }).then((res) => res.body);
+    });
+  }
+
+  /**
+   * Registers the template content types the service's swagger document declares with this client.
+   *
+   * Accepts a `{skipCache, signal}` object.
+   *
+   * @return {Promise} A promise of the MIME types that were not known before.
+   */
+  discoverContentTypes(options = {}) {
+    return Promise.resolve().then(() => {
+      const resolved = withDefaults('discoverContentTypes', options, {skipCache: false, signal: undefined});
+      return this.getSwagger(resolved).then((swagger) => this.contentTypes.registerFromSwagger(swagger));
+    });
   }
 }
 
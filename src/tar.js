@@ -0,0 +1,98 @@
+'use strict';
+
+const BLOCK_SIZE = 512;
+
+function writeString(header, value, offset, length) {
+  header.write(value, offset, Math.min(Buffer.byteLength(value), length), 'utf8');
+}
+
+function writeOctal(header, value, offset, length) {
+  writeString(header, value.toString(8).padStart(length - 1, '0') + '\0', offset, length);
+}
+
+function readString(block, offset, length) {
+  const end = block.indexOf(0, offset);
+  return block.toString('utf8', offset, end === -1 || end > offset + length ? offset + length : end);
+}
+
+function checksum(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK_SIZE; i++) {
+    // The checksum field itself counts as spaces.
+    sum += i >= 148 && i < 156 ? 32 : header[i];
+  }
+  return sum;
+}
+
+/**
+ * Creates an uncompressed ustar archive of regular files.
+ *
+ * @param {object[]} files The files: `{name, content}`, where content is a string or a Buffer.
+ *    Names are limited to 100 bytes.
+ * @return {Buffer} The archive.
+ */
+function createTar(files) {
+  const blocks = [];
+  const mtime = Math.floor(Date.now() / 1000);
+  files.forEach(({name, content}) => {
+    const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+    if (Buffer.byteLength(name) > 100) {
+      throw new Error(`The file name ${name} is too long for a tar archive`);
+    }
+    const header = Buffer.alloc(BLOCK_SIZE);
+    writeString(header, name, 0, 100);
+    writeOctal(header, 0o644, 100, 8);
+    writeOctal(header, 0, 108, 8);
+    writeOctal(header, 0, 116, 8);
+    writeOctal(header, data.length, 124, 12);
+    writeOctal(header, mtime, 136, 12);
+    writeString(header, '0', 156, 1);
+    writeString(header, 'ustar\u000000', 257, 8);
+    writeString(header, checksum(header).toString(8).padStart(6, '0') + '\0 ', 148, 8);
+    blocks.push(header, data, Buffer.alloc((BLOCK_SIZE - data.length % BLOCK_SIZE) % BLOCK_SIZE));
+  });
+  blocks.push(Buffer.alloc(2 * BLOCK_SIZE));
+  return Buffer.concat(blocks);
+}
+
+/**
+ * Tells whether a buffer holds a ustar archive.
+ */
+function isTar(buffer) {
+  return Buffer.isBuffer(buffer) && buffer.length >= BLOCK_SIZE && buffer.toString('latin1', 257, 262) === 'ustar';
+}
+
+/**
+ * Reads the regular files of a ustar archive. Directories and other entries are skipped.
+ *
+ * @param {Buffer} buffer The archive.
+ * @return {object[]} The files: `{name, content}`, with the content as a Buffer.
+ */
+function readTar(buffer) {
+  const files = [];
+  let offset = 0;
+  while (offset + BLOCK_SIZE <= buffer.length) {
+    const header = buffer.slice(offset, offset + BLOCK_SIZE);
+    if (header.every((byte) => byte === 0)) {
+      break;
+    }
+    if (parseInt(readString(header, 148, 8), 8) !== checksum(header)) {
+      throw new Error(`Invalid tar header at offset ${offset}`);
+    }
+    const size = parseInt(readString(header, 124, 12), 8) || 0;
+    const type = readString(header, 156, 1);
+    const prefix = readString(header, 345, 155);
+    const name = (prefix ? `${prefix}/` : '') + readString(header, 0, 100);
+    if (type === '0' || type === '') {
+      files.push({name, content: buffer.slice(offset + BLOCK_SIZE, offset + BLOCK_SIZE + size)});
+    }
+    offset += BLOCK_SIZE + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+  }
+  return files;
+}
+
+module.exports = {
+  createTar,
+  readTar,
+  isTar,
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+const {withDefaults} = require('./options');
+
+/**
+ * A handle on a stored template, returned by `client.template(idOrUrl)`. It resolves the template reference once
+ * and remembers the template info it fetched, so the materializations link of the template is used when the
+ * service provides one.
+ */
+class Template {
+  /**
+   * @param {StereotypeClient} client The client to send the requests with.
+   * @param {string} template The id or the URL of the template. Throws an InvalidTemplateUrlError when the URL
+   *    does not belong to the client's service.
+   */
+  constructor(client, template) {
+    this.client = client;
+    this.url = client._getTemplateUrl(template);
+    this.id = client._getTemplateId(this.url);
+    this.cachedInfo = null;
+  }
+
+  /**
+   * The URL materializations of the template are posted to: the materializations link of the fetched template info,
+   * or the URL the service uses by convention.
+   */
+  get materializationUrl() {
+    const link = this.cachedInfo && this.cachedInfo.links && this.cachedInfo.links.materializations;
+    return link && link.href ? this.client._getLinkUrl(link.href) : `${this.url}/materializations`;
+  }
+
+  /**
+   * Returns a promise of the template info, as returned by `getTemplate` with `doNotAddBody`. Info fetched before
+   * by this handle is reused unless `skipCache` is set.
+   *
+   * @param {object} options Optional settings: `{skipCache, signal}`.
+   */
+  info(options = {}) {
+    return Promise.resolve().then(() => {
+      const {skipCache, signal} = withDefaults('Template.info', options, {skipCache: false, signal: undefined});
+      if (this.cachedInfo && !skipCache) {
+        return Promise.resolve(this.cachedInfo);
+      }
+      return this.client.getTemplate(this.url, {skipCache, signal, doNotAddBody: true}).then((info) => this._remember(info));
+    });
+  }
+
+  /**
+   * Returns a promise of the template with its Base64 encoded `templateBody`, see `getTemplate`.
+   *
+   * @param {object} options Optional settings: `{skipCache, signal}`.
+   */
+  get(options = {}) {
+    return Promise.resolve().then(() => {
+      const {skipCache, signal} = withDefaults('Template.get', options, {skipCache: false, signal: undefined});
+      return this.client.getTemplate(this.url, {skipCache, signal}).then((template) => {
+        const info = Object.assign({}, template);
+        delete info.templateBody;
+        this._remember(info);
+        return template;
+      });
+    });
+  }
+
+  /**
+   * Returns a promise of the body of the template as text.
+   *
+   * @param {object} options Optional settings: `{skipCache, signal}`.
+   */
+  body(options = {}) {
+    return Promise.resolve().then(() => {
+      const {skipCache, signal} = withDefaults('Template.body', options, {skipCache: false, signal: undefined});
+      return this.client._getTemplateBody(this.url, skipCache, signal);
+    });
+  }
+
+  /**
+   * Creates or replaces the template, see `putTemplate`.
+   *
+   * @param {object} template `{body, contentType, isPublic, templateType, name, description, metadata, ifMatch, signal}`.
+   */
+  put(template) {
+    return this.client.putTemplate(this.url, template).then((result) => this._forget(result));
+  }
+
+  /**
+   * Changes some fields of the template, see `patchTemplate`.
+   */
+  patch(changes, options = {}) {
+    return this.client.patchTemplate(this.url, changes, options).then((result) => this._forget(result));
+  }
+
+  /**
+   * Deletes the template, see `deleteTemplate`.
+   *
+   * @param {object} options Optional settings: `{skipCache, signal}`.
+   */
+  delete(options = {}) {
+    return this.client.deleteTemplate(this.url, options).then((result) => this._forget(result));
+  }
+
+  /**
+   * Materializes the template and returns a promise of the result, see `materialize`.
+   */
+  materialize(propertyBag, options = {}) {
+    return this.client.materialize(this, propertyBag, options);
+  }
+
+  /**
+   * Materializes the template, preferring async execution, see `materializeAsync`.
+   */
+  materializeAsync(propertyBag, options = {}) {
+    return this.client.materializeAsync(this, propertyBag, options);
+  }
+
+  _remember(info) {
+    this.cachedInfo = info;
+    return info;
+  }
+
+  _forget(result) {
+    this.cachedInfo = null;
+    return result;
+  }
+}
+
+module.exports = {
+  Template,
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+const path = require('path');
+const {ValidationError} = require('./errors');
+const {defaultRegistry} = require('./content_types');
+const {createTar, readTar, isTar} = require('./tar');
+
+const BUNDLE_FORMAT = 'stereotype-bundle';
+const BUNDLE_VERSION = 1;
+const MANIFEST = 'templates.json';
+const TEMPLATE_FIELDS = ['contentType', 'isPublic', 'templateType', 'name', 'description', 'metadata'];
+const EXTENSIONS = {handlebars: '.hbs', mustache: '.mustache', dust: '.dust', edie: '.json'};
+
+/**
+ * Copies the fields of a template that a bundle keeps, leaving out the ones that are not set.
+ */
+function pickTemplateFields(template) {
+  const picked = {};
+  TEMPLATE_FIELDS.filter((field) => template[field] !== undefined && template[field] !== null)
+    .forEach((field) => picked[field] = template[field]);
+  return picked;
+}
+
+/**
+ * Creates a bundle of templates.
+ *
+ * @param {object[]} templates The templates: `{templateId, body, contentType, isPublic, templateType, name,
+ *    description, metadata}`, with the body as text.
+ * @param {string} source The base URL of the service the templates come from.
+ * @return {object} The bundle: `{format, version, source, exportedAt, templates}`, where each template is
+ *    `{id, body, contentType, isPublic, templateType, name, description, metadata}`.
+ */
+function createBundle(templates, source) {
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    source: source,
+    exportedAt: new Date().toISOString(),
+    templates: templates.map((template) => Object.assign({id: template.templateId}, pickTemplateFields(template), {
+      body: template.body,
+    })),
+  };
+}
+
+/**
+ * Packs a bundle into a tar archive. The archive holds a templates.json manifest and a file per template under
+ * templates/, the layout `syncTemplates` reads once extracted.
+ */
+function bundleToTar(bundle) {
+  const used = new Set();
+  const files = [];
+  const entries = bundle.templates.map((template) => {
+    const extension = EXTENSIONS[defaultRegistry.getName(template.contentType)] || '.txt';
+    const base = `templates/${String(template.id).replace(/[^\w.-]/g, '_').slice(0, 80)}`;
+    let file = `${base}${extension}`;
+    for (let i = 2; used.has(file); i++) {
+      file = `${base}-${i}${extension}`;
+    }
+    used.add(file);
+    files.push({name: file, content: template.body});
+    return Object.assign({id: template.id, file: file}, pickTemplateFields(template));
+  });
+  const manifest = Object.assign({}, bundle, {templates: entries});
+  return createTar([{name: MANIFEST, content: JSON.stringify(manifest, null, 2)}].concat(files));
+}
+
+function tarToBundle(buffer) {
+  let files;
+  try {
+    files = readTar(buffer);
+  } catch (err) {
+    throw new ValidationError(`Invalid bundle: ${err.message}`);
+  }
+  const manifest = files.find((file) => file.name === MANIFEST);
+  if (!manifest) {
+    throw new ValidationError(`Invalid bundle: the archive has no ${MANIFEST}`);
+  }
+  const bundle = parseJson(manifest.content.toString('utf8'));
+  bundle.templates = [].concat(bundle.templates || []).map((entry) => {
+    const file = files.find((candidate) => path.posix.normalize(candidate.name) === path.posix.normalize(String(entry.file)));
+    if (!file) {
+      throw new ValidationError(`Invalid bundle: the archive has no ${entry.file} for template ${entry.id}`);
+    }
+    const template = Object.assign({}, entry, {body: file.content.toString('utf8')});
+    delete template.file;
+    return template;
+  });
+  return bundle;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new ValidationError(`Invalid bundle: ${err.message}`);
+  }
+}
+
+/**
+ * Reads a bundle created by `createBundle`, as an object, as JSON text or as a tar archive created by `bundleToTar`.
+ * Throws a ValidationError when the bundle is invalid.
+ */
+function parseBundle(input) {
+  let bundle = input;
+  if (isTar(input)) {
+    bundle = tarToBundle(input);
+  } else if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    bundle = parseJson(input.toString('utf8'));
+  }
+  if (!bundle || bundle.format !== BUNDLE_FORMAT || !Array.isArray(bundle.templates)) {
+    throw new ValidationError('Invalid bundle: expected a JSON object or tar archive created by exportTemplates');
+  }
+  if (bundle.version > BUNDLE_VERSION) {
+    throw new ValidationError(`Unsupported bundle version ${bundle.version}`);
+  }
+  bundle.templates.forEach((template, index) => {
+    if (!template || !template.id || !template.contentType || typeof template.body !== 'string') {
+      throw new ValidationError(`Invalid bundle: template ${index} needs an id, a contentType and a body`);
+    }
+  });
+  return bundle;
+}
+
+/**
+ * Plans the import of the templates of a bundle.
+ *
+ * @param {object[]} templates The templates of the bundle.
+ * @param {string[]} existingIds The ids of the templates of the target service.
+ * @param {object} options `{overwrite, idMapping}`. idMapping maps the ids of the bundle to the ids to import
+ *    them as, either as an object or as a function; unmapped templates keep their id.
+ * @return {object[]} The steps: `{templateId, targetId, action, template}`, where action is create, update or skip.
+ */
+function planImport(templates, existingIds, {overwrite, idMapping}) {
+  const mapId = typeof idMapping === 'function' ? idMapping : (id) => (idMapping || {})[id];
+  const plan = templates.map((template) => {
+    const targetId = mapId(template.id) || template.id;
+    const action = !existingIds.includes(targetId) ? 'create' : overwrite ? 'update' : 'skip';
+    return {templateId: template.id, targetId, action, template};
+  });
+  const targetIds = plan.map((step) => step.targetId);
+  const duplicate = targetIds.find((id, index) => targetIds.indexOf(id) !== index);
+  if (duplicate) {
+    throw new ValidationError(`More than one template of the bundle would be imported as ${duplicate}`);
+  }
+  return plan;
+}
+
+/**
+ * Counts the templates of an import by outcome. Without results, i.e. for a dry run, the planned actions are counted.
+ */
+function summarizeImport(plan, results) {
+  const summary = {created: 0, updated: 0, skipped: 0, failed: 0};
+  const counters = {create: 'created', update: 'updated', skip: 'skipped'};
+  plan.forEach((step, index) => {
+    const status = results.length ? results[index].status : 'applied';
+    summary[status === 'applied' ? counters[step.action] : status]++;
+  });
+  return summary;
+}
+
+module.exports = {
+  createBundle,
+  bundleToTar,
+  parseBundle,
+  planImport,
+  summarizeImport,
+};
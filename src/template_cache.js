@@ -0,0 +1,170 @@
+'use strict';
+
+const crypto = require('crypto');
+const {Base64} = require('js-base64');
+const {withDefaults} = require('./options');
+
+const templateCacheDefaults = {
+  maxEntries: 100,
+  ttl: 60000, // Serve cached responses for a minute before revalidating them with the service.
+  store: undefined,
+};
+
+/**
+ * An in-memory cache store that evicts the least recently used entry once it holds `maxEntries` entries.
+ */
+class MemoryStore {
+  constructor(maxEntries = templateCacheDefaults.maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+    // Maps iterate in insertion order, so re-inserting an entry marks it as the most recently used one.
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+}
+
+/**
+ * Caches template responses together with their validators (ETag and Last-Modified). Fresh entries are served
+ * without contacting the service; stale entries are revalidated with a conditional request.
+ *
+ * The entries are kept in a store, an object with `get(key)`, `set(key, value)`, `delete(key)` and `keys()`
+ * functions that return their results directly or as promises. A `Map` works, as does a thin wrapper around Redis.
+ * Entries are plain JSON objects, so stores may serialize them.
+ *
+ * A cache may be shared by clients with different tokens: every entry is keyed by the identity of the token that
+ * fetched it, so a client is only served responses fetched on behalf of the same principal.
+ */
+class TemplateCache {
+  /**
+   * @param {object} options Optional settings:
+   *    - maxEntries: the number of entries the default in-memory store keeps. Defaults to 100.
+   *    - ttl: milliseconds an entry is served without revalidation. Defaults to 60000.
+   *    - store: the store to keep the entries in. Defaults to an in-memory LRU store.
+   */
+  constructor(options = {}) {
+    const resolved = withDefaults('templateCache', options, templateCacheDefaults);
+    this.ttl = resolved.ttl;
+    this.store = resolved.store || new MemoryStore(resolved.maxEntries);
+  }
+
+  /**
+   * Returns the identity a token's entries are keyed by: a hash of the issuer and subject of a JWT, so that
+   * refreshed tokens of the same principal share entries, or a hash of the token when it carries no subject.
+   * The token itself never becomes part of a key.
+   */
+  static getIdentity(accessToken) {
+    let principal = `token ${accessToken}`;
+    try {
+      const claims = JSON.parse(Base64.decode(String(accessToken).split('.')[1] || ''));
+      if (claims && typeof claims.sub === 'string' && claims.sub) {
+        principal = `principal ${claims.iss || ''} ${claims.sub}`;
+      }
+    } catch (err) {
+      // Not a JWT: the token is the identity.
+    }
+    return crypto.createHash('sha256').update(principal).digest('hex');
+  }
+
+  /**
+   * Returns the cache key of a request. Requests for the same URL differ by their query, Accept header and
+   * the identity of the token they are sent with.
+   *
+   * @param {object} req The request context.
+   * @param {string} identity The identity of the token, see `getIdentity`.
+   */
+  static getKey(req, identity = '') {
+    const query = Object.keys(req.query || {}).sort()
+      .map((name) => `${name}=${JSON.stringify(req.query[name])}`)
+      .join('&');
+    return `${req.method} ${req.url}?${query} ${(req.headers || {}).Accept || ''} ${identity}`;
+  }
+
+  /**
+   * Returns a promise of the entry stored for `key`, or undefined when there is none.
+   */
+  get(key) {
+    return Promise.resolve(this.store.get(key));
+  }
+
+  /**
+   * Stores a response, if it carries a validator it could be revalidated with.
+   *
+   * @param {string} key The cache key, see `getKey`.
+   * @param {object} res The superagent response.
+   */
+  set(key, res) {
+    const etag = res.headers.etag;
+    const lastModified = res.headers['last-modified'];
+    if (!etag && !lastModified) {
+      return Promise.resolve();
+    }
+    return Promise.resolve(this.store.set(key, {
+      response: {status: res.status, headers: res.headers, body: res.body, text: res.text},
+      etag: etag,
+      lastModified: lastModified,
+      storedAt: Date.now(),
+    }));
+  }
+
+  /**
+   * Marks an entry as fresh again after the service confirmed it with a 304.
+   */
+  touch(key, entry) {
+    return Promise.resolve(this.store.set(key, Object.assign({}, entry, {storedAt: Date.now()})));
+  }
+
+  isFresh(entry) {
+    return Date.now() - entry.storedAt < this.ttl;
+  }
+
+  /**
+   * Returns the headers that make a request for a cached entry conditional.
+   */
+  static getConditionalHeaders(entry) {
+    return {
+      'If-None-Match': entry.etag,
+      'If-Modified-Since': entry.etag ? undefined : entry.lastModified,
+    };
+  }
+
+  /**
+   * Removes the entries of the given URLs, or all entries when no URLs are given.
+   *
+   * @param {string[]} urls The URLs, without query string, whose entries are removed. Optional.
+   */
+  invalidate(urls) {
+    return Promise.resolve(this.store.keys())
+      .then((keys) => Array.from(keys).filter((key) => !urls || urls.includes(key.split(' ')[1].split('?')[0])))
+      .then((keys) => Promise.all(keys.map((key) => this.store.delete(key))))
+      .then(() => undefined);
+  }
+}
+
+module.exports = {
+  TemplateCache,
+  MemoryStore,
+};
@@ -0,0 +1,19 @@
+'use strict';
+
+const {parseTemplate} = require('./template_parser');
+
+/**
+ * Parses a template and returns the problems found, each `{severity, message, line, column}`.
+ *
+ * @param {string} body The template.
+ * @param {string} language The template language: mustache, handlebars, dust or edie.
+ *    Templates in other languages are not checked.
+ * @return {object[]} The diagnostics; empty when the template is fine or cannot be checked.
+ */
+function lintTemplate(body, language) {
+  return parseTemplate(body, language).diagnostics;
+}
+
+module.exports = {
+  lintTemplate,
+};
@@ -0,0 +1,83 @@
+'use strict';
+
+const {ValidationError} = require('./errors');
+
+// Proxies and load balancers commonly reject header lines past 8 KB and all headers together past 8 to 16 KB.
+// Keeping the metadata header at half of the smallest of these leaves room for the other headers.
+const DEFAULT_MAX_METADATA_SIZE = 4096;
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+function isJsonValue(value) {
+  if (value === null || ['string', 'boolean'].includes(typeof value)) {
+    return true;
+  }
+  if (typeof value === 'number') {
+    return isFinite(value);
+  }
+  if (Array.isArray(value)) {
+    return value.every(isJsonValue);
+  }
+  return isPlainObject(value) && Object.keys(value).every((key) => isJsonValue(value[key]));
+}
+
+/**
+ * Validates template metadata and returns it in the form the service stores, a list of objects with one key each,
+ * e.g. `[{owner: 'team-a'}, {locale: 'en'}]`. Throws a ValidationError when the metadata is not an object or a list
+ * of objects, when a key is empty or listed twice, or when a value cannot be represented in JSON.
+ *
+ * @param {object|object[]} metadata The metadata as an object, e.g. `{owner: 'team-a'}`, or as a list of objects.
+ * @return {object[]} The metadata as a list.
+ */
+function toMetadataList(metadata) {
+  const entries = Array.isArray(metadata) ? metadata : [metadata];
+  const invalid = entries.findIndex((entry) => !isPlainObject(entry));
+  if (invalid !== -1) {
+    throw new ValidationError(`Invalid metadata: expected an object or a list of objects, got ${JSON.stringify(entries[invalid])}`);
+  }
+
+  const list = [];
+  entries.forEach((entry) => Object.keys(entry).forEach((key) => {
+    if (!key.trim()) {
+      throw new ValidationError('Invalid metadata: keys must not be empty');
+    }
+    if (list.some((item) => key in item)) {
+      throw new ValidationError(`Invalid metadata: the key ${key} is listed twice`);
+    }
+    if (!isJsonValue(entry[key])) {
+      throw new ValidationError(`Invalid metadata: the value of ${key} cannot be represented in JSON`);
+    }
+    list.push({[key]: entry[key]});
+  }));
+  return list;
+}
+
+/**
+ * Returns the size in bytes of the x-cimpress-template-metadata header that carries the metadata.
+ */
+function getMetadataSize(metadata) {
+  return Array.isArray(metadata) ? encodeURIComponent(JSON.stringify(metadata)).length : 0;
+}
+
+/**
+ * Throws a ValidationError when the header that carries the metadata would be larger than `maxSize` bytes.
+ *
+ * @param {object[]} metadata The metadata as a list.
+ * @param {number} maxSize The maximum size of the header.
+ * @param {object} details The details of the error, e.g. `{method, url}`.
+ */
+function checkMetadataSize(metadata, maxSize, details = {}) {
+  const size = getMetadataSize(metadata);
+  if (size > maxSize) {
+    throw new ValidationError(`Metadata too large: the header takes ${size} bytes, the limit is ${maxSize}`, details);
+  }
+}
+
+module.exports = {
+  DEFAULT_MAX_METADATA_SIZE,
+  toMetadataList,
+  getMetadataSize,
+  checkMetadataSize,
+};
@@ -0,0 +1,410 @@
+'use strict';
+
+// Dust references: a key or the current context, followed by paths, array indices and filters, e.g. {user.names[0]|s}.
+const DUST_REFERENCE = /^(\.?[a-zA-Z_$][\w$-]*|\.)(\.[a-zA-Z_$][\w$-]*|\[[^\]\s]+\])*(\|[a-zA-Z]+)*$/;
+const DUST_REFERENCE_CHARS = /^[\w$.[\]|-]+$/;
+const DUST_SECTION_TYPES = '#?^@<+';
+const DUST_PARAM = /([\w$-]+)=("[^"]*"|[^\s"]+)/g;
+
+const HANDLEBARS_LITERAL = /^(["'].*["']|-?\d+(\.\d+)?|true|false|null|undefined)$/;
+const HANDLEBARS_BLOCKS = {if: 'condition', unless: 'condition', each: 'iteration', with: 'context'};
+
+/**
+ * Returns the line and column, both starting at 1, of an offset in a text.
+ */
+function getPosition(text, offset) {
+  const lines = text.slice(0, offset).split('\n');
+  return {line: lines.length, column: lines[lines.length - 1].length + 1};
+}
+
+function createDiagnostic(text, offset, message) {
+  return Object.assign({severity: 'error', message: message}, getPosition(text, offset));
+}
+
+/**
+ * Builds the tree of a template while its tags are read. Blocks are closed by name, and `else` tags start the
+ * inverse branch of the innermost block. Problems are collected as diagnostics instead of being thrown.
+ */
+class TreeBuilder {
+  constructor(body) {
+    this.body = body;
+    this.nodes = [];
+    this.blocks = [];
+    this.diagnostics = [];
+  }
+
+  add(node) {
+    const block = this.blocks[this.blocks.length - 1];
+    (block ? block.target : this.nodes).push(node);
+  }
+
+  open(node, offset) {
+    node.children = [];
+    this.add(node);
+    this.blocks.push({node: node, current: node, target: node.children, offset: offset});
+  }
+
+  /**
+   * Starts the inverse branch of the innermost block. A chained node, e.g. of `{{else if other}}`, becomes the only
+   * node of the inverse branch and receives the following nodes.
+   */
+  else(offset, message, chained) {
+    const block = this.blocks[this.blocks.length - 1];
+    if (!block) {
+      this.error(offset, message);
+      return;
+    }
+    block.current.inverse = [];
+    block.target = block.current.inverse;
+    if (chained) {
+      chained.children = [];
+      block.current.inverse.push(chained);
+      block.current = chained;
+      block.target = chained.children;
+    }
+  }
+
+  close(name, offset) {
+    const block = this.blocks.pop();
+    if (!block) {
+      this.error(offset, `Closing tag "${name}" without an open section`);
+    } else if (block.node.name !== name) {
+      this.error(offset, `Closing tag "${name}" does not match the open section "${block.node.name}"`);
+    }
+  }
+
+  error(offset, message) {
+    this.diagnostics.push(createDiagnostic(this.body, offset, message));
+  }
+
+  finish() {
+    this.blocks.forEach((block) => this.error(block.offset, `Unclosed section "${block.node.name}"`));
+    return {nodes: this.nodes, diagnostics: this.diagnostics};
+  }
+}
+
+function addMustacheTag(tree, content, start) {
+  const type = content[0];
+  const name = content.slice(1).trim();
+  if (type === '#' || type === '^') {
+    if (name === '') {
+      tree.error(start, 'Section without a name');
+    } else {
+      tree.open({type: type === '#' ? 'section' : 'inverted', name: name, path: name}, start);
+    }
+  } else if (type === '/') {
+    tree.close(name, start);
+  } else if (type === '>') {
+    tree.add({type: 'partial', name: name});
+  } else if (content === '') {
+    tree.error(start, 'Empty tag');
+  } else {
+    tree.add({type: 'variable', path: type === '&' ? name : content});
+  }
+}
+
+/**
+ * Splits a handlebars expression into tokens. The parentheses of subexpressions are tokens of their own.
+ */
+function tokenizeHandlebars(expression) {
+  return expression.match(/\(|\)|"[^"]*"|'[^']*'|[^\s()]+/g) || [];
+}
+
+function normalizeHandlebarsPath(path) {
+  // `this` and `./` refer to the current context.
+  return path === 'this' ? '.' : path.replace(/^(this[./]|\.\/)/, '');
+}
+
+/**
+ * Returns the variables among the parameters of a handlebars helper call. Hash arguments (key=value) count with
+ * their value; literals, data variables such as @index and the helpers of subexpressions do not count.
+ */
+function getHandlebarsParams(tokens) {
+  return tokens
+    .filter((token, index) => token !== '(' && token !== ')' && tokens[index - 1] !== '(')
+    .map((token) => (/^[^"'=]+=/.test(token) ? token.slice(token.indexOf('=') + 1) : token))
+    .filter((token) => token !== '' && token[0] !== '@' && !HANDLEBARS_LITERAL.test(token))
+    .map(normalizeHandlebarsPath);
+}
+
+function createHandlebarsBlock(tokens) {
+  const name = tokens[0];
+  const asIndex = tokens.indexOf('as');
+  const hasBlockParams = asIndex > 0 && /^\|/.test(tokens[asIndex + 1] || '');
+  const params = getHandlebarsParams(tokens.slice(1, hasBlockParams ? asIndex : tokens.length));
+  const blockParams = hasBlockParams ? tokens.slice(asIndex + 1).join(' ').replace(/\|/g, ' ').trim().split(/\s+/) : [];
+
+  if (HANDLEBARS_BLOCKS[name] && params.length) {
+    return {type: HANDLEBARS_BLOCKS[name], name: name, path: params[0], params: params.slice(1), blockParams: blockParams};
+  }
+  if (tokens.length === 1) {
+    return {type: 'section', name: name, path: normalizeHandlebarsPath(name)};
+  }
+  return {type: 'helper', name: name, params: params};
+}
+
+function addHandlebarsTag(tree, content, start) {
+  const type = content[0];
+  const expression = content.slice(1).trim();
+  if (type === '#' && /^[>*]/.test(expression)) {
+    // Partial blocks ({{#> layout}}) and inline partials ({{#*inline "name"}}) close with the partial or decorator name.
+    const name = tokenizeHandlebars(expression.slice(1))[0];
+    if (!name) {
+      tree.error(start, 'Section without a name');
+    } else {
+      tree.open(expression[0] === '>' ? {type: 'partial', name: name} : {type: 'helper', name: name}, start);
+    }
+  } else if (type === '#' || (type === '^' && expression !== '')) {
+    const tokens = tokenizeHandlebars(expression);
+    if (!tokens.length) {
+      tree.error(start, 'Section without a name');
+    } else {
+      tree.open(type === '#' ? createHandlebarsBlock(tokens)
+        : {type: 'inverted', name: tokens[0], path: normalizeHandlebarsPath(tokens[0])}, start);
+    }
+  } else if (type === '^') {
+    tree.else(start, 'Inverse section {{^}} outside of a block');
+  } else if (type === '/') {
+    tree.close(expression, start);
+  } else if (type === '>') {
+    tree.add({type: 'partial', name: (tokenizeHandlebars(expression)[0] || '').replace(/^["']|["']$/g, '')});
+  } else if (/^else(\s|$)/.test(content)) {
+    const tokens = tokenizeHandlebars(content).slice(1);
+    tree.else(start, '{{else}} outside of a block', tokens.length ? createHandlebarsBlock(tokens) : undefined);
+  } else if (content === '') {
+    tree.error(start, 'Empty tag');
+  } else {
+    const tokens = tokenizeHandlebars(type === '&' ? expression : content);
+    if (tokens.length > 1) {
+      tree.add({type: 'helper', name: tokens[0], params: getHandlebarsParams(tokens.slice(1))});
+    } else if (getHandlebarsParams(tokens).length) {
+      tree.add({type: 'variable', path: normalizeHandlebarsPath(tokens[0])});
+    }
+  }
+}
+
+/**
+ * Parses a mustache or handlebars template. Every tag must be closed, and sections must be closed in the order
+ * they were opened, by a tag with the same name.
+ */
+function parseMustache(body, handlebars = false) {
+  const tree = new TreeBuilder(body);
+  let open = '{{';
+  let close = '}}';
+  let offset = 0;
+
+  for (let start = body.indexOf(open); start >= 0; start = body.indexOf(open, offset)) {
+    let contentStart = start + open.length;
+    let closing = close;
+    if (open === '{{' && body[contentStart] === '{') {
+      contentStart += 1;
+      closing = '}}}';
+    } else if (handlebars && body.startsWith('!--', contentStart)) {
+      closing = '--}}';
+    }
+
+    const end = body.indexOf(closing, contentStart);
+    if (end < 0) {
+      tree.error(start, `Unclosed tag: ${open} has no matching ${closing}`);
+      break;
+    }
+    offset = end + closing.length;
+
+    let content = body.slice(contentStart, end);
+    if (handlebars) {
+      content = content.replace(/^~|~$/g, '');
+    }
+    content = content.trim();
+
+    if (content[0] === '!') {
+      continue;
+    }
+    if (content[0] === '=' && !handlebars) {
+      const delimiters = content.slice(1, -1).trim().split(/\s+/);
+      if (content[content.length - 1] !== '=' || delimiters.length !== 2) {
+        tree.error(start, `Invalid delimiter change: ${content}`);
+      } else {
+        open = delimiters[0];
+        close = delimiters[1];
+      }
+      continue;
+    }
+    (handlebars ? addHandlebarsTag : addMustacheTag)(tree, content, start);
+  }
+
+  return tree.finish();
+}
+
+function normalizeDustPath(path) {
+  // A leading dot restricts the lookup to the current context; the path itself is the same.
+  return path === '.' ? path : path.replace(/^\./, '').replace(/\[(\d+)\]/g, '.$1');
+}
+
+/**
+ * Returns the references among the parameters of a dust tag, e.g. `key=path` or `key="text {path}"`.
+ */
+function getDustParams(paramsText) {
+  const params = [];
+  let match;
+  DUST_PARAM.lastIndex = 0;
+  while ((match = DUST_PARAM.exec(paramsText)) !== null) {
+    const value = match[2];
+    if (value[0] === '"') {
+      (value.match(/\{[^{}\s]+\}/g) || []).forEach((ref) => params.push(ref.slice(1, -1).split('|')[0]));
+    } else if (!/^-?\d+(\.\d+)?$/.test(value)) {
+      params.push(value);
+    }
+  }
+  return params.filter((param) => DUST_REFERENCE.test(param)).map(normalizeDustPath);
+}
+
+function createDustNode(type, name, paramsText) {
+  const params = getDustParams(paramsText);
+  const provides = [];
+  paramsText.replace(DUST_PARAM, (match, key) => provides.push(key));
+
+  if (type === '#' || type === '?' || type === '^') {
+    const nodeType = {'#': 'section', '?': 'condition', '^': 'inverted'}[type];
+    return {type: nodeType, name: name, path: normalizeDustPath(name), params: params, provides: type === '#' ? provides : []};
+  }
+  // Helpers (@) and blocks (< and +) render their bodies in the current context.
+  return {type: 'helper', name: name, params: params};
+}
+
+/**
+ * Returns the offset of the brace that closes the dust tag at `start`. Parameters may contain braces in quotes.
+ */
+function findDustTagEnd(body, start) {
+  let quoted = false;
+  for (let i = start + 1; i < body.length; i++) {
+    if (body[i] === '"') {
+      quoted = !quoted;
+    } else if (body[i] === '}' && !quoted) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parses a dust template. Sections must be closed in order and by name, partials must be self-closing,
+ * and references must be well-formed. Braces that do not start a dust tag, e.g. in inline CSS, are text.
+ */
+function parseDust(body) {
+  const tree = new TreeBuilder(body);
+  let offset = 0;
+
+  for (let start = body.indexOf('{'); start >= 0; start = body.indexOf('{', offset)) {
+    offset = start + 1;
+    const type = body[start + 1];
+
+    // Comments and raw text may contain braces.
+    const delimited = {'!': '!}', '`': '`}'}[type];
+    if (delimited) {
+      const end = body.indexOf(delimited, start + 2);
+      if (end < 0) {
+        tree.error(start, type === '!' ? 'Unclosed comment' : 'Unclosed raw text');
+        break;
+      }
+      offset = end + 2;
+      continue;
+    }
+
+    const isReference = /[a-zA-Z_$.]/.test(type || '');
+    if (!isReference && !`${DUST_SECTION_TYPES}/:>%~`.includes(type || ' ')) {
+      continue;
+    }
+    const end = findDustTagEnd(body, start);
+    if (end < 0) {
+      tree.error(start, 'Unclosed tag');
+      break;
+    }
+    const content = body.slice(start + 1, end);
+
+    if (isReference) {
+      // Dust renders a brace that does not open a well-formed reference as text, e.g. in p{margin:0}. Only text
+      // made of nothing but reference characters, e.g. {user..name} or {name|}, is a reference gone wrong.
+      if (DUST_REFERENCE.test(content)) {
+        offset = end + 1;
+        tree.add({type: 'variable', path: normalizeDustPath(content.split('|')[0])});
+      } else if (DUST_REFERENCE_CHARS.test(content)) {
+        offset = end + 1;
+        tree.error(start, `Malformed reference: {${content}}`);
+      }
+      continue;
+    }
+    offset = end + 1;
+
+    const selfClosing = content[content.length - 1] === '/';
+    const tag = (selfClosing ? content.slice(1, -1) : content.slice(1)).trim();
+    const name = tag.split(/\s+/)[0];
+    if (DUST_SECTION_TYPES.includes(type)) {
+      if (name === '') {
+        tree.error(start, `Tag without a name: {${content}}`);
+      } else if (selfClosing) {
+        tree.add(createDustNode(type, name, tag.slice(name.length)));
+      } else {
+        tree.open(createDustNode(type, name, tag.slice(name.length)), start);
+      }
+    } else if (type === '>') {
+      if (!selfClosing) {
+        tree.error(start, `Partial is not self-closing: {${content}}`);
+      }
+      tree.add({type: 'partial', name: name.replace(/^"|"$/g, '')});
+    } else if (type === ':') {
+      tree.else(start, `{${content}} outside of a section`);
+    } else if (type === '/') {
+      tree.close(name, start);
+    }
+  }
+
+  return tree.finish();
+}
+
+/**
+ * Checks that an edie template is a JSON object. Edie templates do not reference variables.
+ */
+function parseEdie(body) {
+  let template;
+  try {
+    template = JSON.parse(body);
+  } catch (err) {
+    const position = /at position (\d+)/.exec(err.message);
+    return {nodes: [], diagnostics: [createDiagnostic(body, position ? Number(position[1]) : body.length, `Invalid JSON: ${err.message}`)]};
+  }
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return {nodes: [], diagnostics: [createDiagnostic(body, 0, 'An edie template must be a JSON object')]};
+  }
+  return {nodes: [], diagnostics: []};
+}
+
+const parsers = {
+  mustache: (body) => parseMustache(body),
+  handlebars: (body) => parseMustache(body, true),
+  dust: parseDust,
+  edie: parseEdie,
+};
+
+/**
+ * Parses a template into a tree of nodes, each `{type, name, path, params, children, inverse}`. The types are:
+ * - variable: a reference that is rendered, with its `path`, e.g. `user.name`.
+ * - section: a mustache or dust section, which is rendered once for an object and for every item of a list.
+ * - iteration, context and condition: the handlebars each, with, and if/unless blocks, and dust exists (?) sections.
+ * - inverted: a section rendered when its `path` is missing or empty.
+ * - helper: a handlebars or dust helper, with the variables among its `params`.
+ * - partial: an included template, by `name`.
+ * Blocks have `children` and, after an else tag, `inverse` nodes.
+ *
+ * @param {string} body The template.
+ * @param {string} language The template language: mustache, handlebars, dust or edie.
+ *    Templates in other languages are not parsed.
+ * @return {object} `{nodes, diagnostics}`. Diagnostics are `{severity, message, line, column}`.
+ */
+function parseTemplate(body, language) {
+  const parser = parsers[language];
+  return parser ? parser(String(body || '')) : {nodes: [], diagnostics: []};
+}
+
+module.exports = {
+  parseTemplate,
+};
@@ -0,0 +1,72 @@
+'use strict';
+
+const {withDefaults} = require('./options');
+
+const templateQueryDefaults = {
+  nameContains: undefined,
+  canEdit: undefined,
+  canCopy: undefined,
+  isPublic: undefined,
+  metadata: undefined,
+  metadataKeys: undefined,
+};
+
+/**
+ * Turns template metadata into a single object. The service stores metadata as a list of objects,
+ * e.g. `[{owner: 'team-a'}, {locale: 'en'}]`, while queries are easier to write as `{owner: 'team-a', locale: 'en'}`.
+ */
+function normalizeMetadata(metadata) {
+  if (Array.isArray(metadata)) {
+    return Object.assign.apply(null, [{}].concat(metadata.filter((entry) => entry && typeof entry === 'object')));
+  }
+  return metadata && typeof metadata === 'object' ? Object.assign({}, metadata) : {};
+}
+
+/**
+ * Validates a template query and fills in the criteria that were not given.
+ * Throws a ValidationError when the query contains unknown criteria.
+ */
+function resolveTemplateQuery(query) {
+  return withDefaults('findTemplates', query, templateQueryDefaults);
+}
+
+/**
+ * Tells whether a template from a template list matches all criteria of a resolved template query.
+ *
+ * @param {object} template A template as returned by `listTemplates`.
+ * @param {object} query The criteria: `{nameContains, canEdit, canCopy, isPublic, metadata, metadataKeys}`.
+ *    Criteria that are undefined match every template.
+ */
+function matchesTemplateQuery(template, query) {
+  const name = String(template.name || template.templateId || '').toLowerCase();
+  if (query.nameContains !== undefined && !name.includes(String(query.nameContains).toLowerCase())) {
+    return false;
+  }
+
+  const flags = ['canEdit', 'canCopy', 'isPublic'];
+  if (flags.some((flag) => query[flag] !== undefined && Boolean(template[flag]) !== Boolean(query[flag]))) {
+    return false;
+  }
+
+  return matchesMetadata(template.metadata, query.metadata, query.metadataKeys);
+}
+
+/**
+ * Tells whether template metadata has all given values and keys.
+ *
+ * @param {object[]|object} metadata The metadata of a template.
+ * @param {object} values The required values by key. A list of values matches any of them. Optional.
+ * @param {string[]} keys The keys the metadata must have, with any value. Optional.
+ */
+function matchesMetadata(metadata, values, keys) {
+  const normalized = normalizeMetadata(metadata);
+  return Object.keys(values || {}).every((key) => [].concat(values[key]).includes(normalized[key]))
+    && [].concat(keys || []).every((key) => key in normalized);
+}
+
+module.exports = {
+  normalizeMetadata,
+  resolveTemplateQuery,
+  matchesTemplateQuery,
+  matchesMetadata,
+};
@@ -0,0 +1,189 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const contentTypeParser = require('content-type');
+const {ValidationError} = require('./errors');
+const {normalizeMetadata} = require('./template_query');
+const {diffLines} = require('./text_diff');
+
+const ATTRIBUTES = ['contentType', 'isPublic', 'templateType', 'name', 'description'];
+const ENTRY_KEYS = ['id', 'file', 'postProcessors', 'metadata'].concat(ATTRIBUTES);
+
+function readFile(file) {
+  return new Promise((resolve, reject) => fs.readFile(file, 'utf8', (err, data) => err ? reject(err) : resolve(data)));
+}
+
+/**
+ * Returns the Content-Type of a manifest entry, with its post-processors as the postProcessors parameter.
+ */
+function getEntryContentType(entry) {
+  const postProcessors = [].concat(entry.postProcessors || []);
+  if (!postProcessors.length) {
+    return entry.contentType;
+  }
+  const value = postProcessors.join(',');
+  return `${entry.contentType}; postProcessors=${postProcessors.length > 1 ? `"${value}"` : value}`;
+}
+
+/**
+ * Reduces a Content-Type to the parts the service acts on, the MIME type and the post-processors, so that
+ * differences in parameter order or case do not count as changes.
+ */
+function normalizeContentType(contentType) {
+  try {
+    const parsed = contentTypeParser.parse(contentType);
+    const postProcessors = String(parsed.parameters.postprocessors || '').split(',')
+      .map((pp) => pp.trim().toLowerCase())
+      .filter((pp) => pp !== '')
+      .sort();
+    return postProcessors.length ? `${parsed.type}; postprocessors=${postProcessors.join(',')}` : parsed.type;
+  } catch (err) {
+    return contentType;
+  }
+}
+
+/**
+ * Reads a template manifest and the template files it lists. The manifest is a JSON file of the form
+ * `{"templates": [{id, file, contentType, postProcessors, isPublic, templateType, name, description, metadata}]}`,
+ * where `file` is relative to the directory and `metadata` is a list of objects or a single object.
+ *
+ * @param {string} directory The directory of the manifest and the templates.
+ * @param {string} manifest The file name of the manifest.
+ * @return {Promise} A promise of the templates: `{templateId, file, body, contentType, isPublic, templateType, name,
+ *    description, metadata}`, with the post-processors in the content type. Rejects with a ValidationError when the
+ *    manifest is invalid.
+ */
+function readManifest(directory, manifest) {
+  const manifestPath = path.join(directory, manifest);
+  return readFile(manifestPath)
+    .then((text) => JSON.parse(text))
+    .catch((err) => Promise.reject(new ValidationError(`Cannot read ${manifestPath}: ${err.message}`)))
+    .then((content) => {
+      const entries = content && content.templates;
+      if (!Array.isArray(entries)) {
+        throw new ValidationError(`${manifestPath} must contain a "templates" list`);
+      }
+      entries.forEach((entry, index) => {
+        const missing = ['id', 'file', 'contentType'].filter((key) => !entry || !entry[key]);
+        const unknown = Object.keys(entry || {}).filter((key) => !ENTRY_KEYS.includes(key));
+        if (missing.length || unknown.length) {
+          throw new ValidationError(`Template ${index} of ${manifestPath}: `
+            + (missing.length ? `missing ${missing.join(', ')}` : `unknown keys ${unknown.join(', ')}`));
+        }
+      });
+      const ids = entries.map((entry) => entry.id);
+      const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+      if (duplicate) {
+        throw new ValidationError(`Template ${duplicate} is listed twice in ${manifestPath}`);
+      }
+
+      return Promise.all(entries.map((entry) => readFile(path.join(directory, entry.file)).then((body) => ({
+        templateId: entry.id,
+        file: entry.file,
+        body: body,
+        contentType: getEntryContentType(entry),
+        isPublic: entry.isPublic,
+        templateType: entry.templateType,
+        name: entry.name,
+        description: entry.description,
+        metadata: entry.metadata === undefined || Array.isArray(entry.metadata) ? entry.metadata : [entry.metadata],
+      }))));
+    });
+}
+
+/**
+ * Compares the metadata of a manifest entry with the metadata of a stored template.
+ * Returns `{added, removed, changed}` objects, or undefined when they match.
+ */
+function diffMetadata(before, after) {
+  const current = normalizeMetadata(before);
+  const wanted = normalizeMetadata(after);
+  const diff = {added: {}, removed: {}, changed: {}};
+  Object.keys(wanted).forEach((key) => {
+    if (!(key in current)) {
+      diff.added[key] = wanted[key];
+    } else if (JSON.stringify(current[key]) !== JSON.stringify(wanted[key])) {
+      diff.changed[key] = {before: current[key], after: wanted[key]};
+    }
+  });
+  Object.keys(current).filter((key) => !(key in wanted)).forEach((key) => diff.removed[key] = current[key]);
+  return Object.keys(diff).some((kind) => Object.keys(diff[kind]).length) ? diff : undefined;
+}
+
+/**
+ * Compares a manifest entry with the stored template. Attributes the manifest leaves out are not compared.
+ * Returns the changes: `{body, attributes, metadata}`, each undefined when there is no difference.
+ */
+function diffTemplate(entry, stored) {
+  const changes = {};
+  const bodyDiff = diffLines(stored.body, entry.body);
+  if (bodyDiff.length) {
+    changes.body = bodyDiff;
+  }
+
+  const attributes = {};
+  ATTRIBUTES.filter((attribute) => entry[attribute] !== undefined).forEach((attribute) => {
+    const normalize = attribute === 'contentType' ? normalizeContentType : attribute === 'isPublic' ? Boolean : (value) => value;
+    if (normalize(entry[attribute]) !== normalize(stored[attribute])) {
+      attributes[attribute] = {before: stored[attribute], after: entry[attribute]};
+    }
+  });
+  if (Object.keys(attributes).length) {
+    changes.attributes = attributes;
+  }
+
+  const metadata = entry.metadata !== undefined ? diffMetadata(stored.metadata, entry.metadata) : undefined;
+  if (metadata) {
+    changes.metadata = metadata;
+  }
+  return changes;
+}
+
+/**
+ * Plans how to bring the service in line with a manifest.
+ *
+ * @param {object[]} entries The templates of the manifest, as returned by `readManifest`.
+ * @param {object} stored The stored templates by id, each `{body, contentType, isPublic, templateType, name,
+ *    description, metadata, etag}`, for the templates of the manifest that exist.
+ * @param {string[]} existingIds The ids of all templates of the service.
+ * @param {boolean} prune Whether templates that are not in the manifest are deleted.
+ * @return {object[]} The steps: `{action, templateId, template, changes, etag}`, where action is create, update,
+ *    delete or noop, `template` the manifest entry and `changes` the differences found for updates.
+ */
+function createSyncPlan(entries, stored, existingIds, prune) {
+  const plan = entries.map((entry) => {
+    if (!stored[entry.templateId]) {
+      return {action: 'create', templateId: entry.templateId, template: entry};
+    }
+    const changes = diffTemplate(entry, stored[entry.templateId]);
+    const action = Object.keys(changes).length ? 'update' : 'noop';
+    return {action, templateId: entry.templateId, template: entry, changes, etag: stored[entry.templateId].etag};
+  });
+  if (prune) {
+    const wanted = entries.map((entry) => entry.templateId);
+    existingIds.filter((id) => !wanted.includes(id)).forEach((id) => plan.push({action: 'delete', templateId: id}));
+  }
+  return plan;
+}
+
+/**
+ * Counts the templates of a sync by outcome. Without results, i.e. for a dry run, the planned actions are counted.
+ */
+function summarizeSync(plan, results) {
+  const summary = {created: 0, updated: 0, deleted: 0, unchanged: 0, failed: 0, skipped: 0};
+  const counters = {create: 'created', update: 'updated', delete: 'deleted', noop: 'unchanged'};
+  plan.forEach((step, index) => {
+    const status = results.length ? results[index].status : 'applied';
+    summary[status === 'applied' || status === 'unchanged' ? counters[step.action] : status]++;
+  });
+  return summary;
+}
+
+module.exports = {
+  readManifest,
+  createSyncPlan,
+  summarizeSync,
+  diffTemplate,
+  diffMetadata,
+};
@@ -0,0 +1,54 @@
+'use strict';
+
+/**
+ * Compares two texts line by line. Returns the lines of both, in order, each `{type, line}` where type is
+ * `same`, `removed` (only in `before`) or `added` (only in `after`). The result is empty when the texts are equal.
+ */
+function diffLines(before, after) {
+  if (before === after) {
+    return [];
+  }
+  const a = String(before || '').split('\n');
+  const b = String(after || '').split('\n');
+
+  // The common head and tail of the texts are kept out of the longest common subsequence table.
+  let head = 0;
+  while (head < a.length && head < b.length && a[head] === b[head]) {
+    head++;
+  }
+  let tail = 0;
+  while (tail < a.length - head && tail < b.length - head && a[a.length - 1 - tail] === b[b.length - 1 - tail]) {
+    tail++;
+  }
+  const changedA = a.slice(head, a.length - tail);
+  const changedB = b.slice(head, b.length - tail);
+
+  const width = changedB.length + 1;
+  const lengths = new Uint32Array((changedA.length + 1) * width);
+  for (let i = changedA.length - 1; i >= 0; i--) {
+    for (let j = changedB.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = changedA[i] === changedB[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const lines = a.slice(0, head).map((line) => ({type: 'same', line}));
+  let i = 0;
+  let j = 0;
+  while (i < changedA.length || j < changedB.length) {
+    if (i < changedA.length && j < changedB.length && changedA[i] === changedB[j]) {
+      lines.push({type: 'same', line: changedA[i++]});
+      j++;
+    } else if (i < changedA.length && (j >= changedB.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+      lines.push({type: 'removed', line: changedA[i++]});
+    } else {
+      lines.push({type: 'added', line: changedB[j++]});
+    }
+  }
+  return lines.concat(a.slice(a.length - tail).map((line) => ({type: 'same', line})));
+}
+
+module.exports = {
+  diffLines,
+};
@@ -0,0 +1,66 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const {BinaryResult, isBinaryContentType, getExtension, readResult} = require('../src/binary_result');
+
+const xlsx = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+describe('Binary results', function() {
+  it('detects binary content types', function() {
+    expect(isBinaryContentType(xlsx)).to.equal(true);
+    expect(isBinaryContentType('application/pdf')).to.equal(true);
+    expect(isBinaryContentType('text/html; charset=utf-8')).to.equal(false);
+    expect(isBinaryContentType('application/hal+json')).to.equal(false);
+    expect(isBinaryContentType(undefined)).to.equal(false);
+  });
+
+  it('suggests file extensions', function() {
+    expect(getExtension(xlsx)).to.equal('xlsx');
+    expect(getExtension('application/pdf')).to.equal('pdf');
+    expect(getExtension('text/html; charset=utf-8')).to.equal('html');
+    expect(getExtension('application/x-unknown')).to.equal(undefined);
+  });
+
+  it('converts the data', function() {
+    const result = new BinaryResult(Buffer.from('binary data'), 'application/pdf');
+
+    return result.toBuffer()
+      .then((buffer) => expect(buffer.toString()).to.equal('binary data'))
+      .then(() => result.toArrayBuffer())
+      .then((arrayBuffer) => {
+        expect(arrayBuffer).to.be.an.instanceof(ArrayBuffer);
+        expect(Buffer.from(arrayBuffer).toString()).to.equal('binary data');
+      })
+      .then(() => new BinaryResult(new Uint8Array([104, 105]).buffer, 'application/pdf').toBuffer())
+      .then((buffer) => expect(buffer.toString()).to.equal('hi'));
+  });
+
+  it('saves the data to a file with the suggested extension', function() {
+    const target = path.join(os.tmpdir(), `stereotype-binary-${Date.now()}`);
+
+    return new BinaryResult(Buffer.from('spreadsheet'), xlsx).saveTo(target)
+      .then((savedTo) => {
+        expect(savedTo).to.equal(`${target}.xlsx`);
+        expect(fs.readFileSync(savedTo, 'utf8')).to.equal('spreadsheet');
+        fs.unlinkSync(savedTo);
+      });
+  });
+
+  it('reads textual raw data as text', function() {
+    const res = {headers: {'content-type': 'text/html'}, body: Buffer.from('<p>Hi</p>')};
+
+    return Promise.all([readResult(res, 'auto'), readResult(res, true), readResult({headers: {}, text: 'Hi'}, false)])
+      .then((results) => {
+        expect(results[0]).to.equal('<p>Hi</p>');
+        expect(results[1]).to.be.an.instanceof(BinaryResult);
+        expect(results[2]).to.equal('Hi');
+      });
+  });
+});
@@ -0,0 +1,199 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const nock = require('nock');
+const chai = require('chai');
+const expect = chai.expect;
+
+const {run, parseArgs} = require('../src/cli');
+
+const baseUrl = 'https://stereotype.trdlnk.cimpress.io';
+const tmpDir = os.tmpdir();
+
+function runCli(argv, env = {}) {
+  const output = {stdout: '', stderr: ''};
+  const io = {
+    env: Object.assign({STEREOTYPE_TOKEN: 'cli_token', STEREOTYPE_CONFIG: path.join(tmpDir, 'stereotype-missing.json')}, env),
+    stdout: {write: (chunk) => output.stdout += chunk},
+    stderr: {write: (chunk) => output.stderr += chunk},
+  };
+  return run(argv, io).then((exitCode) => Object.assign(output, {exitCode}));
+}
+
+function writeTmpFile(name, content) {
+  const file = path.join(tmpDir, `stereotype-cli-${Date.now()}-${name}`);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+describe('Command line tool', function() {
+  let nockRequest;
+
+  beforeEach(function() {
+    nockRequest = nock(baseUrl, {reqheaders: {'Authorization': 'Bearer cli_token'}});
+  });
+
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  it('parses arguments', function() {
+    expect(parseArgs(['put', 'Digest', '--file', 'a.hbs', '--public', '--name=Digest mail', '--json=false'])).to.deep.equal({
+      command: 'put',
+      args: ['Digest'],
+      flags: {'file': 'a.hbs', 'public': true, 'name': 'Digest mail', 'json': false},
+    });
+    expect(() => parseArgs(['get', '--token'])).to.throw('Missing value of --token');
+  });
+
+  it('shows the help', function() {
+    return runCli(['--help']).then(({exitCode, stdout}) => {
+      expect(exitCode).to.equal(0);
+      expect(stdout).to.match(/^Usage: stereotype <command>/);
+    });
+  });
+
+  it('rejects unknown commands and options', function() {
+    return runCli(['publish'])
+      .then(({exitCode, stderr}) => {
+        expect(exitCode).to.equal(2);
+        expect(stderr).to.equal('stereotype: Unknown command: publish\n');
+      })
+      .then(() => runCli(['get', 'Digest', '--out', 'file']))
+      .then(({exitCode, stderr}) => {
+        expect(exitCode).to.equal(2);
+        expect(stderr).to.equal('stereotype: Unknown option --out of get\n');
+      })
+      .then(() => runCli([]))
+      .then(({exitCode}) => expect(exitCode).to.equal(2));
+  });
+
+  it('requires an access token', function() {
+    return runCli(['list'], {STEREOTYPE_TOKEN: ''}).then(({exitCode, stderr}) => {
+      expect(exitCode).to.equal(2);
+      expect(stderr).to.match(/No access token/);
+    });
+  });
+
+  it('reads the token and base URL from a profile', function() {
+    const config = writeTmpFile('config.json', JSON.stringify({staging: {token: 'cli_token', baseUrl: 'https://staging.example.com'}}));
+    nock('https://staging.example.com', {reqheaders: {'Authorization': 'Bearer cli_token'}}).get('/livecheck').reply(200);
+
+    return runCli(['livecheck', '--profile', 'staging'], {STEREOTYPE_TOKEN: '', STEREOTYPE_CONFIG: config})
+      .then(({exitCode, stdout}) => {
+        expect(exitCode).to.equal(0);
+        expect(stdout).to.equal('alive\n');
+      })
+      .then(() => runCli(['livecheck', '--profile', 'production'], {STEREOTYPE_CONFIG: config}))
+      .then(({exitCode, stderr}) => {
+        expect(exitCode).to.equal(2);
+        expect(stderr).to.equal('stereotype: Unknown profile: production\n');
+        fs.unlinkSync(config);
+      });
+  });
+
+  it('lists templates as text and JSON', function() {
+    const templates = [{templateId: 'Digest', name: 'Daily digest'}, {templateId: 'Invoice'}];
+    nockRequest.get('/v1/templates').query({public: true, templateType: 'xemail'}).reply(200, templates);
+    nockRequest.get('/v1/templates').query({public: false}).reply(200, templates);
+
+    return runCli(['list', '--public', '--type', 'xemail'])
+      .then(({stdout}) => expect(stdout).to.equal('Digest\tDaily digest\nInvoice\n'))
+      .then(() => runCli(['list', '--json']))
+      .then(({stdout}) => expect(JSON.parse(stdout)).to.deep.equal(templates));
+  });
+
+  it('shows a template', function() {
+    const mockTemplate = () => {
+      // Mock the request with more headers first.
+      nock(baseUrl, {reqheaders: {'Accept': 'application/json'}})
+        .get('/v1/templates/Digest')
+        .reply(200, {templateId: 'Digest', contentType: 'text/mustache', links: {}});
+      nockRequest.get('/v1/templates/Digest').reply(200, 'Hi {{name}}');
+    };
+
+    mockTemplate();
+    return runCli(['get', 'Digest'])
+      .then(({stdout}) => expect(stdout).to.equal('templateId: Digest\ncontentType: text/mustache\n\nHi {{name}}'))
+      .then(mockTemplate)
+      .then(() => runCli(['get', 'Digest', '--body-only']))
+      .then(({stdout}) => expect(stdout).to.equal('Hi {{name}}'));
+  });
+
+  it('reports failed requests', function() {
+    nockRequest.get('/v1/templates/Missing').times(2).reply(404);
+
+    return runCli(['get', 'Missing']).then(({exitCode, stderr}) => {
+      expect(exitCode).to.equal(1);
+      expect(stderr).to.match(/^stereotype: .* \(404\)\n$/);
+    });
+  });
+
+  it('puts, creates and deletes templates', function() {
+    const file = writeTmpFile('digest.mustache', 'Hi {{name}}');
+    nockRequest.put('/v1/templates/Digest', 'Hi {{name}}')
+      .matchHeader('content-type', 'text/mustache')
+      .matchHeader('x-cimpress-template-public', 'true')
+      .matchHeader('x-cimpress-template-name', 'Daily%20digest')
+      .reply(200, {templateId: 'Digest'});
+    nockRequest.post('/v1/templates', 'Hi {{name}}')
+      .matchHeader('content-type', 'text/handlebars')
+      .reply(201, {templateId: 'generated'});
+    nockRequest.delete('/v1/templates/Digest').reply(204);
+
+    return runCli(['put', 'Digest', '--file', file, '--public', '--name', 'Daily digest'])
+      .then(({exitCode, stdout}) => {
+        expect(exitCode).to.equal(0);
+        expect(stdout).to.equal('Saved template Digest\n');
+      })
+      .then(() => runCli(['create', '--file', file, '--content-type', 'text/handlebars']))
+      .then(({stdout}) => expect(stdout).to.equal('Created template generated\n'))
+      .then(() => runCli(['delete', 'Digest', '--json']))
+      .then(({stdout}) => expect(JSON.parse(stdout)).to.deep.equal({deleted: 'Digest'}))
+      .then(() => runCli(['create', '--file', writeTmpFile('digest.txt', 'Hi')]))
+      .then(({exitCode, stderr}) => {
+        expect(exitCode).to.equal(2);
+        expect(stderr).to.match(/pass --content-type/);
+        fs.unlinkSync(file);
+      });
+  });
+
+  it('materializes templates', function() {
+    const bag = writeTmpFile('bag.json', JSON.stringify({name: 'Ada'}));
+    const out = path.join(tmpDir, `stereotype-cli-${Date.now()}-report`);
+    const xlsx = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    nockRequest.post('/v1/templates/Digest/materializations', {name: 'Ada'})
+      .reply(201, 'Hi Ada', {'content-type': 'text/plain'});
+    nockRequest.post('/v1/templates/Report/materializations', {name: 'Ada'})
+      .reply(201, Buffer.from('xlsx data'), {'content-type': xlsx});
+    nockRequest.post('/v1/templates/Digest/materializations')
+      .matchHeader('prefer', 'respond-async')
+      .reply(202, '', {location: '/v1/materializations/m1'});
+
+    return runCli(['materialize', 'Digest', '--bag', bag])
+      .then(({stdout}) => expect(stdout).to.equal('Hi Ada'))
+      .then(() => runCli(['materialize', 'Report', '--bag', bag, '--out', out, '--json']))
+      .then(({stdout}) => {
+        expect(JSON.parse(stdout)).to.deep.equal({status: 201, contentType: xlsx, savedTo: `${out}.xlsx`});
+        expect(fs.readFileSync(`${out}.xlsx`, 'utf8')).to.equal('xlsx data');
+        fs.unlinkSync(`${out}.xlsx`);
+      })
+      .then(() => runCli(['materialize', 'Digest', '--async']))
+      .then(({stdout}) => {
+        expect(stdout).to.equal('/v1/materializations/m1\n');
+        fs.unlinkSync(bag);
+      });
+  });
+
+  it('expands property bags and prints the swagger document', function() {
+    nockRequest.post('/v1/expand', {}).reply(200, '{"expanded":true}');
+    nockRequest.get('/v1/swagger.json').reply(200, {info: {title: 'Stereotype'}});
+
+    return runCli(['expand'])
+      .then(({stdout}) => expect(stdout).to.equal('{"expanded":true}'))
+      .then(() => runCli(['swagger']))
+      .then(({stdout}) => expect(JSON.parse(stdout)).to.deep.equal({info: {title: 'Stereotype'}}));
+  });
+});
@@ -0,0 +1,51 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const {ContentTypeRegistry, defaultRegistry} = require('../src/content_types');
+
+describe('Content type registry', function() {
+  it('knows the built-in content types and post-processors', function() {
+    expect(defaultRegistry.isSupported('text/mustache')).to.equal(true);
+    expect(defaultRegistry.isSupported('text/x-handlebars-template; charset=utf-8; postProcessors="mjml, xlsx"')).to.equal(true);
+    expect(defaultRegistry.isSupported('text/plain')).to.equal(false);
+    expect(defaultRegistry.isSupported('text/mustache; postProcessors=pdf')).to.equal(false);
+    expect(defaultRegistry.isSupported('not a content type')).to.equal(false);
+  });
+
+  it('falls back to its parent', function() {
+    const parent = new ContentTypeRegistry();
+    parent.registerContentType('mustache', 'text/mustache');
+    const registry = new ContentTypeRegistry(parent);
+    registry.registerContentType('liquid', ['text/liquid', 'TEXT/X-LIQUID']);
+    registry.registerPostProcessor('PDF');
+    parent.registerPostProcessor('mjml');
+
+    expect(registry.isSupported('text/x-liquid; postProcessors="pdf,mjml"')).to.equal(true);
+    expect(registry.isSupported('text/mustache')).to.equal(true);
+    expect(parent.isSupported('text/liquid')).to.equal(false);
+    expect(registry.getContentTypes()).to.deep.equal({mustache: ['text/mustache'], liquid: ['text/liquid', 'text/x-liquid']});
+    expect(registry.getPostProcessors()).to.deep.equal(['mjml', 'pdf']);
+  });
+
+  it('registers the template content types of a swagger document', function() {
+    const registry = new ContentTypeRegistry(defaultRegistry);
+    const discovered = registry.registerFromSwagger({
+      consumes: ['application/json'],
+      paths: {
+        '/v1/templates/{templateId}': {
+          put: {consumes: ['text/mustache', 'text/liquid; charset=utf-8']},
+          get: {consumes: ['text/ignored']},
+        },
+        '/v1/templates': {post: {}},
+        '/v1/materializations': {post: {consumes: ['application/hal+json']}},
+      },
+    });
+
+    expect(discovered).to.deep.equal(['text/liquid', 'application/json']);
+    expect(registry.isSupported('text/liquid')).to.equal(true);
+    expect(registry.isSupported('application/hal+json')).to.equal(false);
+    expect(registry.registerFromSwagger(undefined)).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const errors = require('../src/errors');
+const StereotypeError = errors.StereotypeError;
+
+const templateUrl = 'https://stereotype.trdlnk.cimpress.io/v1/templates/testTemplate';
+
+function getResponseError(status, body = {}, headers = {}) {
+  let err = new Error('Response error');
+  err.status = status;
+  err.response = {
+    status: status,
+    body: body,
+    text: JSON.stringify(body),
+    headers: headers,
+    request: {
+      header: {
+        Authorization: 'Bearer demo_Auth0_v2_token',
+      },
+    },
+  };
+  return err;
+}
+
+describe('Stereotype errors', function() {
+  [
+    [400, 'ValidationError'],
+    [401, 'PermissionDeniedError'],
+    [403, 'PermissionDeniedError'],
+    [404, 'TemplateNotFoundError'],
+    [408, 'TimeoutError'],
+    [409, 'ConflictError'],
+    [412, 'ConflictError'],
+    [500, 'StereotypeError'],
+    [503, 'ServiceUnavailableError'],
+  ].forEach(([status, errorName]) => {
+    it(`maps status ${status} to ${errorName}`, function() {
+      const err = StereotypeError.fromResponseError(getResponseError(status), 'GET', templateUrl);
+      expect(err).to.be.an.instanceof(errors[errorName]);
+      expect(err).to.be.an.instanceof(StereotypeError);
+      expect(err).to.be.an.instanceof(Error);
+      expect(err.name).to.equal(errorName);
+      expect(err.status).to.equal(status);
+    });
+  });
+
+  it('maps network errors', function() {
+    let timeout = new Error('Timeout of 5000ms exceeded');
+    timeout.timeout = 5000;
+    timeout.code = 'ECONNABORTED';
+    let refused = new Error('connect ECONNREFUSED');
+    refused.code = 'ECONNREFUSED';
+
+    expect(StereotypeError.fromResponseError(timeout, 'GET', templateUrl)).to.be.an.instanceof(errors.TimeoutError);
+    expect(StereotypeError.fromResponseError(refused, 'GET', templateUrl)).to.be.an.instanceof(errors.ServiceUnavailableError);
+  });
+
+  it('only maps 404s of template resources to TemplateNotFoundError', function() {
+    const err = StereotypeError.fromResponseError(getResponseError(404), 'GET', 'https://stereotype.trdlnk.cimpress.io/v1/materializations/abc');
+    expect(err).not.to.be.an.instanceof(errors.TemplateNotFoundError);
+    expect(err.status).to.equal(404);
+  });
+
+  it('carries the request details and the response body', function() {
+    const body = {message: 'Invalid property bag'};
+    const err = StereotypeError.fromResponseError(getResponseError(400, body, {'x-request-id': 'req-123'}), 'POST', templateUrl);
+    expect(err.method).to.equal('POST');
+    expect(err.url).to.equal(templateUrl);
+    expect(err.body).to.deep.equal(body);
+    expect(err.requestId).to.equal('req-123');
+    expect(err.message).to.equal(`POST ${templateUrl} failed: Invalid property bag`);
+  });
+
+  it('carries the current version of a conflicting template', function() {
+    const err = StereotypeError.fromResponseError(getResponseError(412, {}, {etag: '"v2"'}), 'PUT', templateUrl);
+    expect(err.currentVersion).to.equal('"v2"');
+  });
+
+  it('does not leak the access token', function() {
+    const err = StereotypeError.fromResponseError(getResponseError(500), 'GET', templateUrl);
+    expect(JSON.stringify(err)).not.to.include('demo_Auth0_v2_token');
+    expect(err.response).to.be.undefined;
+  });
+
+  it('returns StereotypeErrors unchanged', function() {
+    const original = new errors.ValidationError('Invalid content type');
+    expect(StereotypeError.fromResponseError(original, 'PUT', templateUrl)).to.equal(original);
+  });
+
+  it('returns errors that did not come from a request unchanged', function() {
+    const original = new TypeError('Cannot read the token');
+    expect(StereotypeError.fromResponseError(original, 'GET', templateUrl)).to.equal(original);
+  });
+});
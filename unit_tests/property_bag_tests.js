@@ -0,0 +1,67 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const {parseTemplate} = require('../src/template_parser');
+const {validatePropertyBag, getVariablePaths} = require('../src/property_bag');
+
+const validate = (body, language, bag) => validatePropertyBag(parseTemplate(body, language).nodes, bag);
+
+describe('Property bag validation', function() {
+  it('lists the paths a template references', function() {
+    const {nodes} = parseTemplate('{{user.name}}{{#items}}{{price}}{{.}}{{/items}}{{^items}}{{fallback}}{{/items}}', 'mustache');
+    expect(getVariablePaths(nodes)).to.deep.equal(['user.name', 'items', 'price', 'fallback']);
+  });
+
+  it('reports missing and unused keys of a mustache template', function() {
+    const body = 'Hi {{user.name}}! {{#items}}{{title}}: {{price}}{{/items}}{{#discount}}{{percent}}%{{/discount}}';
+    const result = validate(body, 'mustache', {
+      user: {name: 'Ada', email: 'ada@example.com'},
+      items: [{title: 'Book', price: 10, sku: 'B1'}, {title: 'Pen'}],
+      settings: {theme: 'dark', locale: 'en'},
+    });
+
+    expect(result).to.deep.equal({
+      valid: false,
+      missing: ['price'],
+      unused: ['user.email', 'items.sku', 'settings'],
+      partials: [],
+    });
+  });
+
+  it('accepts complete property bags', function() {
+    expect(validate('{{#user}}{{name}} {{company.name}}{{/user}}{{> footer}}', 'mustache', {
+      user: {name: 'Ada'},
+      company: {name: 'Analytical Engines'},
+    })).to.deep.equal({valid: true, missing: [], unused: [], partials: ['footer']});
+  });
+
+  it('resolves handlebars helpers, block parameters and parent paths', function() {
+    const body = '{{#each orders as |order index|}}{{order.id}} {{index}} {{../currency}} {{format total "0.00"}}{{/each}}'
+      + '{{#if vip}}{{vipNote}}{{else if regular}}{{regularNote}}{{else}}{{guestNote}}{{/if}}{{#with address}}{{city}}{{/with}}';
+    const result = validate(body, 'handlebars', {
+      orders: [{id: 1, total: 5}],
+      currency: 'EUR',
+      regular: true,
+      regularNote: 'Thanks',
+      address: {},
+    });
+
+    expect(result.missing).to.deep.equal(['city']);
+    expect(result.unused).to.deep.equal([]);
+  });
+
+  it('reports missing lists and contexts of handlebars templates', function() {
+    expect(validate('{{#each items}}{{name}}{{/each}}{{#with user}}{{name}}{{/with}}', 'handlebars', {}))
+      .to.deep.include({valid: false, missing: ['items', 'user']});
+  });
+
+  it('resolves dust references, sections and helper parameters', function() {
+    const body = '{#items max=3}{name|s} {max}{/items}{?note}{note}{:else}{fallback}{/note}{@eq key=status value="open"}open{/eq}'
+      + '{@select key="{kind}"}{/select}{names[0]}';
+    const result = validate(body, 'dust', {items: [{name: 'a'}], status: 'open', kind: 'x', names: ['Ada'], extra: 1});
+
+    expect(result).to.deep.equal({valid: false, missing: ['fallback'], unused: ['extra'], partials: []});
+  });
+});
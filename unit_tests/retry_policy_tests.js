@@ -0,0 +1,81 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const {resolveRetryPolicy, getRetryAfter, getRetryDelay} = require('../src/retry_policy');
+const {ValidationError} = require('../src/errors');
+
+function getResponseError(status, headers = {}) {
+  let err = new Error('Response error');
+  err.status = status;
+  err.response = {
+    status: status,
+    text: '',
+    headers: headers,
+  };
+  return err;
+}
+
+describe('Retry policy', function() {
+  const policy = resolveRetryPolicy({jitter: false});
+
+  it('rejects unknown settings', function() {
+    expect(() => resolveRetryPolicy({retries: 3})).to.throw(ValidationError);
+  });
+
+  it('backs off exponentially up to maxDelay', function() {
+    const cappedPolicy = resolveRetryPolicy({jitter: false, baseDelay: 100, maxDelay: 300, maxAttempts: 10});
+    expect([1, 2, 3, 4].map((attempt) => getRetryDelay(cappedPolicy, getResponseError(500), attempt)))
+      .to.deep.equal([100, 200, 300, 300]);
+  });
+
+  it('keeps jittered delays within the computed delay', function() {
+    const jitteredPolicy = resolveRetryPolicy({baseDelay: 100});
+    for (let i = 0; i < 20; i++) {
+      expect(getRetryDelay(jitteredPolicy, getResponseError(503), 2)).to.be.within(0, 200);
+    }
+  });
+
+  it('gives up after maxAttempts', function() {
+    expect(getRetryDelay(policy, getResponseError(500), 3)).to.equal(400);
+    expect(getRetryDelay(policy, getResponseError(500), 4)).to.equal(null);
+  });
+
+  it('retries only the configured statuses and error codes', function() {
+    let networkError = new Error('socket hang up');
+    networkError.code = 'ECONNRESET';
+
+    expect(getRetryDelay(policy, getResponseError(404), 1)).to.equal(null);
+    expect(getRetryDelay(policy, getResponseError(400), 1, {isRetryable: () => true})).to.equal(100);
+    expect(getRetryDelay(policy, networkError, 1)).to.equal(100);
+    expect(getRetryDelay(resolveRetryPolicy({retryableCodes: []}), networkError, 1)).to.equal(null);
+  });
+
+  it('does not retry non-idempotent requests unless allowed', function() {
+    expect(getRetryDelay(policy, getResponseError(503), 1, {idempotent: false})).to.equal(null);
+    expect(getRetryDelay(resolveRetryPolicy({jitter: false, retryNonIdempotent: true}), getResponseError(503), 1,
+      {idempotent: false})).to.equal(100);
+  });
+
+  it('honours Retry-After on 429 and 503', function() {
+    expect(getRetryDelay(policy, getResponseError(429, {'retry-after': '2'}), 1)).to.equal(2000);
+    expect(getRetryDelay(policy, getResponseError(500, {'retry-after': '2'}), 1)).to.equal(100);
+    expect(getRetryDelay(policy, getResponseError(503, {'retry-after': '10'}), 1)).to.equal(10000);
+  });
+
+  it('gives up when a wait would end past the deadline', function() {
+    const deadlinePolicy = resolveRetryPolicy({jitter: false, deadline: 15000});
+    expect(getRetryDelay(deadlinePolicy, getResponseError(429, {'retry-after': '10'}), 1, {}, 5000)).to.equal(10000);
+    expect(getRetryDelay(deadlinePolicy, getResponseError(429, {'retry-after': '10'}), 1, {}, 5001)).to.equal(null);
+    expect(getRetryDelay(deadlinePolicy, getResponseError(503), 1, {}, 14950)).to.equal(null);
+  });
+
+  it('reads Retry-After as seconds or as an HTTP date', function() {
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    expect(getRetryAfter(getResponseError(503, {'retry-after': '3'}))).to.equal(3000);
+    expect(getRetryAfter(getResponseError(503, {'retry-after': inTenSeconds}))).to.be.within(8000, 10000);
+    expect(getRetryAfter(getResponseError(503, {'retry-after': 'soon'}))).to.equal(null);
+    expect(getRetryAfter(getResponseError(503))).to.equal(null);
+  });
+});
@@ -0,0 +1,61 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const {RevisionStore, FileRevisionStore} = require('../src/revision_store');
+const {ValidationError} = require('../src/errors');
+
+const template = {body: 'Hello', contentType: 'text/mustache', name: 'Greeting', templateBody: 'SGVsbG8=', etag: '"v1"'};
+
+describe('Revision store', function() {
+  it('records numbered revisions of the template fields', function() {
+    const store = new RevisionStore();
+    return store.record('greeting', template, 'put')
+      .then((revision) => {
+        expect(revision).to.include({revision: 1, templateId: 'greeting', operation: 'put'});
+        expect(revision.template).to.deep.equal({body: 'Hello', contentType: 'text/mustache', name: 'Greeting', etag: '"v1"'});
+      })
+      .then(() => store.record('greeting', Object.assign({}, template, {body: 'Hi'}), 'delete'))
+      .then(() => store.list('greeting'))
+      .then((revisions) => expect(revisions.map((revision) => revision.template.body)).to.deep.equal(['Hello', 'Hi']))
+      .then(() => store.get('greeting', '2'))
+      .then((revision) => expect(revision.operation).to.equal('delete'))
+      .then(() => expect(store.list('other')).to.eventually.deep.equal([]));
+  });
+
+  it('does not record a version twice', function() {
+    const store = new RevisionStore();
+    return Promise.all([
+      store.record('greeting', template, 'put'),
+      store.record('greeting', Object.assign({}, template, {etag: '"v2"'}), 'put'),
+    ]).then(() => expect(store.list('greeting')).to.eventually.have.lengthOf(1));
+  });
+
+  it('keeps maxRevisions revisions in a custom store', function() {
+    const map = new Map();
+    const store = new RevisionStore({store: map, maxRevisions: 2});
+    return ['a', 'b', 'c'].reduce((recorded, body) => recorded.then(() => store.record('greeting', {body}, 'put')), Promise.resolve())
+      .then(() => expect(map.get('greeting').map((revision) => [revision.revision, revision.template.body])).to.deep.equal([[2, 'b'], [3, 'c']]));
+  });
+
+  it('keeps revisions in files', function() {
+    const directory = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stereotype-revisions-')), 'nested');
+    const store = new RevisionStore({store: new FileRevisionStore(directory)});
+    return store.record('reports/daily', template, 'put')
+      .then(() => {
+        expect(fs.readdirSync(directory)).to.deep.equal(['reports%2Fdaily.json']);
+        return new RevisionStore({store: new FileRevisionStore(directory)}).list('reports/daily');
+      })
+      .then((revisions) => expect(revisions[0].template.body).to.equal('Hello'));
+  });
+
+  it('rejects unknown options', function() {
+    expect(() => new RevisionStore({maxEntries: 2})).to.throw(ValidationError);
+  });
+});
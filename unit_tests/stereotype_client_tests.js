@@ -1,12 +1,28 @@
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const nock = require('nock');
+const {Writable} = require('stream');
 const chai = require('chai');
 const expect = chai.expect;
 const chaiAsPromised = require('chai-as-promised');
 chai.use(chaiAsPromised);
 
 const StereotypeClient = require('../src/stereotype_client');
+const {BinaryResult} = require('../src/binary_result');
+const {TemplateCache} = require('../src/template_cache');
+const {defaultRegistry} = require('../src/content_types');
+const {
+  TemplateNotFoundError,
+  PermissionDeniedError,
+  ValidationError,
+  ConflictError,
+  TimeoutError,
+  InvalidTemplateUrlError,
+  AbortError,
+} = require('../src/errors');
 const StereotypeOptions = {
   baseUrl: 'https://stereotype.trdlnk.cimpress.io',
 };
@@ -117,6 +133,85 @@ describe('Stereotype client', function() {
       });
   })
 
+  it('lists templates with an options object', function() {
+    nockRequest.get(`/v1/templates?public=true&templateType=xemail`)
+      .reply(200, [], {
+        'content-type': 'application/json',
+      });
+
+    return expect(client.listTemplates({includePublic: true, templateTypes: ['xemail']})).to.eventually.deep.equal([]);
+  });
+
+  it('serves fresh template lists from the template cache', function() {
+    let cachingClient = new StereotypeClient(token, Object.assign({templateCache: {ttl: 60000}}, StereotypeOptions));
+    nockRequest.get('/v1/templates?public=false')
+      .reply(200, [{templateId: 'templ1'}], {'content-type': 'application/json', 'etag': '"v1"'});
+
+    return cachingClient.listTemplates()
+      .then(() => cachingClient.listTemplates())
+      .then((list) => expect(list).to.deep.equal([{templateId: 'templ1'}]));
+  });
+
+  it('does not serve cached responses to clients with a different token', function() {
+    let cache = new TemplateCache();
+    let clientA = new StereotypeClient('token-a', Object.assign({templateCache: cache}, StereotypeOptions));
+    let clientB = new StereotypeClient('token-b', Object.assign({templateCache: cache}, StereotypeOptions));
+    nock(StereotypeOptions.baseUrl, {reqheaders: {Authorization: 'Bearer token-a'}})
+      .get('/v1/templates?public=false')
+      .reply(200, [{templateId: 'private-a'}], {'content-type': 'application/json', 'etag': '"a"'});
+    nock(StereotypeOptions.baseUrl, {reqheaders: {Authorization: 'Bearer token-b'}})
+      .get('/v1/templates?public=false')
+      .reply(200, [{templateId: 'private-b'}], {'content-type': 'application/json', 'etag': '"b"'});
+
+    return clientA.listTemplates()
+      .then(() => clientB.listTemplates())
+      .then((list) => expect(list).to.deep.equal([{templateId: 'private-b'}]))
+      .then(() => clientA.listTemplates())
+      .then((list) => expect(list).to.deep.equal([{templateId: 'private-a'}]));
+  });
+
+  it('revalidates stale cache entries and serves 304s from the cache', function() {
+    let cachingClient = new StereotypeClient(token, Object.assign({templateCache: {ttl: 0}}, StereotypeOptions));
+    nockRequest.get('/v1/templates?public=false')
+      .reply(200, [{templateId: 'templ1'}], {'content-type': 'application/json', 'etag': '"v1"'});
+    nockRequest.get('/v1/templates?public=false')
+      .matchHeader('If-None-Match', '"v1"')
+      .reply(304);
+
+    return cachingClient.listTemplates()
+      .then(() => cachingClient.listTemplates())
+      .then((list) => expect(list).to.deep.equal([{templateId: 'templ1'}]));
+  });
+
+  it('revalidates instead of adding skip_cache when the template cache is enabled', function() {
+    let cachingClient = new StereotypeClient(token, Object.assign({templateCache: true}, StereotypeOptions));
+    nockRequest.get('/v1/templates?public=false')
+      .reply(200, [{templateId: 'templ1'}], {'content-type': 'application/json', 'etag': '"v1"'});
+    nockRequest.get('/v1/templates?public=false')
+      .matchHeader('If-None-Match', '"v1"')
+      .matchHeader('Cache-Control', 'no-cache')
+      .reply(200, [{templateId: 'templ2'}], {'content-type': 'application/json', 'etag': '"v2"'});
+
+    return cachingClient.listTemplates()
+      .then(() => cachingClient.listTemplates({skipCache: true}))
+      .then((list) => expect(list).to.deep.equal([{templateId: 'templ2'}]));
+  });
+
+  it('invalidates cached template lists when a template is created', function() {
+    let cachingClient = new StereotypeClient(token, Object.assign({templateCache: true}, StereotypeOptions));
+    nockRequest.get('/v1/templates?public=false')
+      .reply(200, [], {'content-type': 'application/json', 'etag': '"v1"'});
+    nockRequest.post('/v1/templates')
+      .reply(201, {templateId: 'templ1'});
+    nockRequest.get('/v1/templates?public=false')
+      .reply(200, [{templateId: 'templ1'}], {'content-type': 'application/json', 'etag': '"v2"'});
+
+    return cachingClient.listTemplates()
+      .then(() => cachingClient.createTemplate({body: templBody, contentType: contentType}))
+      .then(() => cachingClient.listTemplates())
+      .then((list) => expect(list).to.deep.equal([{templateId: 'templ1'}]));
+  });
+
   it('reads a template by id', function() {
     // Important: Mock the request with more headers first!
     nock(StereotypeOptions.baseUrl, {
@@ -146,6 +241,574 @@ describe('Stereotype client', function() {
     });
   });
 
+  it('iterates templates, splitting an unpaginated list into pages', function() {
+    let templList = [{templateId: 'templ1'}, {templateId: 'templ2'}, {templateId: 'templ3'}];
+    nockRequest.get('/v1/templates?public=false&limit=2')
+      .reply(200, templList, {'content-type': 'application/json'});
+
+    let templates = client.iterateTemplates({pageSize: 2});
+    let templateIds = [];
+    const collect = () => templates.next().then((result) => {
+      if (!result.done) {
+        templateIds.push(result.value.templateId);
+        return collect();
+      }
+    });
+    expect(templates[Symbol.asyncIterator]()).to.equal(templates);
+    return collect().then(() => expect(templateIds).to.deep.equal(['templ1', 'templ2', 'templ3']));
+  });
+
+  it('iterates the pages of a paginated template list', function() {
+    nockRequest.get('/v1/templates?public=false&limit=2')
+      .reply(200, {items: [{templateId: 'templ1'}, {templateId: 'templ2'}], links: {next: {href: '/v1/templates?page=2'}}},
+        {'content-type': 'application/json'});
+    nockRequest.get('/v1/templates?page=2')
+      .reply(200, {items: [{templateId: 'templ3'}], links: {}}, {'content-type': 'application/json'});
+
+    let pages = client.iterateTemplates({pageSize: 2}).pages();
+    return pages.next()
+      .then((page) => expect(page.value).to.have.lengthOf(2))
+      .then(() => pages.next())
+      .then((page) => expect(page.value).to.deep.equal([{templateId: 'templ3'}]))
+      .then(() => pages.next())
+      .then((page) => expect(page.done).to.equal(true));
+  });
+
+  it('finds templates and stops fetching pages after the limit', function() {
+    nockRequest.get('/v1/templates?public=false&limit=2')
+      .reply(200, {
+        items: [
+          {templateId: 'welcome', canEdit: true, metadata: [{owner: 'team-a'}]},
+          {templateId: 'invoice', canEdit: true, metadata: [{owner: 'team-b'}]},
+        ],
+        links: {next: {href: '/v1/templates?page=2'}},
+      }, {'content-type': 'application/json'});
+    nockRequest.get('/v1/templates?page=2')
+      .reply(200, {items: [], links: {}}, {'content-type': 'application/json'});
+
+    return client.findTemplates({canEdit: true, metadata: {owner: 'team-a'}}, {pageSize: 2, limit: 1})
+      .then((found) => {
+        expect(found).to.deep.equal([{templateId: 'welcome', canEdit: true, metadata: [{owner: 'team-a'}]}]);
+        expect(nock.pendingMocks()).to.have.lengthOf(1);
+      });
+  });
+
+  it('includes public templates when searching for them', function() {
+    nockRequest.get('/v1/templates?public=true&limit=100')
+      .reply(200, [{templateId: 'shared', isPublic: true}, {templateId: 'own', isPublic: false}],
+        {'content-type': 'application/json'});
+
+    return expect(client.findTemplates({isPublic: true})).to.eventually.deep.equal([{templateId: 'shared', isPublic: true}]);
+  });
+
+  it('exposes the ETag of a template', function() {
+    nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+      .get(`/v1/templates/${templateName}`)
+      .reply(200, {contentType: templateType}, {etag: '"v1"'});
+
+    return client.getTemplateById(templateName, {doNotAddBody: true})
+      .then((tpl) => expect(tpl).to.deep.equal({contentType: templateType, etag: '"v1"'}));
+  });
+
+  it('rejects with a ConflictError when the template changed since it was read', function() {
+    nockRequest.put(`/v1/templates/${templateName}`)
+      .matchHeader('If-Match', '"v1"')
+      .reply(412, {message: 'Precondition failed'}, {etag: '"v2"'});
+
+    return client.putTemplateById(templateName, {body: templBody, contentType: contentType, ifMatch: '"v1"'})
+      .catch((err) => err)
+      .then((err) => {
+        expect(err).to.be.an.instanceof(ConflictError);
+        expect(err.currentVersion).to.equal('"v2"');
+      });
+  });
+
+  it('updates a template and retries when it was changed concurrently', function() {
+    const mockVersion = (version, body) => {
+      nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+        .get(`/v1/templates/${templateName}`)
+        .query(true)
+        .reply(200, {contentType: templateType}, {etag: version});
+      nockRequest.get(`/v1/templates/${templateName}`)
+        .query(true)
+        .reply(200, body);
+    };
+    mockVersion('"v1"', 'Hello');
+    nockRequest.put(`/v1/templates/${templateName}`, 'Hello again')
+      .matchHeader('If-Match', '"v1"')
+      .reply(412);
+    mockVersion('"v2"', 'Hi');
+    nockRequest.put(`/v1/templates/${templateName}`, 'Hi again')
+      .matchHeader('If-Match', '"v2"')
+      .matchHeader('Content-Type', templateType)
+      .reply(200, {templateId: templateName});
+
+    return client.updateTemplate(templateName, (tpl) => ({body: `${Base64.decode(tpl.templateBody)} again`}))
+      .then((updated) => expect(updated).to.deep.equal({templateId: templateName}));
+  });
+
+  it('gives up updating a template after maxAttempts conflicts', function() {
+    nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+      .get(`/v1/templates/${templateName}`)
+      .query(true)
+      .reply(200, {contentType: templateType}, {etag: '"v1"'});
+    nockRequest.get(`/v1/templates/${templateName}`)
+      .query(true)
+      .reply(200, templBody);
+    nockRequest.put(`/v1/templates/${templateName}`)
+      .reply(412);
+
+    return expect(client.updateTemplate(`${StereotypeOptions.baseUrl}/v1/templates/${templateName}`,
+      () => ({body: templBody}), {maxAttempts: 1})).to.eventually.be.rejectedWith(ConflictError);
+  });
+
+  describe('patching templates', function() {
+    const mockSwagger = (operations) => nockRequest.get('/v1/swagger.json')
+      .reply(200, {paths: {'/v1/templates/{templateId}': operations}}, {'content-type': 'application/json'});
+
+    it('merges the changes over the stored template when the service has no PATCH', function() {
+      mockSwagger({get: {}, put: {}});
+      nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+        .get(`/v1/templates/${templateName}`)
+        .query(true)
+        .reply(200, {contentType: contentType, templateType: 'xemail', name: 'Greeting', isPublic: true, metadata: [{owner: 'a'}]},
+          {etag: '"v1"'});
+      nockRequest.get(`/v1/templates/${templateName}`)
+        .query(true)
+        .reply(200, templBody);
+      nockRequest.put(`/v1/templates/${templateName}`, templBody)
+        .matchHeader('If-Match', '"v1"')
+        .matchHeader('Content-Type', contentType)
+        .matchHeader('x-cimpress-template-public', 'true')
+        .matchHeader('x-cimpress-template-type', 'xemail')
+        .matchHeader('x-cimpress-template-name', 'Greeting')
+        .matchHeader('x-cimpress-template-description', encodeURIComponent(templateDescription))
+        .matchHeader('x-cimpress-template-metadata', encodeURIComponent(JSON.stringify([{owner: 'a'}])))
+        .reply(200, {templateId: templateName});
+
+      return client.patchTemplate(templateName, {description: templateDescription})
+        .then((result) => expect(result).to.deep.equal({templateId: templateName}));
+    });
+
+    it('sends only the changes with PATCH when the service declares it', function() {
+      const patchClient = new StereotypeClient(token, StereotypeOptions);
+      mockSwagger({put: {}, patch: {}});
+      nockRequest.patch(`/v1/templates/${templateName}`)
+        .matchHeader('x-cimpress-template-public', 'false')
+        .matchHeader('x-cimpress-template-name', (value) => value === undefined)
+        .matchHeader('x-cimpress-template-type', (value) => value === undefined)
+        .reply(200, {templateId: templateName});
+      nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+        .get(`/v1/templates/${templateName}`)
+        .query(true)
+        .reply(200, {contentType: templateType});
+      nockRequest.patch(`/v1/templates/${templateName}`, 'Bye {{name}}.')
+        .matchHeader('Content-Type', templateType)
+        .reply(200, {templateId: templateName});
+
+      return patchClient.patchTemplate(templateName, {isPublic: false})
+        .then(() => patchClient.patchTemplate(templateName, {body: 'Bye {{name}}.'}))
+        .then((result) => {
+          expect(result).to.deep.equal({templateId: templateName});
+          expect(nock.isDone()).to.be.true;
+        });
+    });
+
+    it('rejects empty and unknown changes', function() {
+      return Promise.all([
+        expect(client.patchTemplate(templateName, {title: 'x'})).to.be.rejectedWith(ValidationError, 'title'),
+        expect(client.patchTemplate(templateName, {})).to.be.rejectedWith(ValidationError, 'no fields to change'),
+      ]);
+    });
+  });
+
+  describe('template metadata', function() {
+    let metadataClient;
+
+    const mockStored = (metadata) => {
+      nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+        .get(`/v1/templates/${templateName}`)
+        .query(true)
+        .reply(200, {contentType: templateType, name: 'Greeting', metadata: metadata}, {etag: '"v1"'});
+      nockRequest.get(`/v1/templates/${templateName}`)
+        .query(true)
+        .reply(200, templBody);
+    };
+    const expectPut = (metadata) => nockRequest.put(`/v1/templates/${templateName}`, templBody)
+      .matchHeader('If-Match', '"v1"')
+      .matchHeader('x-cimpress-template-name', 'Greeting')
+      .matchHeader('x-cimpress-template-metadata', encodeURIComponent(JSON.stringify(metadata)))
+      .reply(200, {templateId: templateName});
+
+    beforeEach(function() {
+      metadataClient = new StereotypeClient(token, StereotypeOptions);
+      nockRequest.get('/v1/swagger.json')
+        .reply(200, {paths: {'/v1/templates/{templateId}': {put: {}}}}, {'content-type': 'application/json'});
+    });
+
+    it('reads metadata as an object', function() {
+      nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+        .get(`/v1/templates/${templateName}`)
+        .reply(200, {contentType: templateType, metadata: [{owner: 'team-a'}, {locale: 'en'}]});
+      return expect(metadataClient.getTemplateMetadata(templateName)).to.eventually.deep.equal({owner: 'team-a', locale: 'en'});
+    });
+
+    it('sets, merges and removes metadata, keeping the other fields', function() {
+      mockStored([{owner: 'team-a'}]);
+      expectPut([{owner: 'team-b'}, {locale: 'en'}]);
+      mockStored([{owner: 'team-a'}, {locale: 'en'}]);
+      expectPut([{owner: 'team-a'}, {locale: 'de'}, {tier: 1}]);
+      mockStored([{owner: 'team-a'}, {locale: 'en'}]);
+      expectPut([{owner: 'team-a'}]);
+
+      return metadataClient.setTemplateMetadata(templateName, {owner: 'team-b', locale: 'en'})
+        .then((metadata) => expect(metadata).to.deep.equal({owner: 'team-b', locale: 'en'}))
+        .then(() => metadataClient.mergeTemplateMetadata(templateName, [{locale: 'de'}, {tier: 1}]))
+        .then((metadata) => expect(metadata).to.deep.equal({owner: 'team-a', locale: 'de', tier: 1}))
+        .then(() => metadataClient.removeTemplateMetadata(templateName, ['locale', 'region']))
+        .then((metadata) => {
+          expect(metadata).to.deep.equal({owner: 'team-a'});
+          expect(nock.isDone()).to.be.true;
+        });
+    });
+
+    it('does not write a template when no metadata key is removed', function() {
+      mockStored([{owner: 'team-a'}]);
+      return expect(metadataClient.removeTemplateMetadata(templateName, 'region')).to.eventually.deep.equal({owner: 'team-a'});
+    });
+
+    it('rejects invalid and oversized metadata', function() {
+      const sizedClient = new StereotypeClient(token, Object.assign({maxMetadataSize: 64}, StereotypeOptions));
+      return Promise.all([
+        expect(metadataClient.setTemplateMetadata(templateName, [{owner: 'a'}, {owner: 'b'}])).to.be.rejectedWith(ValidationError, 'listed twice'),
+        expect(metadataClient.mergeTemplateMetadata(templateName, 'owner')).to.be.rejectedWith(ValidationError, 'Invalid metadata'),
+        expect(sizedClient.putTemplateById(templateName, {body: templBody, contentType: templateType, metadata: [{notes: 'x'.repeat(64)}]}))
+          .to.be.rejectedWith(ValidationError, 'Metadata too large'),
+      ]);
+    });
+
+    it('filters template lists by metadata', function() {
+      nockRequest.get('/v1/templates?public=false')
+        .times(2)
+        .reply(200, [
+          {templateId: 'a', metadata: [{owner: 'team-a'}, {locale: 'en'}]},
+          {templateId: 'b', metadata: [{owner: 'team-b'}]},
+          {templateId: 'c'},
+        ], {'content-type': 'application/json'});
+
+      return metadataClient.listTemplates({metadata: {owner: ['team-a', 'team-b']}})
+        .then((templates) => expect(templates.map((template) => template.templateId)).to.deep.equal(['a', 'b']))
+        .then(() => metadataClient.listTemplates({metadataKeys: ['locale']}))
+        .then((templates) => expect(templates.map((template) => template.templateId)).to.deep.equal(['a']));
+    });
+  });
+
+  describe('syncing templates', function() {
+    let directory;
+
+    const mockStoredTemplate = (templateId, info, body) => {
+      nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+        .get(`/v1/templates/${templateId}`)
+        .query(true)
+        .reply(200, info, {etag: `"${templateId}-v1"`});
+      nockRequest.get(`/v1/templates/${templateId}`)
+        .query(true)
+        .reply(200, body);
+    };
+
+    beforeEach(function() {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'stereotype-sync-'));
+      fs.writeFileSync(path.join(directory, 'templates.json'), JSON.stringify({templates: [
+        {id: 'same', file: 'same.hbs', contentType: templateType},
+        {id: 'changed', file: 'changed.hbs', contentType: templateType, metadata: [{owner: 'team-b'}]},
+        {id: 'new', file: 'new.hbs', contentType: templateType, isPublic: true},
+      ]}));
+      fs.writeFileSync(path.join(directory, 'same.hbs'), 'Same');
+      fs.writeFileSync(path.join(directory, 'changed.hbs'), 'Changed');
+      fs.writeFileSync(path.join(directory, 'new.hbs'), 'New');
+
+      nockRequest.get('/v1/templates')
+        .query(true)
+        .reply(200, [{templateId: 'same'}, {templateId: 'changed'}, {templateId: 'old'}], {'content-type': 'application/json'});
+      mockStoredTemplate('same', {contentType: templateType}, 'Same');
+      mockStoredTemplate('changed', {contentType: templateType, name: 'Kept', metadata: [{owner: 'team-a'}]}, 'Original');
+    });
+
+    it('returns the plan of a dry run', function() {
+      return client.syncTemplates(directory, {dryRun: true, prune: true, concurrency: 1}).then(({plan, results, summary}) => {
+        expect(plan.map((step) => `${step.action} ${step.templateId}`)).to.deep.equal(['noop same', 'update changed', 'create new', 'delete old']);
+        expect(plan[1].changes.metadata).to.deep.equal({added: {}, removed: {}, changed: {owner: {before: 'team-a', after: 'team-b'}}});
+        expect(results).to.deep.equal([]);
+        expect(summary).to.deep.equal({created: 1, updated: 1, deleted: 1, unchanged: 1, failed: 0, skipped: 0});
+      });
+    });
+
+    it('applies the plan and reports failures', function() {
+      nockRequest.put('/v1/templates/changed', 'Changed')
+        .matchHeader('If-Match', '"changed-v1"')
+        .matchHeader('x-cimpress-template-name', 'Kept')
+        .matchHeader('x-cimpress-template-metadata', encodeURIComponent(JSON.stringify([{owner: 'team-b'}])))
+        .reply(200, {templateId: 'changed'});
+      nockRequest.put('/v1/templates/new', 'New')
+        .matchHeader('x-cimpress-template-public', 'true')
+        .reply(403);
+
+      return client.syncTemplates(directory, {concurrency: 1}).then(({results, summary}) => {
+        expect(results.map((result) => `${result.templateId} ${result.status}`)).to.deep.equal(['same unchanged', 'changed applied', 'new failed']);
+        expect(results[2].error).to.be.an.instanceof(PermissionDeniedError);
+        expect(summary).to.deep.equal({created: 0, updated: 1, deleted: 0, unchanged: 1, failed: 1, skipped: 0});
+        expect(nock.isDone()).to.be.true;
+      });
+    });
+
+    it('deletes templates missing from the manifest when pruning', function() {
+      nockRequest.put('/v1/templates/changed').reply(200, {templateId: 'changed'});
+      nockRequest.put('/v1/templates/new').reply(201, {templateId: 'new'});
+      nockRequest.delete('/v1/templates/old').reply(204);
+
+      return client.syncTemplates(directory, {prune: true})
+        .then(({summary}) => expect(summary).to.deep.equal({created: 1, updated: 1, deleted: 1, unchanged: 1, failed: 0, skipped: 0}));
+    });
+  });
+
+  describe('exporting and importing templates', function() {
+    const mockExport = () => {
+      nockRequest.get('/v1/templates?public=false&limit=100')
+        .reply(200, [{templateId: 'welcome', canEdit: true}, {templateId: 'report', canEdit: false}], {'content-type': 'application/json'});
+      nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+        .get('/v1/templates/welcome')
+        .reply(200, {contentType: templateType, isPublic: true, name: 'Welcome', metadata: [{owner: 'team-a'}]});
+      nockRequest.get('/v1/templates/welcome')
+        .reply(200, templBody);
+    };
+
+    it('exports matching templates to a bundle', function() {
+      mockExport();
+      return client.exportTemplates({canEdit: true}).then((bundle) => {
+        expect(bundle).to.include({format: 'stereotype-bundle', source: StereotypeOptions.baseUrl});
+        expect(bundle.templates).to.deep.equal([{
+          id: 'welcome', contentType: templateType, isPublic: true, name: 'Welcome', metadata: [{owner: 'team-a'}], body: templBody,
+        }]);
+      });
+    });
+
+    it('exports templates to a tar archive that can be imported', function() {
+      mockExport();
+      const target = new StereotypeClient(token, {baseUrl: 'https://stereotype.prod.example.com'});
+      const targetRequest = nock('https://stereotype.prod.example.com', {reqheaders: {'Authorization': `Bearer ${token}`}});
+      targetRequest.get('/v1/templates')
+        .query(true)
+        .reply(200, [], {'content-type': 'application/json'});
+      targetRequest.put('/v1/templates/welcome', templBody)
+        .matchHeader('x-cimpress-template-public', 'true')
+        .matchHeader('x-cimpress-template-name', 'Welcome')
+        .reply(201, {templateId: 'welcome'});
+
+      return client.exportTemplates({canEdit: true}, {format: 'tar'})
+        .then((tar) => {
+          expect(Buffer.isBuffer(tar)).to.be.true;
+          return target.importTemplates(tar);
+        })
+        .then(({results, summary}) => {
+          expect(results).to.deep.equal([{templateId: 'welcome', targetId: 'welcome', action: 'create', status: 'applied'}]);
+          expect(summary).to.deep.equal({created: 1, updated: 0, skipped: 0, failed: 0});
+        });
+    });
+
+    it('rejects unsupported bundle formats', function() {
+      return expect(client.exportTemplates({}, {format: 'zip'})).to.be.rejectedWith(ValidationError, 'Unsupported bundle format: zip');
+    });
+
+    describe('importing a bundle', function() {
+      const bundle = {
+        format: 'stereotype-bundle',
+        version: 1,
+        templates: [
+          {id: 'welcome', contentType: templateType, body: 'Welcome'},
+          {id: 'report', contentType: templateType, body: 'Report'},
+          {id: 'digest', contentType: templateType, body: 'Digest'},
+        ],
+      };
+
+      beforeEach(function() {
+        nockRequest.get('/v1/templates')
+          .query(true)
+          .reply(200, [{templateId: 'welcome'}, {templateId: 'prod-report'}], {'content-type': 'application/json'});
+      });
+
+      it('overwrites existing templates and reports every template', function() {
+        nockRequest.put('/v1/templates/welcome', 'Welcome').reply(200, {templateId: 'welcome'});
+        nockRequest.put('/v1/templates/prod-report', 'Report').reply(200, {templateId: 'prod-report'});
+        nockRequest.put('/v1/templates/digest', 'Digest').reply(403);
+
+        return client.importTemplates(JSON.stringify(bundle), {idMapping: {report: 'prod-report'}, overwrite: true, concurrency: 1})
+          .then(({results, summary}) => {
+            expect(results.map((result) => `${result.templateId} ${result.targetId} ${result.action} ${result.status}`)).to.deep.equal([
+              'welcome welcome update applied', 'report prod-report update applied', 'digest digest create failed',
+            ]);
+            expect(results[2].error).to.be.an.instanceof(PermissionDeniedError);
+            expect(summary).to.deep.equal({created: 0, updated: 2, skipped: 0, failed: 1});
+          });
+      });
+
+      it('reports the plan of a dry run', function() {
+        return client.importTemplates(bundle, {dryRun: true}).then(({results, summary}) => {
+          expect(results.map((result) => `${result.targetId} ${result.action} ${result.status}`)).to.deep.equal([
+            'welcome skip skipped', 'report create planned', 'digest create planned',
+          ]);
+          expect(summary).to.deep.equal({created: 2, updated: 0, skipped: 1, failed: 0});
+        });
+      });
+    });
+  });
+
+  describe('copying templates', function() {
+    const mockSource = (info) => {
+      nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+        .get(`/v1/templates/${templateName}`)
+        .query(true)
+        .reply(200, Object.assign({
+          contentType: contentType,
+          templateType: 'xemail',
+          name: 'Greeting',
+          isPublic: true,
+          metadata: [{owner: 'team-a'}],
+        }, info));
+      nockRequest.get(`/v1/templates/${templateName}`)
+        .query(true)
+        .reply(200, templBody);
+    };
+
+    it('copies a template with a generated id, checking canCopy in the template list', function() {
+      mockSource({});
+      nockRequest.get('/v1/templates?public=true')
+        .reply(200, [{templateId: templateName, canCopy: true}], {'content-type': 'application/json'});
+      nockRequest.post('/v1/templates', templBody)
+        .matchHeader('Content-Type', contentType)
+        .matchHeader('x-cimpress-template-public', 'false')
+        .matchHeader('x-cimpress-template-type', 'xemail')
+        .matchHeader('x-cimpress-template-name', encodeURIComponent('Copy of Greeting'))
+        .matchHeader('x-cimpress-template-metadata', encodeURIComponent(JSON.stringify([{owner: 'team-a'}])))
+        .reply(201, '', {Location: `${StereotypeOptions.baseUrl}/v1/templates/generated%20id`});
+
+      return client.copyTemplate(templateName, {overrides: {name: 'Copy of Greeting'}})
+        .then((result) => expect(result).to.deep.equal({templateId: 'generated id'}));
+    });
+
+    it('copies a template to another environment', function() {
+      mockSource({canCopy: true});
+      const target = new StereotypeClient(token, {baseUrl: 'https://stereotype.prod.example.com'});
+      nock('https://stereotype.prod.example.com')
+        .put(`/v1/templates/${templateName}`, templBody)
+        .matchHeader('x-cimpress-template-name', 'Greeting')
+        .reply(200);
+
+      return client.copyTemplate(`${StereotypeOptions.baseUrl}/v1/templates/${templateName}`, {targetClient: target})
+        .then((result) => expect(result).to.deep.equal({templateId: templateName}));
+    });
+
+    it('refuses to copy templates that do not allow it', function() {
+      mockSource({});
+      nockRequest.get('/v1/templates?public=true')
+        .reply(200, [{templateId: templateName, canCopy: false}], {'content-type': 'application/json'});
+
+      return expect(client.copyTemplate(templateName, {targetId: 'copy'}))
+        .to.be.rejectedWith(PermissionDeniedError, `Template ${templateName} cannot be copied`);
+    });
+
+    it('rejects copies onto the source and unknown overrides', function() {
+      mockSource({canCopy: true});
+      return Promise.all([
+        expect(client.copyTemplate(templateName, {targetId: templateName})).to.be.rejectedWith(ValidationError, 'replace the template itself'),
+        expect(client.copyTemplate(templateName, {targetId: 'copy', overrides: {title: 'x'}})).to.be.rejectedWith(ValidationError, 'title'),
+      ]);
+    });
+  });
+
+  describe('template revisions', function() {
+    let revisionClient;
+
+    const mockStoredVersion = (body, info = {}) => {
+      nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+        .get(`/v1/templates/${templateName}`)
+        .query(true)
+        .reply(200, Object.assign({contentType: templateType}, info));
+      nockRequest.get(`/v1/templates/${templateName}`)
+        .query(true)
+        .reply(200, body);
+    };
+
+    beforeEach(function() {
+      revisionClient = new StereotypeClient(token, Object.assign({revisionStore: true}, StereotypeOptions));
+    });
+
+    it('records the replaced version before puts and deletes', function() {
+      nockRequest.get(`/v1/templates/${templateName}`)
+        .query(true)
+        .times(2)
+        .reply(404);
+      nockRequest.put(`/v1/templates/${templateName}`, 'First').reply(201);
+      mockStoredVersion('First', {name: 'Greeting'});
+      nockRequest.put(`/v1/templates/${templateName}`, 'Second').reply(200);
+      mockStoredVersion('Second');
+      nockRequest.delete(`/v1/templates/${templateName}`).reply(204);
+
+      return revisionClient.putTemplateById(templateName, {body: 'First', contentType: templateType})
+        .then(() => revisionClient.putTemplateById(templateName, {body: 'Second', contentType: templateType}))
+        .then(() => revisionClient.deleteTemplateById(templateName))
+        .then(() => revisionClient.listRevisions(templateName))
+        .then((revisions) => {
+          expect(revisions.map((revision) => [revision.revision, revision.operation, revision.template.body]))
+            .to.deep.equal([[1, 'put', 'First'], [2, 'delete', 'Second']]);
+          expect(revisions[0].template).to.deep.equal({body: 'First', contentType: templateType, name: 'Greeting'});
+        });
+    });
+
+    it('does not put a template when its version cannot be recorded', function() {
+      nockRequest.get(`/v1/templates/${templateName}`)
+        .query(true)
+        .times(2)
+        .reply(403);
+      return expect(revisionClient.putTemplateById(templateName, {body: 'First', contentType: templateType}))
+        .to.be.rejectedWith(PermissionDeniedError);
+    });
+
+    it('diffs revisions and rolls back to one', function() {
+      const templateUrl = `${StereotypeOptions.baseUrl}/v1/templates/${templateName}`;
+      const store = revisionClient.revisionStore;
+      return store.record(templateName, {body: 'Hello\nBye', contentType: templateType, name: 'Old', metadata: [{owner: 'a'}]}, 'put')
+        .then(() => store.record(templateName, {body: 'Hi\nBye', contentType: templateType, name: 'New', metadata: [{owner: 'a'}]}, 'put'))
+        .then(() => revisionClient.diffRevisions(templateUrl, 1, 2))
+        .then((changes) => expect(changes).to.deep.equal({
+          body: [{type: 'removed', line: 'Hello'}, {type: 'added', line: 'Hi'}, {type: 'same', line: 'Bye'}],
+          attributes: {name: {before: 'Old', after: 'New'}},
+        }))
+        .then(() => {
+          mockStoredVersion('Hi\nBye', {name: 'Newer', metadata: [{owner: 'a'}]});
+          return revisionClient.diffRevisions(templateName, 2);
+        })
+        .then((changes) => expect(changes).to.deep.equal({attributes: {name: {before: 'New', after: 'Newer'}}}))
+        .then(() => {
+          mockStoredVersion('Hi\nBye', {name: 'Newer', metadata: [{owner: 'a'}]});
+          nockRequest.put(`/v1/templates/${templateName}`, 'Hello\nBye')
+            .matchHeader('x-cimpress-template-name', 'Old')
+            .matchHeader('x-cimpress-template-metadata', encodeURIComponent(JSON.stringify([{owner: 'a'}])))
+            .reply(200, {templateId: templateName});
+          return revisionClient.rollbackTemplate(templateName, 1);
+        })
+        .then((result) => expect(result).to.deep.equal({templateId: templateName}))
+        .then(() => revisionClient.listRevisions(templateName))
+        .then((revisions) => expect(revisions.map((revision) => revision.template.name)).to.deep.equal(['Old', 'New', 'Newer']));
+    });
+
+    it('rejects unknown revisions and clients without a revision store', function() {
+      return Promise.all([
+        expect(revisionClient.rollbackTemplate(templateName, 7)).to.be.rejectedWith(ValidationError, `Template ${templateName} has no revision 7`),
+        expect(client.listRevisions(templateName)).to.be.rejectedWith(ValidationError, 'No revision store'),
+      ]);
+    });
+  });
+
   it('reads a template by url', function() {
     // Important: Mock the request with more headers first!
     nock(StereotypeOptions.baseUrl, {
@@ -175,21 +838,143 @@ describe('Stereotype client', function() {
     });
   });
 
+  it('lists the variables of a stored template', function() {
+    nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+      .get(`/v1/templates/${templateName}`)
+      .reply(200, {contentType: 'text/mustache'});
+    nockRequest.get(`/v1/templates/${templateName}`)
+      .reply(200, 'Hi {{name}}{{#items}}{{price}}{{/items}}{{> footer}}');
+
+    return client.getTemplateVariables(templateName).then((variables) => {
+      expect(variables.contentType).to.equal('text/mustache');
+      expect(variables.paths).to.deep.equal(['name', 'items', 'price']);
+      expect(variables.partials).to.deep.equal(['footer']);
+      expect(variables.tree[1]).to.deep.include({type: 'section', path: 'items'});
+      expect(variables.diagnostics).to.deep.equal([]);
+    });
+  });
+
+  it('validates a property bag against a template object', function() {
+    const template = {contentType: 'text/handlebars', content: '{{user.name}} {{#each orders}}{{id}}{{/each}}'};
+    return expect(client.validatePropertyBag(template, {user: {nmae: 'Ada'}, orders: []}))
+      .to.eventually.deep.equal({valid: false, missing: ['user.name'], unused: ['user.nmae'], partials: []});
+  });
+
   it('fails to read a nonexistent template', function() {
     nockRequest.get(`/v1/templates/${templateName}`)
       .reply(404);
     return expect(client.getTemplateById(templateName)).to.eventually.be.rejected;
   });
 
+  it('fails to read a nonexistent template with a TemplateNotFoundError', function() {
+    nockRequest.get(`/v1/templates/${templateName}`)
+      .times(2)
+      .reply(404, {message: 'Template not found'});
+    return expect(client.getTemplateById(templateName)).to.eventually.be.rejected
+      .then((err) => {
+        expect(err).to.be.an.instanceof(TemplateNotFoundError);
+        expect(err.status).to.equal(404);
+        expect(err.method).to.equal('GET');
+        expect(err.url).to.equal(`${StereotypeOptions.baseUrl}/v1/templates/${templateName}`);
+        expect(err.body).to.deep.equal({message: 'Template not found'});
+      });
+  });
+
   it('fails to read a template with an empty name', function() {
     return expect(client.getTemplateById('')).to.eventually.be.rejected;
   });
 
+  it('fails to read a template with an empty url with a TemplateNotFoundError', function() {
+    return expect(client.getTemplate('')).to.eventually.be.rejectedWith(TemplateNotFoundError);
+  });
+
+  it('rejects foreign template urls with an InvalidTemplateUrlError', function() {
+    const foreignUrl = 'https://example.com/v1/templates/foo';
+    return Promise.all([
+      expect(client.getTemplate(foreignUrl)).to.eventually.be.rejectedWith(InvalidTemplateUrlError),
+      expect(client.putTemplate(foreignUrl, templBody, contentType)).to.eventually.be.rejectedWith(InvalidTemplateUrlError),
+      expect(client.deleteTemplate(foreignUrl)).to.eventually.be.rejectedWith(InvalidTemplateUrlError),
+      expect(client.copyTemplate(foreignUrl, {targetId: 'copy'})).to.eventually.be.rejectedWith(InvalidTemplateUrlError),
+      expect(client.materialize(foreignUrl, {})).to.eventually.be.rejectedWith(InvalidTemplateUrlError),
+    ]);
+  });
+
   it('fails to read a template due to bad permissions', function() {
     nockRequest.get(`/v1/templates/${templateName}`)
+      .times(2)
       .reply(403);
 
-    return expect(client.getTemplateById(templateName)).to.eventually.be.rejected;
+    return expect(client.getTemplateById(templateName)).to.eventually.be.rejectedWith(PermissionDeniedError);
+  });
+
+  it('fails to create a template with an invalid content type', function() {
+    return expect(client.putTemplateById(templateName, templBody, 'text/plain')).to.eventually.be.rejectedWith(ValidationError);
+  });
+
+  describe('with registered content types', function() {
+    afterEach(function() {
+      delete defaultRegistry.contentTypes.jinja;
+    });
+
+    it('creates templates of registered content types', function() {
+      const customClient = new StereotypeClient(token, Object.assign({contentTypes: {liquid: 'text/liquid'}, postProcessors: ['pdf']}, StereotypeOptions));
+      StereotypeClient.registerContentType('jinja', ['text/jinja']);
+      nockRequest.put(`/v1/templates/${templateName}`).matchHeader('content-type', 'text/liquid; postProcessors=pdf').reply(201);
+      nockRequest.put(`/v1/templates/${templateName}`).matchHeader('content-type', 'text/jinja').reply(201);
+
+      return customClient.putTemplateById(templateName, templBody, 'text/liquid; postProcessors=pdf')
+        .then(() => customClient.with({}).putTemplateById(templateName, templBody, 'text/jinja'))
+        .then(() => expect(client.putTemplateById(templateName, templBody, 'text/liquid')).to.eventually.be.rejectedWith(ValidationError));
+    });
+  });
+
+  it('lints templates', function() {
+    expect(client.lintTemplate('{{#items}}{{name}}', 'text/mustache; charset=utf-8')).to.deep.equal([
+      {severity: 'error', message: 'Unclosed section "items"', line: 1, column: 1},
+    ]);
+    expect(client.lintTemplate('{{#items}}', 'text/plain')).to.deep.equal([]);
+  });
+
+  it('rejects broken templates before uploading them when asked to', function() {
+    const validatingClient = new StereotypeClient(token, Object.assign({validateBeforeUpload: true}, StereotypeOptions));
+    nockRequest.put(`/v1/templates/${templateName}`).reply(201);
+
+    return expect(validatingClient.putTemplateById(templateName, '{{#if a}}{{/each}}{{/if}}', 'text/handlebars'))
+      .to.eventually.be.rejectedWith(ValidationError, 'Invalid template: Closing tag "each" does not match the open section "if" (line 1, column 10)')
+      .then((err) => expect(err.diagnostics).to.have.length(2))
+      .then(() => validatingClient.putTemplateById(templateName, templBody, contentType));
+  });
+
+  it('uploads dust templates with inline CSS when validating before upload', function() {
+    const validatingClient = new StereotypeClient(token, Object.assign({validateBeforeUpload: true}, StereotypeOptions));
+    nockRequest.put(`/v1/templates/${templateName}`).reply(201);
+
+    return expect(validatingClient.putTemplateById(templateName, '<style>p{margin:0}</style>Hi {name}', 'text/dust'))
+      .to.eventually.be.fulfilled;
+  });
+
+  it('creates templates of any content type when content types are not strict', function() {
+    const lenientClient = new StereotypeClient(token, Object.assign({strictContentTypes: false}, StereotypeOptions));
+    nockRequest.put(`/v1/templates/${templateName}`).matchHeader('content-type', 'text/plain').reply(201);
+
+    return expect(lenientClient.putTemplateById(templateName, templBody, 'text/plain')).to.eventually.be.fulfilled;
+  });
+
+  it('discovers content types from the swagger document', function() {
+    nockRequest.get('/v1/swagger.json')
+      .reply(200, {paths: {'/v1/templates/{templateId}': {put: {consumes: ['text/twig']}}}});
+    nockRequest.put(`/v1/templates/${templateName}`).matchHeader('content-type', 'text/twig').reply(201);
+
+    const discoveringClient = new StereotypeClient(token, Object.assign({discoverContentTypes: true}, StereotypeOptions));
+    return expect(discoveringClient.putTemplateById(templateName, templBody, 'text/twig')).to.eventually.be.fulfilled;
+  });
+
+  it('keeps the known content types when the swagger document cannot be loaded', function() {
+    nockRequest.get('/v1/swagger.json').times(4).reply(500);
+    nockRequest.put(`/v1/templates/${templateName}`).reply(201);
+
+    const discoveringClient = new StereotypeClient(token, Object.assign({discoverContentTypes: true, retryPolicy: {baseDelay: 1}}, StereotypeOptions));
+    return expect(discoveringClient.putTemplateById(templateName, templBody, contentType)).to.eventually.be.fulfilled;
   });
 
   [true, 'true', 'True'].forEach((isPublic) => {
@@ -299,6 +1084,50 @@ describe('Stereotype client', function() {
     });
   });
 
+  it('creates a template with an options object PUT', function() {
+    nockRequest.put(`/v1/templates/${templateName}`, templBody)
+      .matchHeader('content-type', contentType)
+      .matchHeader('x-cimpress-template-public', 'true')
+      .matchHeader('x-cimpress-template-type', encodeURIComponent(templateType))
+      .matchHeader('x-cimpress-template-name', encodeURIComponent(templateName))
+      .matchHeader('x-cimpress-template-description', encodeURIComponent(templateDescription))
+      .matchHeader('x-cimpress-template-metadata', encodeURIComponent('[{"key":"value"}]'))
+      .reply(201, getSampleTemplateResource(templateName));
+
+    return client.putTemplateById(templateName, {
+      body: templBody,
+      contentType: contentType,
+      isPublic: true,
+      templateType: templateType,
+      name: templateName,
+      description: templateDescription,
+      metadata: [{key: 'value'}],
+    }).then((templateInfo) => expect(templateInfo).to.deep.equal(getSampleTemplateResource(templateName)));
+  });
+
+  it('creates a template with an options object POST', function() {
+    nockRequest.post(`/v1/templates`, templBody)
+      .matchHeader('x-cimpress-template-public', 'false')
+      .matchHeader('x-cimpress-template-type', 'raw')
+      .reply(201, getSampleTemplateResource(templateName), {
+        'location': `/v1/templates/${templateName}`,
+      });
+
+    return expect(client.createTemplate({body: templBody, contentType: contentType})).to.eventually.be.fulfilled;
+  });
+
+  it('rejects unknown options instead of throwing', function() {
+    return Promise.all([
+      expect(client.putTemplateById(templateName, {body: templBody, contentTyep: contentType})).to.be.rejectedWith(ValidationError, /contentTyep/),
+      expect(client.materializeById(templateName, {}, {getMaterializationId: true})).to.be.rejectedWith(ValidationError),
+      expect(client.listTemplates({public: true})).to.be.rejectedWith(ValidationError, /public/),
+      expect(client.getTemplate(templateName, {skipcache: true})).to.be.rejectedWith(ValidationError, /skipcache/),
+      expect(client.deleteTemplate(templateName, {force: true})).to.be.rejectedWith(ValidationError, /force/),
+      expect(client.waitForMaterialization('m-1', {timeout: 10})).to.be.rejectedWith(ValidationError, /timeout/),
+      expect(client.template(templateName).get({skipcache: true})).to.be.rejectedWith(ValidationError, /skipcache/),
+    ]);
+  });
+
   it('fails to create a template with bad permissions PUT', function() {
     let noPermissionsTemplateId = 'no-permissions';
     nockRequest.put(`/v1/templates/${noPermissionsTemplateId}`)
@@ -358,6 +1187,31 @@ describe('Stereotype client', function() {
       .then((tpl) => expect(tpl).to.equal(matId));
   });
 
+  it('materializes a template to a materialization id with an options object', function() {
+    let matId = 'a162538a-bcf2-4b43-9d53-12cb0dd04b7b';
+    nockRequest.post(`/v1/templates/${templateName}/materializations`)
+      .matchHeader('content-type', 'application/x-www-form-urlencoded')
+      .reply(200, matId, {
+        'location': `/v1/materializations/${matId}`,
+      });
+
+    return client.materializeById(templateName, 'name=Customer', {returnId: true, contentType: 'application/x-www-form-urlencoded'})
+      .then((tpl) => expect(tpl).to.equal(matId));
+  });
+
+  it('materializes a template asynchronously with an options object', function() {
+    let matId = 'a162538a-bcf2-4b43-9d53-12cb0dd04b7b';
+    nockRequest.post(`/v1/templates/${templateName}/materializations`)
+      .query((query) => query.skip_cache !== undefined)
+      .matchHeader('prefer', 'respond-async')
+      .reply(202, '', {
+        'location': `/v1/materializations/${matId}`,
+      });
+
+    return client.materializeById(templateName, {}, {preferAsync: true, skipCache: true})
+      .then((location) => expect(location).to.equal(`/v1/materializations/${matId}`));
+  });
+
   it('materializes a template based on content', function() {
     let materializedTemplate = 'data data data';
     nockRequest.post(`/v1/materializations`)
@@ -379,6 +1233,251 @@ describe('Stereotype client', function() {
     }));
   });
 
+  it('sends the crawler settings set on the client', function() {
+    let crawlerClient = new StereotypeClient(token, StereotypeOptions);
+    crawlerClient.setBlacklistHeader('rel1');
+    crawlerClient.setCurie('cimpress', 'https://cimpress.io/rels/');
+    crawlerClient.setMaximumCrawlDepthHeader(3);
+
+    nockRequest.post(`/v1/templates/${templateName}/materializations`)
+      .matchHeader('x-cimpress-rel-blacklist', 'rel1')
+      .matchHeader('x-cimpress-rel-curies', 'cimpress;https://cimpress.io/rels/')
+      .matchHeader('x-cimpress-max-depth', '3')
+      .reply(200, 'Hello Customer.');
+
+    return expect(crawlerClient.materializeById(templateName, {})).to.eventually.equal('Hello Customer.');
+  });
+
+  it('derives a client with different crawler settings', function() {
+    let crawlerClient = new StereotypeClient(token, StereotypeOptions);
+    crawlerClient.setBlacklistHeader('rel1');
+    crawlerClient.setCurie('cimpress', 'https://cimpress.io/rels/');
+
+    let derivedClient = crawlerClient.with({
+      whitelist: 'rel2',
+      curies: {ex: 'https://example.com/rels/'},
+      softErrors: true,
+    });
+
+    nockRequest.post('/v1/expand')
+      .matchHeader('x-cimpress-rel-blacklist', 'rel1')
+      .matchHeader('x-cimpress-rel-whitelist', 'rel2')
+      .matchHeader('x-cimpress-rel-curies', 'cimpress;https://cimpress.io/rels/,ex;https://example.com/rels/')
+      .matchHeader('x-cimpress-crawler-soft-errors', 'true')
+      .reply(200, 'expanded');
+    nockRequest.post('/v1/expand')
+      .matchHeader('x-cimpress-rel-whitelist', (value) => value === undefined)
+      .matchHeader('x-cimpress-crawler-soft-errors', (value) => value === undefined)
+      .reply(200, 'expanded');
+
+    return derivedClient.expand({})
+      .then(() => crawlerClient.expand({}))
+      .then(() => {
+        expect(crawlerClient.curies).to.deep.equal({cimpress: 'https://cimpress.io/rels/'});
+        expect(derivedClient).to.be.an.instanceof(StereotypeClient);
+      });
+  });
+
+  it('overrides the crawler settings per call', function() {
+    let crawlerClient = new StereotypeClient(token, StereotypeOptions);
+    crawlerClient.setBlacklistHeader('rel1');
+    crawlerClient.setCurieHeader('cimpress;https://cimpress.io/rels/');
+
+    let template = {
+      contentType: 'text/handlebars',
+      content: 'Hello {{name}}',
+    };
+    nockRequest.post(`/v1/materializations`)
+      .matchHeader('x-cimpress-rel-blacklist', 'rel3')
+      .matchHeader('x-cimpress-rel-curies', 'ex;https://example.com/rels/')
+      .matchHeader('accept', 'text/html')
+      .reply(200, 'Hello Customer.');
+
+    return crawlerClient.materializeDirect(template, {}, {blacklist: 'rel3', curies: 'ex;https://example.com/rels/', accept: 'text/html'})
+      .then((mat) => expect(mat.result).to.equal('Hello Customer.'));
+  });
+
+  it('rejects unknown crawler settings', function() {
+    expect(() => client.with({blackList: 'rel1'})).to.throw(ValidationError);
+  });
+
+  it('materializes many templates with a concurrency limit, keeping the input order', function() {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    let progress = [];
+    nockRequest.post(/\/v1\/templates\/.*\/materializations/)
+      .times(4)
+      .delay(10)
+      .reply(function(uri) {
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        setTimeout(() => inFlight--, 5);
+        return uri.includes('broken') ? [400, {message: 'Invalid property bag'}] : [201, uri.split('/')[3], {'content-type': 'text/plain'}];
+      });
+    nockRequest.post('/v1/materializations')
+      .reply(201, 'direct');
+
+    return client.materializeMany([
+      {templateId: 'first', propertyBag: {}},
+      {templateUrl: `${StereotypeOptions.baseUrl}/v1/templates/second`, propertyBag: {}},
+      {templateId: 'broken', propertyBag: {}},
+      {template: {content: templBody, contentType: templateType}, propertyBag: {}},
+      {templateId: 'last', propertyBag: {}, options: {contentType: 'application/hal+json'}},
+    ], {concurrency: 2, onProgress: (event) => progress.push(event)})
+      .then((results) => {
+        expect(results.map((res) => res.result)).to.deep.equal(['first', 'second', undefined, 'direct', 'last']);
+        expect(results[2].error).to.be.an.instanceof(ValidationError);
+        expect(results[2].status).to.equal(400);
+        expect(results[0].contentType).to.equal('text/plain');
+        expect(results[0].duration).to.be.a('number');
+        expect(maxInFlight).to.be.at.most(2);
+        expect(progress).to.have.lengthOf(5);
+        expect(progress[4]).to.include({completed: 5, failed: 1, total: 5});
+      });
+  });
+
+  it('skips the remaining materializations after an error with stopOnError', function() {
+    nockRequest.post(`/v1/templates/broken/materializations`)
+      .reply(400);
+
+    return client.materializeMany([
+      {templateId: 'broken', propertyBag: {}},
+      {templateId: 'second', propertyBag: {}},
+    ], {concurrency: 1, stopOnError: true})
+      .then((results) => {
+        expect(results[0].error).to.be.an.instanceof(ValidationError);
+        expect(results[1]).to.deep.equal({index: 1, skipped: true});
+      });
+  });
+
+  it('rejects property bags that miss template variables with strictPropertyBag', function() {
+    const strictClient = new StereotypeClient(token, Object.assign({strictPropertyBag: true}, StereotypeOptions));
+    const template = {contentType: 'text/mustache', content: 'Hi {{name}}'};
+    nockRequest.post('/v1/materializations').reply(201, 'Hi Ada', {'content-type': 'text/plain'});
+
+    return expect(strictClient.materializeDirect(template, {nmae: 'Ada'}))
+      .to.eventually.be.rejectedWith(ValidationError, 'Invalid property bag: missing name')
+      .then((err) => expect(err.diagnostics).to.deep.equal([{severity: 'error', message: 'Missing property "name"', path: 'name'}]))
+      .then(() => expect(client.materializeDirect(template, {nmae: 'Ada'}, {strictPropertyBag: true})).to.be.rejectedWith(ValidationError))
+      .then(() => strictClient.materializeDirect(template, {name: 'Ada'}))
+      .then((mat) => expect(mat.result).to.equal('Hi Ada'));
+  });
+
+  it('checks property bags of stored templates before materializing them', function() {
+    nock(StereotypeOptions.baseUrl, {reqheaders: {'Accept': 'application/json'}})
+      .get(`/v1/templates/${templateName}`)
+      .reply(200, {contentType: 'text/dust'});
+    nockRequest.get(`/v1/templates/${templateName}`).reply(200, 'Hi {name}');
+
+    return expect(client.materializeById(templateName, {}, {strictPropertyBag: true}))
+      .to.eventually.be.rejectedWith(ValidationError, 'Invalid property bag: missing name');
+  });
+
+  it('returns binary materializations as a BinaryResult', function() {
+    const xlsx = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+    nockRequest.post(`/v1/templates/${templateName}/materializations`)
+      .reply(201, Buffer.from([0x50, 0x4b, 0x03, 0x04]), {'content-type': xlsx});
+
+    return client.materializeSyncById(templateName, {})
+      .then((mat) => {
+        expect(mat.result).to.be.an.instanceof(BinaryResult);
+        expect(mat.result.extension).to.equal('xlsx');
+        return mat.result.toBuffer();
+      })
+      .then((buffer) => expect(Array.from(buffer)).to.deep.equal([0x50, 0x4b, 0x03, 0x04]));
+  });
+
+  it('returns text when binary responses are turned off', function() {
+    nockRequest.post(`/v1/templates/${templateName}/materializations`)
+      .reply(201, 'name,amount', {'content-type': 'text/csv'});
+
+    return expect(client.with({binary: false}).materializeById(templateName, {})).to.eventually.equal('name,amount');
+  });
+
+  it('keeps the error message of a failed binary materialization', function() {
+    nockRequest.post(`/v1/templates/${templateName}/materializations`)
+      .reply(400, {message: 'Invalid property bag'});
+
+    return expect(client.materializeById(templateName, {}, {binary: true}))
+      .to.eventually.be.rejectedWith(ValidationError, 'Invalid property bag');
+  });
+
+  it('streams a materialization', function() {
+    nockRequest.post(`/v1/templates/${templateName}/materializations`)
+      .reply(201, 'Hello streamed world', {'content-type': 'text/plain'});
+
+    return client.materializeToStream(`${StereotypeOptions.baseUrl}/v1/templates/${templateName}`, {})
+      .then((stream) => {
+        expect(stream.status).to.equal(201);
+        expect(stream.contentType).to.equal('text/plain');
+        return new Promise((resolve, reject) => {
+          let chunks = [];
+          stream.on('data', (chunk) => chunks.push(chunk));
+          stream.on('error', reject);
+          stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+        });
+      })
+      .then((body) => expect(body).to.equal('Hello streamed world'));
+  });
+
+  it('pipes a materialization into a destination stream', function() {
+    let matId = 'test_mat_id';
+    let chunks = [];
+    let destination = new Writable({
+      write: (chunk, encoding, callback) => {
+        chunks.push(chunk);
+        callback();
+      },
+    });
+    nockRequest.get(`/v1/materializations/${matId}`)
+      .reply(200, 'Hello piped world', {'content-type': 'text/plain'});
+
+    return client.getMaterializationStream(matId, {destination})
+      .then((res) => {
+        expect(res).to.deep.equal({status: 200, contentType: 'text/plain'});
+        expect(Buffer.concat(chunks).toString()).to.equal('Hello piped world');
+      });
+  });
+
+  it('rejects a stream request that failed', function() {
+    nockRequest.get('/v1/materializations/unknown')
+      .reply(404);
+
+    return expect(client.getMaterializationStream('unknown')).to.eventually.be.rejected
+      .then((err) => expect(err.status).to.equal(404));
+  });
+
+  it('streams a JSON materialization', function() {
+    let matId = 'test_mat_id';
+    let chunks = [];
+    let destination = new Writable({
+      write: (chunk, encoding, callback) => {
+        chunks.push(chunk);
+        callback();
+      },
+    });
+    nockRequest.get(`/v1/materializations/${matId}`)
+      .reply(201, {greeting: 'Hello'}, {'content-type': 'application/json'});
+
+    return client.getMaterializationStream(matId, {destination})
+      .then((res) => {
+        expect(res).to.deep.equal({status: 201, contentType: 'application/json'});
+        expect(JSON.parse(Buffer.concat(chunks).toString())).to.deep.equal({greeting: 'Hello'});
+      });
+  });
+
+  it('rejects a stream request with the decoded JSON error body', function() {
+    nockRequest.post(`/v1/templates/${templateName}/materializations`)
+      .reply(400, {message: 'Invalid property bag'}, {'content-type': 'application/problem+json'});
+    nockRequest.get('/v1/materializations/unknown')
+      .reply(404, {message: 'No such materialization'}, {'content-type': 'application/json'});
+
+    return expect(client.materializeToStream(`${StereotypeOptions.baseUrl}/v1/templates/${templateName}`, {}))
+      .to.eventually.be.rejectedWith(ValidationError, 'Invalid property bag')
+      .then((err) => expect(err.body).to.deep.equal({message: 'Invalid property bag'}))
+      .then(() => expect(client.getMaterializationStream('unknown')).to.eventually.be.rejectedWith('No such materialization'))
+      .then((err) => expect(err.status).to.equal(404));
+  });
+
   it('fetches a template that was previously materialized', function() {
     let materializedBody = 'Hello Customer.';
     let materializationId = 'test_mat_id';
@@ -391,6 +1490,83 @@ describe('Stereotype client', function() {
       .then((tpl) => expect(tpl).to.equal(materializedBody));
   });
 
+  it('materializes a template asynchronously and waits for the result', function() {
+    let matId = 'a162538a-bcf2-4b43-9d53-12cb0dd04b7b';
+    let materializedBody = 'Hello Customer.';
+    nockRequest.post(`/v1/templates/${templateName}/materializations`)
+      .matchHeader('prefer', 'respond-async')
+      .reply(202, '', {
+        'location': `/v1/materializations/${matId}`,
+      });
+    nockRequest.get(`/v1/materializations/${matId}`)
+      .reply(404);
+    nockRequest.get(`/v1/materializations/${matId}`)
+      .reply(202);
+    nockRequest.get(`/v1/materializations/${matId}`)
+      .reply(200, materializedBody, {
+        'content-type': 'text/html',
+      });
+
+    return client.materializeAndWaitById(templateName, {}, {interval: 1})
+      .then((mat) => expect(mat).to.deep.equal({
+        status: 200,
+        result: materializedBody,
+        contentType: 'text/html',
+      }));
+  });
+
+  it('returns the materialization right away when the server ignores the async preference', function() {
+    let materializedBody = 'Hello Customer.';
+    nockRequest.post(`/v1/templates/${templateName}/materializations`)
+      .reply(201, materializedBody, {
+        'content-type': 'text/html',
+      });
+
+    return client.materializeAndWaitById(templateName, {}, {interval: 1})
+      .then((mat) => expect(mat).to.deep.equal({
+        status: 201,
+        result: materializedBody,
+        contentType: 'text/html',
+      }));
+  });
+
+  it('stops waiting for a materialization after maxWait', function() {
+    let matId = 'test_mat_id';
+    nockRequest.get(`/v1/materializations/${matId}`)
+      .times(100)
+      .reply(202);
+
+    return client.waitForMaterialization(matId, {interval: 5, maxWait: 30})
+      .catch((err) => err)
+      .then((err) => {
+        expect(err).to.be.an.instanceof(TimeoutError);
+        expect(err.url).to.equal(`${StereotypeOptions.baseUrl}/v1/materializations/${matId}`);
+      });
+  });
+
+  it('stops waiting for a materialization after maxWait while a poll request is pending', function() {
+    let matId = 'test_mat_id';
+    let startedAt = Date.now();
+    nockRequest.get(`/v1/materializations/${matId}`)
+      .delay(2000)
+      .reply(200, 'Hello Customer.');
+
+    return client.waitForMaterialization(matId, {interval: 5, maxWait: 100})
+      .catch((err) => err)
+      .then((err) => {
+        expect(err).to.be.an.instanceof(TimeoutError);
+        expect(Date.now() - startedAt).to.be.below(1000);
+      });
+  });
+
+  it('fails waiting for a materialization that failed', function() {
+    let matId = 'test_mat_id';
+    nockRequest.get(`/v1/materializations/${matId}`)
+      .reply(400);
+
+    return expect(client.waitForMaterialization(`/v1/materializations/${matId}`, {interval: 1})).to.eventually.be.rejected;
+  });
+
   it('fails to materialize a template with bad permissions', function() {
     nockRequest.post(`/v1/templates/${templateName}/materializations`)
       .reply(403);
@@ -407,6 +1583,291 @@ describe('Stereotype client', function() {
     return client.expand(propertyBag).then((expansion) => expect(expansion).to.equal(expanded));
   });
 
+  it('retries an expansion that timed out crawling, keeping the content type', function() {
+    let retryingClient = new StereotypeClient(token, Object.assign({
+      retryPolicy: {baseDelay: 1, maxAttempts: 2},
+    }, StereotypeOptions));
+    nockRequest.post('/v1/expand')
+      .matchHeader('Content-Type', 'application/hal+json')
+      .times(2)
+      .reply(400, 'Error: ESOCKETTIMEDOUT');
+    nockRequest.post('/v1/expand')
+      .reply(200, 'never requested');
+
+    return retryingClient.expand({}, {contentType: 'application/hal+json'})
+      .catch((err) => err)
+      .then((err) => {
+        expect(err).to.be.an.instanceof(ValidationError);
+        expect(nock.pendingMocks()).to.have.lengthOf(1);
+      });
+  });
+
+  it('waits as long as Retry-After asks before retrying, even beyond maxDelay', function() {
+    let retryingClient = new StereotypeClient(token, Object.assign({retryPolicy: {maxDelay: 500}}, StereotypeOptions));
+    let startedAt = Date.now();
+    nockRequest.get('/livecheck').reply(503, '', {'Retry-After': '1'});
+    nockRequest.get('/livecheck').reply(200);
+
+    return retryingClient.livecheck()
+      .then((alive) => {
+        expect(alive).to.equal(true);
+        expect(Date.now() - startedAt).to.be.at.least(1000);
+      });
+  });
+
+  it('does not retry creating a template unless allowed', function() {
+    let retryingClient = new StereotypeClient(token, Object.assign({retryPolicy: {baseDelay: 1}}, StereotypeOptions));
+    nockRequest.post('/v1/templates').reply(503);
+    nockRequest.post('/v1/templates').reply(201, {templateId: 'created'});
+
+    return expect(retryingClient.createTemplate({body: templBody, contentType: contentType})).to.eventually.be.rejected
+      .then(() => retryingClient.with({retryPolicy: {retryNonIdempotent: true}})
+        .createTemplate({body: templBody, contentType: contentType}))
+      .then((created) => expect(created).to.deep.equal({templateId: 'created'}));
+  });
+
+  it('does not retry when numRetries is 0', function() {
+    let noRetryClient = new StereotypeClient(token, Object.assign({numRetries: 0}, StereotypeOptions));
+    nockRequest.get('/livecheck').reply(500);
+    nockRequest.get('/livecheck').reply(200);
+
+    return expect(noRetryClient.livecheck()).to.eventually.be.rejected
+      .then(() => expect(nock.pendingMocks()).to.have.lengthOf(1));
+  });
+
+  it('aborts a request with a cancel token and annotates the X-Ray subsegment', function() {
+    let annotations = {};
+    let closed = false;
+    let tracedClient = new StereotypeClient(token, Object.assign({
+      xray: {
+        captureAsyncFunc: (name, callback) => callback({
+          addAnnotation: (key, value) => annotations[key] = value,
+          close: () => closed = true,
+        }),
+      },
+    }, StereotypeOptions));
+    let cancelToken = StereotypeClient.createCancelToken();
+    nockRequest.post('/v1/expand')
+      .delay(5000)
+      .reply(200, 'too late');
+
+    setTimeout(() => cancelToken.cancel(), 20);
+    return tracedClient.expand({}, {signal: cancelToken.signal})
+      .catch((err) => err)
+      .then((err) => {
+        expect(err).to.be.an.instanceof(AbortError);
+        expect(annotations.Cancelled).to.equal(true);
+        expect(closed).to.equal(true);
+      });
+  });
+
+  it('annotates the X-Ray subsegment with the fetched materialization', function() {
+    let annotations = {};
+    let tracedClient = new StereotypeClient(token, Object.assign({
+      xray: {
+        captureAsyncFunc: (name, callback) => callback({
+          addAnnotation: (key, value) => annotations[key] = value,
+          close: () => {},
+        }),
+      },
+    }, StereotypeOptions));
+    nockRequest.get('/v1/materializations/m-42').reply(200, 'Hello');
+
+    return tracedClient.getMaterializationById('m-42').then((result) => {
+      expect(result).to.equal('Hello');
+      expect(annotations.TemplateMaterialization).to.equal('m-42');
+      expect(annotations.RESTAction).to.equal('GET');
+    });
+  });
+
+  it('does not send a request with an aborted signal', function() {
+    let cancelToken = StereotypeClient.createCancelToken();
+    cancelToken.cancel();
+    nockRequest.get('/livecheck').reply(200);
+
+    return expect(client.livecheck({signal: cancelToken.signal})).to.eventually.be.rejectedWith(AbortError)
+      .then(() => expect(nock.pendingMocks()).to.have.lengthOf(1));
+  });
+
+  it('stops retrying when aborted', function() {
+    let retryingClient = new StereotypeClient(token, Object.assign({
+      retryPolicy: {baseDelay: 5000, jitter: false},
+    }, StereotypeOptions));
+    let cancelToken = StereotypeClient.createCancelToken();
+    nockRequest.get('/v1/swagger.json').reply(503);
+    nockRequest.get('/v1/swagger.json').reply(200, {});
+
+    setTimeout(() => cancelToken.cancel(), 50);
+    return expect(retryingClient.getSwagger({signal: cancelToken.signal})).to.eventually.be.rejectedWith(AbortError)
+      .then(() => expect(nock.pendingMocks()).to.have.lengthOf(1));
+  });
+
+  it('stops waiting for a materialization when aborted', function() {
+    let matId = 'test_mat_id';
+    let cancelToken = StereotypeClient.createCancelToken();
+    nockRequest.get(`/v1/materializations/${matId}`)
+      .times(100)
+      .reply(202);
+
+    setTimeout(() => cancelToken.cancel(), 30);
+    return expect(client.waitForMaterialization(matId, {interval: 5, signal: cancelToken.signal}))
+      .to.eventually.be.rejectedWith(AbortError);
+  });
+
+  it('fetches the access token from a token provider', function() {
+    let providerCalls = 0;
+    let providerClient = new StereotypeClient(() => {
+      providerCalls++;
+      return Promise.resolve('Bearer provided_token');
+    }, StereotypeOptions);
+
+    nock(StereotypeOptions.baseUrl, {
+      reqheaders: {
+        'Authorization': 'Bearer provided_token',
+      },
+    })
+      .get('/livecheck')
+      .times(2)
+      .reply(200);
+
+    return providerClient.livecheck()
+      .then(() => providerClient.livecheck())
+      .then((alive) => {
+        expect(alive).to.equal(true);
+        expect(providerCalls).to.equal(1);
+      });
+  });
+
+  it('refreshes a token from a token provider before it expires', function() {
+    let expiredToken = 'header.' + Base64.encode(JSON.stringify({exp: Math.floor(Date.now() / 1000)}), true) + '.signature';
+    let tokens = [expiredToken, 'fresh_token'];
+    let providerClient = new StereotypeClient(null, Object.assign({
+      tokenProvider: () => tokens.shift(),
+    }, StereotypeOptions));
+
+    nock(StereotypeOptions.baseUrl, {
+      reqheaders: {
+        'Authorization': `Bearer ${expiredToken}`,
+      },
+    })
+      .get('/livecheck')
+      .reply(200);
+    nock(StereotypeOptions.baseUrl, {
+      reqheaders: {
+        'Authorization': 'Bearer fresh_token',
+      },
+    })
+      .get('/livecheck')
+      .reply(200);
+
+    return providerClient.livecheck()
+      .then(() => providerClient.livecheck())
+      .then(() => expect(tokens).to.be.empty);
+  });
+
+  it('retries a request once with a fresh token after a 401', function() {
+    let tokens = ['stale_token', 'fresh_token'];
+    let providerClient = new StereotypeClient(() => tokens.shift(), StereotypeOptions);
+
+    nock(StereotypeOptions.baseUrl, {
+      reqheaders: {
+        'Authorization': 'Bearer stale_token',
+      },
+    })
+      .post(`/v1/templates/${templateName}/materializations`)
+      .reply(401);
+    nock(StereotypeOptions.baseUrl, {
+      reqheaders: {
+        'Authorization': 'Bearer fresh_token',
+      },
+    })
+      .post(`/v1/templates/${templateName}/materializations`)
+      .reply(200, 'Hello Customer.');
+
+    return providerClient.materializeById(templateName, {})
+      .then((mat) => expect(mat).to.equal('Hello Customer.'));
+  });
+
+  it('does not retry a 401 with a static access token', function() {
+    nockRequest.get('/livecheck').reply(401);
+    return expect(client.livecheck()).to.eventually.be.rejected;
+  });
+
+  it('passes every request through the registered interceptors', function() {
+    let interceptedClient = new StereotypeClient(token, StereotypeOptions);
+    let seen = [];
+    interceptedClient.use({
+      onRequest: (req) => {
+        expect(req.headers).not.to.have.property('Authorization');
+        req.headers['x-audit-id'] = 'audit-1';
+        return req;
+      },
+      onResponse: (res, req) => {
+        seen.push(`${req.method} ${req.url} ${res.status}`);
+      },
+    });
+
+    nockRequest.get('/v1/templates?public=false')
+      .matchHeader('x-audit-id', 'audit-1')
+      .reply(200, []);
+    nockRequest.get('/livecheck')
+      .matchHeader('x-audit-id', 'audit-1')
+      .reply(200);
+
+    return interceptedClient.listTemplates()
+      .then(() => interceptedClient.livecheck())
+      .then(() => expect(seen).to.deep.equal([
+        `GET ${StereotypeOptions.baseUrl}/v1/templates 200`,
+        `GET ${StereotypeOptions.baseUrl}/livecheck 200`,
+      ]));
+  });
+
+  it('lets error interceptors replace or recover from errors', function() {
+    let interceptedClient = new StereotypeClient(token, StereotypeOptions);
+    let removeInterceptor = interceptedClient.use({
+      onError: (err, req) => {
+        if (req.url.endsWith('/livecheck')) {
+          return {status: 200, headers: {}};
+        }
+        expect(err).to.be.an.instanceof(PermissionDeniedError);
+        throw new Error('Replaced');
+      },
+    });
+
+    nockRequest.get('/livecheck').times(8).reply(500);
+    nockRequest.get('/v1/swagger.json').reply(403);
+
+    return interceptedClient.livecheck()
+      .then((alive) => expect(alive).to.equal(true))
+      .then(() => expect(interceptedClient.getSwagger()).to.eventually.be.rejectedWith('Replaced'))
+      .then(() => {
+        removeInterceptor();
+        return expect(interceptedClient.livecheck({skipCache: false})).to.eventually.be.rejected;
+      });
+  });
+
+  it('keeps the class of errors thrown by interceptors and token providers', function() {
+    class InterceptorError extends Error {}
+    let requestClient = new StereotypeClient(token, StereotypeOptions);
+    requestClient.use({
+      onRequest: () => {
+        throw new InterceptorError('From onRequest');
+      },
+    });
+    let errorClient = new StereotypeClient(token, StereotypeOptions);
+    errorClient.use({
+      onError: () => {
+        throw new InterceptorError('From onError');
+      },
+    });
+    let providerClient = new StereotypeClient(() => Promise.reject(new InterceptorError('From tokenProvider')), StereotypeOptions);
+    nockRequest.get('/v1/swagger.json').reply(403);
+
+    return expect(requestClient.getSwagger()).to.eventually.be.rejectedWith(InterceptorError, 'From onRequest')
+      .then(() => expect(errorClient.getSwagger()).to.eventually.be.rejectedWith(InterceptorError, 'From onError'))
+      .then(() => expect(providerClient.getSwagger()).to.eventually.be.rejectedWith(InterceptorError, 'From tokenProvider'));
+  });
+
   it('is alive', function() {
     nockRequest.get('/livecheck').reply(200);
     return expect(client.livecheck()).to.eventually.equal(true);
@@ -0,0 +1,73 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const {createBundle, bundleToTar, parseBundle, planImport, summarizeImport} = require('../src/template_bundle');
+const {createTar, readTar, isTar} = require('../src/tar');
+const {ValidationError} = require('../src/errors');
+
+const templates = [
+  {templateId: 'welcome', body: 'Hello {{name}}', contentType: 'text/handlebars; postProcessors=mjml', isPublic: true, name: null},
+  {templateId: 'report/2024', body: '{"type": "xlsx"}', contentType: 'application/vnd.cimpress.edie+json', metadata: [{owner: 'a'}]},
+];
+
+describe('Template bundles', function() {
+  it('writes and reads tar archives', function() {
+    const content = 'x'.repeat(700);
+    const tar = createTar([{name: 'a.txt', content: 'Hällo'}, {name: 'dir/b.txt', content: Buffer.from(content)}]);
+    expect(tar.length % 512).to.equal(0);
+    expect(isTar(tar)).to.be.true;
+    expect(isTar(Buffer.from('{}'))).to.be.false;
+    expect(readTar(tar).map((file) => [file.name, file.content.toString('utf8')])).to.deep.equal([['a.txt', 'Hällo'], ['dir/b.txt', content]]);
+    expect(() => createTar([{name: 'n'.repeat(101), content: ''}])).to.throw('too long');
+
+    tar[0] = 'z'.charCodeAt(0);
+    expect(() => readTar(tar)).to.throw('Invalid tar header');
+  });
+
+  it('creates bundles of the template fields', function() {
+    const bundle = createBundle(templates, 'https://stereotype.example.com');
+    expect(bundle).to.include({format: 'stereotype-bundle', version: 1, source: 'https://stereotype.example.com'});
+    expect(bundle.templates[0]).to.deep.equal({
+      id: 'welcome', contentType: 'text/handlebars; postProcessors=mjml', isPublic: true, body: 'Hello {{name}}',
+    });
+  });
+
+  it('parses bundles from objects, JSON and tar archives', function() {
+    const bundle = createBundle(templates, 'https://stereotype.example.com');
+    expect(parseBundle(bundle)).to.equal(bundle);
+    expect(parseBundle(JSON.stringify(bundle))).to.deep.equal(bundle);
+
+    const tar = bundleToTar(bundle);
+    const manifest = JSON.parse(readTar(tar)[0].content.toString('utf8'));
+    expect(manifest.templates.map((entry) => entry.file)).to.deep.equal(['templates/welcome.hbs', 'templates/report_2024.json']);
+    expect(parseBundle(tar)).to.deep.equal(bundle);
+  });
+
+  it('rejects invalid bundles', function() {
+    expect(() => parseBundle('{')).to.throw(ValidationError, 'Invalid bundle');
+    expect(() => parseBundle({templates: []})).to.throw(ValidationError, 'created by exportTemplates');
+    expect(() => parseBundle({format: 'stereotype-bundle', version: 2, templates: []})).to.throw(ValidationError, 'version 2');
+    expect(() => parseBundle({format: 'stereotype-bundle', templates: [{id: 'a', contentType: 'text/dust'}]}))
+      .to.throw(ValidationError, 'template 0 needs');
+    expect(() => parseBundle(createTar([{name: 'other.json', content: '{}'}]))).to.throw(ValidationError, 'no templates.json');
+  });
+
+  it('plans imports', function() {
+    const bundled = createBundle(templates, '').templates;
+    expect(planImport(bundled, ['welcome'], {overwrite: false}).map((step) => step.action)).to.deep.equal(['skip', 'create']);
+    expect(planImport(bundled, ['welcome'], {overwrite: true}).map((step) => step.action)).to.deep.equal(['update', 'create']);
+    expect(planImport(bundled, ['welcome'], {idMapping: {welcome: 'welcome-prod'}}).map((step) => [step.targetId, step.action]))
+      .to.deep.equal([['welcome-prod', 'create'], ['report/2024', 'create']]);
+    expect(planImport(bundled, [], {idMapping: (id) => `prod-${id}`})[1].targetId).to.equal('prod-report/2024');
+    expect(() => planImport(bundled, [], {idMapping: () => 'same'})).to.throw(ValidationError, 'imported as same');
+  });
+
+  it('summarizes imports', function() {
+    const plan = [{action: 'create'}, {action: 'update'}, {action: 'skip'}];
+    expect(summarizeImport(plan, [])).to.deep.equal({created: 1, updated: 1, skipped: 1, failed: 0});
+    expect(summarizeImport(plan, [{status: 'applied'}, {status: 'failed'}, {status: 'skipped'}]))
+      .to.deep.equal({created: 1, updated: 0, skipped: 1, failed: 1});
+  });
+});
@@ -0,0 +1,97 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const {TemplateCache, MemoryStore} = require('../src/template_cache');
+const {ValidationError} = require('../src/errors');
+
+const templateUrl = 'https://stereotype.trdlnk.cimpress.io/v1/templates/testTemplate';
+const listUrl = 'https://stereotype.trdlnk.cimpress.io/v1/templates';
+
+function getResponse(headers = {etag: '"v1"'}) {
+  return {status: 200, headers: headers, body: {templateId: 'testTemplate'}, text: '{}', request: {}};
+}
+
+describe('Template cache', function() {
+  it('evicts the least recently used entry', function() {
+    let store = new MemoryStore(2);
+    store.set('a', 1);
+    store.set('b', 2);
+    store.get('a');
+    store.set('c', 3);
+
+    expect(store.keys()).to.deep.equal(['a', 'c']);
+  });
+
+  it('rejects unknown settings', function() {
+    expect(() => new TemplateCache({size: 10})).to.throw(ValidationError);
+  });
+
+  it('keys requests by URL, query and Accept header', function() {
+    const key = TemplateCache.getKey({method: 'GET', url: listUrl, query: {public: true}, headers: {}});
+
+    expect(TemplateCache.getKey({method: 'GET', url: listUrl, query: {public: true}, headers: {}})).to.equal(key);
+    expect(TemplateCache.getKey({method: 'GET', url: listUrl, query: {public: false}, headers: {}})).to.not.equal(key);
+    expect(TemplateCache.getKey({method: 'GET', url: listUrl, query: {public: true}, headers: {Accept: 'application/json'}}))
+      .to.not.equal(key);
+  });
+
+  it('keys requests by the principal of the token', function() {
+    const jwt = (claims) => `header.${Buffer.from(JSON.stringify(claims)).toString('base64')}.signature`;
+    const req = {method: 'GET', url: listUrl, query: {public: true}, headers: {}};
+    const keyOf = (accessToken) => TemplateCache.getKey(req, TemplateCache.getIdentity(accessToken));
+
+    expect(keyOf('token-a')).to.not.equal(keyOf('token-b'));
+    expect(keyOf('token-a')).to.not.contain('token-a');
+    expect(keyOf(jwt({sub: 'client-a', exp: 1}))).to.equal(keyOf(jwt({sub: 'client-a', exp: 2})));
+    expect(keyOf(jwt({sub: 'client-a'}))).to.not.equal(keyOf(jwt({sub: 'client-b'})));
+  });
+
+  it('stores only plain responses with a validator', function() {
+    let cache = new TemplateCache({store: new Map()});
+
+    return cache.set('with', getResponse())
+      .then(() => cache.set('without', getResponse({})))
+      .then(() => Promise.all([cache.get('with'), cache.get('without')]))
+      .then((entries) => {
+        expect(entries[0].response).to.deep.equal({
+          status: 200,
+          headers: {etag: '"v1"'},
+          body: {templateId: 'testTemplate'},
+          text: '{}',
+        });
+        expect(entries[1]).to.equal(undefined);
+      });
+  });
+
+  it('expires entries after the ttl', function() {
+    let cache = new TemplateCache({ttl: 1000});
+
+    expect(cache.isFresh({storedAt: Date.now() - 500})).to.equal(true);
+    expect(cache.isFresh({storedAt: Date.now() - 1500})).to.equal(false);
+  });
+
+  it('revalidates with If-None-Match, or If-Modified-Since without an ETag', function() {
+    expect(TemplateCache.getConditionalHeaders({etag: '"v1"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT'}))
+      .to.deep.equal({'If-None-Match': '"v1"', 'If-Modified-Since': undefined});
+    expect(TemplateCache.getConditionalHeaders({lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT'}))
+      .to.deep.equal({'If-None-Match': undefined, 'If-Modified-Since': 'Mon, 01 Jan 2024 00:00:00 GMT'});
+  });
+
+  it('invalidates the entries of the given URLs', function() {
+    let store = new Map();
+    let cache = new TemplateCache({store: store});
+    const templateKey = TemplateCache.getKey({method: 'GET', url: templateUrl});
+    const otherKey = TemplateCache.getKey({method: 'GET', url: `${templateUrl}2`});
+    const listKey = TemplateCache.getKey({method: 'GET', url: listUrl, query: {public: true}});
+
+    return Promise.all([templateKey, otherKey, listKey].map((key) => cache.set(key, getResponse())))
+      .then(() => cache.invalidate([templateUrl, listUrl]))
+      .then(() => expect(Array.from(store.keys())).to.deep.equal([otherKey]))
+      .then(() => cache.invalidate())
+      .then(() => expect(store.size).to.equal(0));
+  });
+});
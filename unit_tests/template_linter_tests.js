@@ -0,0 +1,81 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const {lintTemplate} = require('../src/template_linter');
+
+const messages = (diagnostics) => diagnostics.map((diagnostic) => `${diagnostic.line}:${diagnostic.column} ${diagnostic.message}`);
+
+describe('Template linter', function() {
+  it('accepts well-formed mustache templates', function() {
+    const body = 'Hi {{name}}{{! comment }}\n{{#items}}{{{html}}}{{/items}}{{^items}}none{{/items}}{{=<% %>=}}<%name%>';
+    expect(lintTemplate(body, 'mustache')).to.deep.equal([]);
+  });
+
+  it('reports unclosed and mismatched mustache sections', function() {
+    expect(messages(lintTemplate('Hi\n  {{#section}}{{name}}', 'mustache')))
+      .to.deep.equal(['2:3 Unclosed section "section"']);
+    expect(messages(lintTemplate('{{#a}}{{#b}}{{/a}}{{/b}}', 'mustache'))).to.deep.equal([
+      '1:13 Closing tag "a" does not match the open section "b"',
+      '1:19 Closing tag "b" does not match the open section "a"',
+    ]);
+    expect(messages(lintTemplate('{{/a}}{{}}{{#}}{{=<%=}}', 'mustache'))).to.deep.equal([
+      '1:1 Closing tag "a" without an open section',
+      '1:7 Empty tag',
+      '1:11 Section without a name',
+      '1:16 Invalid delimiter change: =<%=',
+    ]);
+    expect(messages(lintTemplate('Hi {{name', 'mustache'))).to.deep.equal(['1:4 Unclosed tag: {{ has no matching }}']);
+  });
+
+  it('checks handlebars block helpers', function() {
+    const body = '{{~#each items as |item|~}}{{#if item}}{{item}}{{else}}-{{/if}}{{^}}none{{/each}}'
+      + '{{#> layout}}{{/layout}}{{!-- {{#if}} --}}';
+    expect(lintTemplate(body, 'handlebars')).to.deep.equal([]);
+    expect(messages(lintTemplate('{{#if a}}\n{{#each b}}{{/if}}', 'handlebars'))).to.deep.equal([
+      '2:12 Closing tag "if" does not match the open section "each"',
+      '1:1 Unclosed section "if"',
+    ]);
+    expect(messages(lintTemplate('{{else}}{{^}}', 'handlebars'))).to.deep.equal([
+      '1:1 {{else}} outside of a block',
+      '1:9 Inverse section {{^}} outside of a block',
+    ]);
+  });
+
+  it('checks dust templates', function() {
+    const body = '<style>p { color: red; }</style>{! {ignored} !}{`{raw}`}{#items}{.name|s}{:else}{@eq key=a value=b/}{/items}'
+      + '{>"partial"/}{?flag}{user.names[0]}{/flag}{~n}';
+    expect(lintTemplate(body, 'dust')).to.deep.equal([]);
+    expect(messages(lintTemplate('{#items}\n{name|}{user..name}{>partial}{:else}{/people}', 'dust'))).to.deep.equal([
+      '2:1 Malformed reference: {name|}',
+      '2:8 Malformed reference: {user..name}',
+      '2:20 Partial is not self-closing: {>partial}',
+      '2:37 Closing tag "people" does not match the open section "items"',
+    ]);
+    expect(messages(lintTemplate('{:else}{/items}{#}{! open', 'dust'))).to.deep.equal([
+      '1:1 {:else} outside of a section',
+      '1:8 Closing tag "items" without an open section',
+      '1:16 Tag without a name: {#}',
+      '1:19 Unclosed comment',
+    ]);
+    expect(messages(lintTemplate('{#items', 'dust'))).to.deep.equal(['1:1 Unclosed tag']);
+  });
+
+  it('leaves the braces of inline CSS in dust templates alone', function() {
+    const body = '<style>p{margin:0}a:hover{color:#f00;text-decoration:underline}</style><p style="x">{name}</p>';
+    expect(lintTemplate(body, 'dust')).to.deep.equal([]);
+  });
+
+  it('checks edie templates', function() {
+    expect(lintTemplate('{"type": "document"}', 'edie')).to.deep.equal([]);
+    expect(messages(lintTemplate('[]', 'edie'))).to.deep.equal(['1:1 An edie template must be a JSON object']);
+    const diagnostics = lintTemplate('{\n  "type": }', 'edie');
+    expect(diagnostics).to.have.length(1);
+    expect(diagnostics[0]).to.include({severity: 'error', line: 2, column: 11});
+  });
+
+  it('does not check other languages', function() {
+    expect(lintTemplate('{{#unclosed}}', undefined)).to.deep.equal([]);
+  });
+});
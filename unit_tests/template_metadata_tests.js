@@ -0,0 +1,32 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const {toMetadataList, getMetadataSize, checkMetadataSize} = require('../src/template_metadata');
+const {ValidationError} = require('../src/errors');
+
+describe('Template metadata', function() {
+  it('converts metadata objects and lists to lists of single keys', function() {
+    expect(toMetadataList({owner: 'team-a', tags: ['a', 'b']})).to.deep.equal([{owner: 'team-a'}, {tags: ['a', 'b']}]);
+    expect(toMetadataList([{owner: 'team-a', locale: 'en'}, {version: 2}])).to.deep.equal([{owner: 'team-a'}, {locale: 'en'}, {version: 2}]);
+    expect(toMetadataList([])).to.deep.equal([]);
+  });
+
+  it('rejects metadata of the wrong shape', function() {
+    expect(() => toMetadataList('owner=team-a')).to.throw(ValidationError, 'expected an object or a list of objects');
+    expect(() => toMetadataList([{owner: 'a'}, null])).to.throw(ValidationError, 'got null');
+    expect(() => toMetadataList({' ': 'a'})).to.throw(ValidationError, 'keys must not be empty');
+    expect(() => toMetadataList([{owner: 'a'}, {owner: 'b'}])).to.throw(ValidationError, 'the key owner is listed twice');
+    expect(() => toMetadataList({size: NaN})).to.throw(ValidationError, 'the value of size');
+    expect(() => toMetadataList({nested: {at: new Date()}})).to.throw(ValidationError, 'the value of nested');
+  });
+
+  it('measures and limits the size of the metadata header', function() {
+    expect(getMetadataSize([{owner: 'a b'}])).to.equal(encodeURIComponent('[{"owner":"a b"}]').length);
+    expect(getMetadataSize(null)).to.equal(0);
+    expect(() => checkMetadataSize([{owner: 'x'.repeat(100)}], 100, {method: 'PUT'}))
+      .to.throw(ValidationError, /^Metadata too large: the header takes 1\d\d bytes, the limit is 100$/);
+    checkMetadataSize([{owner: 'x'}], 100);
+  });
+});
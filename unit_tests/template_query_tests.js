@@ -0,0 +1,59 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const {normalizeMetadata, resolveTemplateQuery, matchesTemplateQuery} = require('../src/template_query');
+const {ValidationError} = require('../src/errors');
+
+const template = {
+  templateId: 'welcome-email',
+  name: 'Welcome Email',
+  canEdit: true,
+  canCopy: false,
+  isPublic: false,
+  metadata: [{owner: 'team-a'}, {locale: 'en'}],
+};
+
+function matches(query) {
+  return matchesTemplateQuery(template, resolveTemplateQuery(query));
+}
+
+describe('Template queries', function() {
+  it('normalizes metadata lists and objects', function() {
+    expect(normalizeMetadata([{owner: 'team-a'}, {locale: 'en'}])).to.deep.equal({owner: 'team-a', locale: 'en'});
+    expect(normalizeMetadata({owner: 'team-a'})).to.deep.equal({owner: 'team-a'});
+    expect(normalizeMetadata(undefined)).to.deep.equal({});
+  });
+
+  it('rejects unknown criteria', function() {
+    expect(() => resolveTemplateQuery({nameStartsWith: 'W'})).to.throw(ValidationError);
+  });
+
+  it('matches every template without criteria', function() {
+    expect(matches({})).to.equal(true);
+  });
+
+  it('matches names case-insensitively', function() {
+    expect(matches({nameContains: 'email'})).to.equal(true);
+    expect(matches({nameContains: 'invoice'})).to.equal(false);
+    expect(matchesTemplateQuery({templateId: 'invoice'}, resolveTemplateQuery({nameContains: 'VOICE'}))).to.equal(true);
+  });
+
+  it('matches flags', function() {
+    expect(matches({canEdit: true, canCopy: false, isPublic: false})).to.equal(true);
+    expect(matches({canCopy: true})).to.equal(false);
+  });
+
+  it('matches all given metadata values', function() {
+    expect(matches({metadata: {owner: 'team-a'}})).to.equal(true);
+    expect(matches({metadata: {owner: 'team-a', locale: 'de'}})).to.equal(false);
+  });
+
+  it('matches any of a list of metadata values and metadata keys', function() {
+    expect(matches({metadata: {locale: ['de', 'en']}})).to.equal(true);
+    expect(matches({metadata: {locale: ['de', 'fr']}})).to.equal(false);
+    expect(matches({metadataKeys: ['owner', 'locale']})).to.equal(true);
+    expect(matches({metadataKeys: ['owner', 'region']})).to.equal(false);
+  });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const chai = require('chai');
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const {readManifest, createSyncPlan, summarizeSync} = require('../src/template_sync');
+const {ValidationError} = require('../src/errors');
+
+function writeDirectory(manifest, files = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'stereotype-sync-'));
+  fs.writeFileSync(path.join(directory, 'templates.json'), typeof manifest === 'string' ? manifest : JSON.stringify(manifest));
+  Object.keys(files).forEach((file) => fs.writeFileSync(path.join(directory, file), files[file]));
+  return directory;
+}
+
+describe('Template sync', function() {
+  it('reads a manifest and its template files', function() {
+    const directory = writeDirectory({templates: [
+      {id: 'welcome', file: 'welcome.hbs', contentType: 'text/handlebars', postProcessors: ['mjml'], isPublic: true},
+      {id: 'report', file: 'report.mustache', contentType: 'text/mustache', postProcessors: ['pdf', 'mjml'], metadata: {owner: 'a'}},
+    ]}, {'welcome.hbs': 'Hello {{name}}', 'report.mustache': '{{total}}'});
+
+    return readManifest(directory, 'templates.json').then((entries) => {
+      expect(entries[0]).to.include({templateId: 'welcome', body: 'Hello {{name}}', contentType: 'text/handlebars; postProcessors=mjml'});
+      expect(entries[0].isPublic).to.be.true;
+      expect(entries[1].contentType).to.equal('text/mustache; postProcessors="pdf,mjml"');
+      expect(entries[1].metadata).to.deep.equal([{owner: 'a'}]);
+    });
+  });
+
+  it('rejects invalid manifests', function() {
+    return Promise.all([
+      expect(readManifest(writeDirectory('{"templates": '), 'templates.json')).to.be.rejectedWith(ValidationError, 'Cannot read'),
+      expect(readManifest(writeDirectory({}), 'templates.json')).to.be.rejectedWith(ValidationError, 'must contain a "templates" list'),
+      expect(readManifest(writeDirectory({templates: [{id: 'a', file: 'a.hbs'}]}), 'templates.json'))
+        .to.be.rejectedWith(ValidationError, 'Template 0 of'),
+      expect(readManifest(writeDirectory({templates: [{id: 'a', file: 'a.hbs', contentType: 'text/handlebars', public: true}]}), 'templates.json'))
+        .to.be.rejectedWith(ValidationError, 'unknown keys public'),
+      expect(readManifest(writeDirectory({templates: [
+        {id: 'a', file: 'a.hbs', contentType: 'text/handlebars'},
+        {id: 'a', file: 'b.hbs', contentType: 'text/handlebars'},
+      ]}), 'templates.json')).to.be.rejectedWith(ValidationError, 'Template a is listed twice'),
+    ]);
+  });
+
+  it('plans creates, updates, deletes and no-ops', function() {
+    const entries = [
+      {templateId: 'same', body: 'Hi', contentType: 'text/handlebars; postProcessors="pdf,mjml"', metadata: [{owner: 'a'}]},
+      {templateId: 'changed', body: 'Hello\nBye', contentType: 'text/handlebars', name: 'Changed', metadata: [{owner: 'b'}, {tag: 'x'}]},
+      {templateId: 'new', body: 'New', contentType: 'text/dust'},
+    ];
+    const stored = {
+      same: {body: 'Hi', contentType: 'text/handlebars; postprocessors="mjml,pdf"; charset=utf-8', name: 'Kept', metadata: [{owner: 'a'}]},
+      changed: {body: 'Hi\nBye', contentType: 'text/handlebars', name: 'Old', metadata: [{owner: 'a'}, {old: true}], etag: '"v3"'},
+    };
+
+    const plan = createSyncPlan(entries, stored, ['same', 'changed', 'other'], true);
+    expect(plan.map((step) => [step.action, step.templateId])).to.deep.equal([
+      ['noop', 'same'], ['update', 'changed'], ['create', 'new'], ['delete', 'other'],
+    ]);
+    expect(plan[1].etag).to.equal('"v3"');
+    expect(plan[1].changes).to.deep.equal({
+      body: [{type: 'removed', line: 'Hi'}, {type: 'added', line: 'Hello'}, {type: 'same', line: 'Bye'}],
+      attributes: {name: {before: 'Old', after: 'Changed'}},
+      metadata: {added: {tag: 'x'}, removed: {old: true}, changed: {owner: {before: 'a', after: 'b'}}},
+    });
+    expect(createSyncPlan(entries, stored, ['same', 'changed', 'other'], false)).to.have.lengthOf(3);
+  });
+
+  it('summarizes plans and results', function() {
+    const plan = [{action: 'create'}, {action: 'update'}, {action: 'delete'}, {action: 'noop'}];
+    expect(summarizeSync(plan, [])).to.deep.equal({created: 1, updated: 1, deleted: 1, unchanged: 1, failed: 0, skipped: 0});
+    expect(summarizeSync(plan, [{status: 'applied'}, {status: 'failed'}, {status: 'skipped'}, {status: 'unchanged'}]))
+      .to.deep.equal({created: 1, updated: 0, deleted: 0, unchanged: 1, failed: 1, skipped: 1});
+  });
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const nock = require('nock');
+const chai = require('chai');
+const expect = chai.expect;
+const chaiAsPromised = require('chai-as-promised');
+chai.use(chaiAsPromised);
+
+const StereotypeClient = require('../src/stereotype_client');
+const {Template} = require('../src/template');
+const {InvalidTemplateUrlError} = require('../src/errors');
+
+const baseUrl = 'https://stereotype.trdlnk.cimpress.io';
+const contentType = 'text/mustache';
+
+describe('Template handles', function() {
+  let client;
+  let nockRequest;
+
+  const mockInfo = (info) => nock(baseUrl, {reqheaders: {'Accept': 'application/json'}})
+    .get('/v1/templates/Greeting')
+    .reply(200, Object.assign({contentType: contentType}, info));
+
+  beforeEach(function() {
+    client = new StereotypeClient('handle_token', {baseUrl});
+    nockRequest = nock(baseUrl, {reqheaders: {'Authorization': 'Bearer handle_token'}});
+  });
+
+  afterEach(function() {
+    nock.cleanAll();
+  });
+
+  it('resolves ids and URLs once', function() {
+    const template = client.template('Daily digest');
+    expect(template).to.be.an.instanceof(Template);
+    expect(template.id).to.equal('Daily digest');
+    expect(template.url).to.equal(`${baseUrl}/v1/templates/Daily%20digest`);
+    expect(template.materializationUrl).to.equal(`${baseUrl}/v1/templates/Daily%20digest/materializations`);
+    expect(client.template(template.url).id).to.equal('Daily digest');
+    expect(() => client.template('https://example.com/v1/templates/foo')).to.throw(InvalidTemplateUrlError);
+  });
+
+  it('remembers the fetched info and materializes with its materializations link', function() {
+    const template = client.template('Greeting');
+    mockInfo({name: 'Greeting', links: {materializations: {href: '/v2/templates/Greeting/materializations'}}});
+    nockRequest.post('/v2/templates/Greeting/materializations', {name: 'Ann'})
+      .reply(200, 'Hello Ann', {'content-type': 'text/plain'});
+
+    return template.info()
+      .then((info) => {
+        expect(info.name).to.equal('Greeting');
+        return template.info();
+      })
+      .then((info) => {
+        expect(info.name).to.equal('Greeting');
+        expect(template.materializationUrl).to.equal(`${baseUrl}/v2/templates/Greeting/materializations`);
+        return template.materialize({name: 'Ann'});
+      })
+      .then((result) => expect(result).to.equal('Hello Ann'));
+  });
+
+  it('reads, writes and deletes the template', function() {
+    const template = client.template('Greeting');
+    mockInfo({name: 'Greeting'});
+    nockRequest.get('/v1/templates/Greeting').times(2).reply(200, 'Hello {{name}}');
+    nockRequest.put('/v1/templates/Greeting', 'Hi {{name}}')
+      .matchHeader('Content-Type', contentType)
+      .reply(200, {templateId: 'Greeting'});
+    nockRequest.delete('/v1/templates/Greeting').reply(204);
+
+    return template.get()
+      .then((stored) => {
+        expect(stored.templateBody).to.equal(Buffer.from('Hello {{name}}').toString('base64'));
+        expect(template.cachedInfo).to.deep.equal({contentType: contentType, name: 'Greeting'});
+        return template.body();
+      })
+      .then((body) => {
+        expect(body).to.equal('Hello {{name}}');
+        return template.put({body: 'Hi {{name}}', contentType: contentType});
+      })
+      .then((result) => {
+        expect(result).to.deep.equal({templateId: 'Greeting'});
+        expect(template.cachedInfo).to.equal(null);
+        return template.delete();
+      })
+      .then((status) => expect(status).to.equal(204));
+  });
+
+  it('patches the template and materializes it asynchronously', function() {
+    const template = client.template('Greeting');
+    nockRequest.get('/v1/swagger.json')
+      .reply(200, {paths: {'/v1/templates/{templateId}': {patch: {}}}}, {'content-type': 'application/json'});
+    nockRequest.patch('/v1/templates/Greeting')
+      .matchHeader('x-cimpress-template-name', 'Welcome')
+      .reply(200, {templateId: 'Greeting'});
+    nockRequest.post('/v1/templates/Greeting/materializations')
+      .matchHeader('Prefer', 'respond-async')
+      .reply(202, '', {location: '/v1/materializations/m1'});
+
+    return template.patch({name: 'Welcome'})
+      .then((result) => {
+        expect(result).to.deep.equal({templateId: 'Greeting'});
+        return template.materializeAsync({});
+      })
+      .then((materialization) => expect(materialization).to.include({status: 202, result: '/v1/materializations/m1'}));
+  });
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const chai = require('chai');
+const expect = chai.expect;
+
+const {diffLines} = require('../src/text_diff');
+
+describe('Text diffs', function() {
+  it('returns no lines for equal texts', function() {
+    expect(diffLines('a\nb', 'a\nb')).to.deep.equal([]);
+  });
+
+  it('marks the added and removed lines', function() {
+    expect(diffLines('a\nb\nc\nd', 'a\nc\nx\nd')).to.deep.equal([
+      {type: 'same', line: 'a'},
+      {type: 'removed', line: 'b'},
+      {type: 'same', line: 'c'},
+      {type: 'added', line: 'x'},
+      {type: 'same', line: 'd'},
+    ]);
+  });
+
+  it('lists removed lines before the added lines that replace them', function() {
+    expect(diffLines('Hello {{name}}\nBye', 'Hi {{name}}\nBye')).to.deep.equal([
+      {type: 'removed', line: 'Hello {{name}}'},
+      {type: 'added', line: 'Hi {{name}}'},
+      {type: 'same', line: 'Bye'},
+    ]);
+  });
+
+  it('compares with empty texts', function() {
+    expect(diffLines(undefined, 'a')).to.deep.equal([{type: 'removed', line: ''}, {type: 'added', line: 'a'}]);
+    expect(diffLines('a\nb', '')).to.deep.equal([
+      {type: 'removed', line: 'a'},
+      {type: 'removed', line: 'b'},
+      {type: 'added', line: ''},
+    ]);
+  });
+});